@@ -117,6 +117,20 @@ const withPWA = require('next-pwa')({
         }
       }
     },
+    {
+      // Resource lists for read-only browsing offline (drafts and other
+      // writes are queued in IndexedDB, see src/lib/offlineQueue.ts)
+      urlPattern: ({ url, request }) => request.method === 'GET' && url.pathname.startsWith('/api/resources'),
+      handler: 'NetworkFirst',
+      options: {
+        cacheName: 'api-resources',
+        networkTimeoutSeconds: 5,
+        expiration: {
+          maxEntries: 32,
+          maxAgeSeconds: 24 * 60 * 60 // 24 hours
+        }
+      }
+    },
     {
       urlPattern: ({ request }) => request.destination === 'document',
       handler: 'NetworkFirst',
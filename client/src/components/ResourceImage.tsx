@@ -0,0 +1,72 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { decode } from 'blurhash';
+
+interface ImageVariant {
+  url: string;
+  width?: number;
+  height?: number;
+}
+
+export interface ResourceImageData {
+  url: string;
+  variants?: {
+    thumbnail?: ImageVariant;
+    medium?: ImageVariant;
+    full?: ImageVariant;
+  };
+  blurhash?: string;
+}
+
+interface ResourceImageProps {
+  image: ResourceImageData;
+  alt: string;
+  variant?: 'thumbnail' | 'medium' | 'full';
+  className?: string;
+}
+
+const PLACEHOLDER_SIZE = 32;
+
+// Shows the blurhash placeholder until the requested variant has loaded.
+// Images uploaded before variants existed fall back to the original url.
+export default function ResourceImage({ image, alt, variant = 'medium', className = '' }: ResourceImageProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [loaded, setLoaded] = useState(false);
+  const src = image.variants?.[variant]?.url || image.url;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !image.blurhash) return;
+
+    try {
+      const pixels = decode(image.blurhash, PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+      const context = canvas.getContext('2d');
+      if (!context) return;
+
+      const imageData = context.createImageData(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE);
+      imageData.data.set(pixels);
+      context.putImageData(imageData, 0, 0);
+    } catch (error) {
+      console.error('Error decoding blurhash:', error);
+    }
+  }, [image.blurhash]);
+
+  return (
+    <div className={`relative overflow-hidden ${className}`}>
+      {image.blurhash && !loaded && (
+        <canvas
+          ref={canvasRef}
+          width={PLACEHOLDER_SIZE}
+          height={PLACEHOLDER_SIZE}
+          className="absolute inset-0 w-full h-full"
+        />
+      )}
+      <img
+        src={src}
+        alt={alt}
+        loading="lazy"
+        onLoad={() => setLoaded(true)}
+        className={`w-full h-full object-cover transition-opacity duration-300 ${loaded ? 'opacity-100' : 'opacity-0'}`}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { useCallback, useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import { db } from '../lib/offlineDb';
+import { isOnline, replayQueue } from '../lib/offlineQueue';
+
+// Retry interval while online, in case a replay stopped on a server error
+const RETRY_INTERVAL = 60 * 1000;
+
+// Track connectivity and replay the offline queue whenever the app comes back online
+export default function useOfflineSync() {
+  const [online, setOnline] = useState(true);
+  const [pendingCount, setPendingCount] = useState(0);
+
+  const refreshCount = useCallback(async () => {
+    setPendingCount(await db.outbox.where('status').equals('pending').count());
+  }, []);
+
+  const sync = useCallback(async () => {
+    if (!isOnline()) return;
+
+    try {
+      const result = await replayQueue();
+      if (result.synced > 0) {
+        toast.success(`Synced ${result.synced} offline ${result.synced === 1 ? 'change' : 'changes'}`);
+      }
+      if (result.conflicts > 0 || result.failed > 0) {
+        toast.error(`${result.conflicts + result.failed} offline ${result.conflicts + result.failed === 1 ? 'change needs' : 'changes need'} your attention`);
+      }
+    } catch (error) {
+      console.error('Offline sync error:', error);
+    } finally {
+      refreshCount();
+    }
+  }, [refreshCount]);
+
+  useEffect(() => {
+    setOnline(isOnline());
+    sync();
+
+    const handleOnline = () => {
+      setOnline(true);
+      sync();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const interval = window.setInterval(sync, RETRY_INTERVAL);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      window.clearInterval(interval);
+    };
+  }, [sync]);
+
+  return { online, pendingCount, sync, refreshCount };
+}
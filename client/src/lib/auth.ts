@@ -0,0 +1,78 @@
+// Access tokens are short-lived; the refresh token is exchanged for a new
+// pair when an API call comes back 401. Refresh tokens rotate on every use.
+
+export interface AuthTokens {
+  token: string;
+  refreshToken: string;
+}
+
+let refreshing: Promise<boolean> | null = null;
+
+export const getAccessToken = () =>
+  typeof window !== 'undefined' ? localStorage.getItem('token') : null;
+
+export const storeTokens = ({ token, refreshToken }: AuthTokens) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+const runRefresh = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (!response.ok) {
+      // Revoked or expired: the user has to sign in again
+      if (response.status === 401) clearTokens();
+      return false;
+    }
+
+    storeTokens(await response.json());
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Refresh the token pair. Concurrent callers share one request so a
+// rotated refresh token is never sent twice.
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = runRefresh().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// fetch with the access token, refreshing it once on 401
+export const authFetch = async (url: string, init: RequestInit = {}) => {
+  const withToken = (): RequestInit => {
+    const token = getAccessToken();
+    return {
+      ...init,
+      headers: {
+        ...(init.headers as Record<string, string>),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      }
+    };
+  };
+
+  const response = await fetch(url, withToken());
+  if (response.status !== 401 || !(await refreshSession())) {
+    return response;
+  }
+
+  return fetch(url, withToken());
+};
@@ -0,0 +1,61 @@
+import Dexie, { Table } from 'dexie';
+
+export type OutboxType = 'resource' | 'interest' | 'message';
+
+// pending: waiting to be sent, conflict: server state changed since the
+// request was queued, failed: server rejected the request outright
+export type OutboxStatus = 'pending' | 'conflict' | 'failed';
+
+export interface OutboxItem {
+  id?: number;
+  clientId: string;
+  type: OutboxType;
+  payload: Record<string, any>;
+  files?: { field: string; name: string; blob: Blob }[];
+  status: OutboxStatus;
+  attempts: number;
+  error?: string;
+  createdAt: number;
+  lastAttemptAt?: number;
+}
+
+export interface ResourceDraft {
+  id?: number;
+  title: string;
+  description: string;
+  category: string;
+  type?: string;
+  quantity?: number;
+  condition?: string;
+  location?: {
+    coordinates: [number, number];
+    address?: string;
+    city?: string;
+  };
+  images: Blob[];
+  updatedAt: number;
+}
+
+export interface CachedResourceList {
+  key: string;
+  resources: any[];
+  cachedAt: number;
+}
+
+class OfflineDatabase extends Dexie {
+  outbox!: Table<OutboxItem, number>;
+  drafts!: Table<ResourceDraft, number>;
+  resourceCache!: Table<CachedResourceList, string>;
+
+  constructor() {
+    super('community-aid-offline');
+
+    this.version(1).stores({
+      outbox: '++id, &clientId, type, status, createdAt',
+      drafts: '++id, updatedAt',
+      resourceCache: 'key, cachedAt'
+    });
+  }
+}
+
+export const db = new OfflineDatabase();
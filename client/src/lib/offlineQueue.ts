@@ -0,0 +1,225 @@
+import { authFetch } from './auth';
+import { db, OutboxItem, OutboxStatus, OutboxType, ResourceDraft } from './offlineDb';
+
+export type ReplayResult = {
+  synced: number;
+  conflicts: number;
+  failed: number;
+  remaining: number;
+};
+
+// Stop replaying after this many network/server errors for one item
+const MAX_ATTEMPTS = 10;
+
+let replaying: Promise<ReplayResult> | null = null;
+
+const createClientId = () => {
+  if (typeof crypto !== 'undefined' && 'randomUUID' in crypto) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+};
+
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine;
+
+// Add a request to the outbox
+export const enqueue = async (
+  type: OutboxType,
+  payload: Record<string, any>,
+  files: OutboxItem['files'] = []
+) => {
+  const item: OutboxItem = {
+    clientId: createClientId(),
+    type,
+    payload,
+    files,
+    status: 'pending',
+    attempts: 0,
+    createdAt: Date.now()
+  };
+
+  item.id = await db.outbox.add(item);
+  return item;
+};
+
+export const queueResource = (draft: ResourceDraft) => {
+  const { id, images, updatedAt, ...payload } = draft;
+  const files = images.map((blob, index) => ({ field: 'images', name: `image-${index}`, blob }));
+  return enqueue('resource', { ...payload, draftId: id }, files);
+};
+
+export const queueInterest = (resourceId: string, message?: string) =>
+  enqueue('interest', { resourceId, message });
+
+export const queueMessage = (chatId: string, content: string) =>
+  enqueue('message', { chatId, content, messageType: 'text' });
+
+// Build the API request for an outbox item
+const toRequest = (item: OutboxItem): { url: string; init: RequestInit } => {
+  const headers: Record<string, string> = {
+    'Idempotency-Key': item.clientId
+  };
+
+  switch (item.type) {
+    case 'resource': {
+      const { draftId, location, ...fields } = item.payload;
+      const body = new FormData();
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) body.append(key, String(value));
+      });
+      if (location) body.append('location', JSON.stringify(location));
+      (item.files || []).forEach(file => body.append(file.field, file.blob, file.name));
+
+      return { url: '/api/resources', init: { method: 'POST', headers, body } };
+    }
+    case 'interest':
+      return {
+        url: `/api/resources/${item.payload.resourceId}/interest`,
+        init: {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message: item.payload.message })
+        }
+      };
+    case 'message':
+      return {
+        url: `/api/chat/${item.payload.chatId}/messages`,
+        init: {
+          method: 'POST',
+          headers: { ...headers, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            content: item.payload.content,
+            messageType: item.payload.messageType
+          })
+        }
+      };
+    default:
+      throw new Error(`Unknown outbox item type: ${item.type}`);
+  }
+};
+
+const readError = async (response: Response) => {
+  try {
+    const data = await response.json();
+    return data.error || response.statusText;
+  } catch (error) {
+    return response.statusText;
+  }
+};
+
+// Send one item. Returns false when replay should stop (offline, server
+// down or signed out) so the remaining items keep their order.
+const sendItem = async (item: OutboxItem, result: ReplayResult) => {
+  const { url, init } = toRequest(item);
+  const attempt = { attempts: item.attempts + 1, lastAttemptAt: Date.now() };
+
+  let response: Response;
+  try {
+    response = await authFetch(url, init);
+  } catch (error) {
+    await db.outbox.update(item.id!, attempt);
+    return false;
+  }
+
+  if (response.ok) {
+    await db.outbox.delete(item.id!);
+    if (item.type === 'resource' && item.payload.draftId) {
+      await db.drafts.delete(item.payload.draftId);
+    }
+    result.synced += 1;
+    return true;
+  }
+
+  // The server is still processing an earlier attempt of this item. Not a
+  // conflict: keep it pending without counting the attempt.
+  if (response.status === 409 && response.headers.has('Retry-After')) {
+    await db.outbox.update(item.id!, { lastAttemptAt: attempt.lastAttemptAt });
+    return false;
+  }
+
+  const error = await readError(response);
+
+  if (response.status === 401 || response.status >= 500) {
+    const status = attempt.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+    await db.outbox.update(item.id!, { ...attempt, status, error });
+    if (status === 'failed') result.failed += 1;
+    return false;
+  }
+
+  // The resource was reserved, the interest already exists, ...
+  if (response.status === 409) {
+    await db.outbox.update(item.id!, { ...attempt, status: 'conflict', error });
+    result.conflicts += 1;
+    return true;
+  }
+
+  await db.outbox.update(item.id!, { ...attempt, status: 'failed', error });
+  result.failed += 1;
+  return true;
+};
+
+const runReplay = async (): Promise<ReplayResult> => {
+  const result: ReplayResult = { synced: 0, conflicts: 0, failed: 0, remaining: 0 };
+  const items = await db.outbox.where('status').equals('pending').sortBy('createdAt');
+
+  for (const item of items) {
+    if (!isOnline()) break;
+    const keepGoing = await sendItem(item, result);
+    if (!keepGoing) break;
+  }
+
+  result.remaining = await db.outbox.where('status').equals('pending').count();
+  return result;
+};
+
+// Replay pending outbox items in the order they were queued.
+// Concurrent calls share the same run.
+export const replayQueue = () => {
+  if (!replaying) {
+    replaying = runReplay().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+// Requeue or drop an item that ended in conflict or failure
+export const resolveItem = async (id: number, action: 'retry' | 'discard') => {
+  if (action === 'discard') {
+    await db.outbox.delete(id);
+    return;
+  }
+
+  await db.outbox.update(id, { status: 'pending', attempts: 0, error: undefined });
+};
+
+// What became of an item handed to sendQueued: sent, still waiting in the
+// outbox (offline or server down), or stopped on a conflict or failure
+export type SendOutcome = {
+  status: 'sent' | OutboxStatus;
+  error?: string;
+};
+
+// Try to send a freshly queued item right away. Items that cannot be sent
+// stay in the outbox and are replayed by useOfflineSync.
+export const sendQueued = async (item: OutboxItem): Promise<SendOutcome> => {
+  if (isOnline()) {
+    await replayQueue();
+  }
+
+  const stored = await db.outbox.get(item.id!);
+  if (!stored) return { status: 'sent' };
+  return { status: stored.status, error: stored.error };
+};
+
+export const getOutbox = () => db.outbox.orderBy('createdAt').toArray();
+
+// Resource drafts kept on the device until they are submitted
+export const saveDraft = async (draft: ResourceDraft) => {
+  const id = await db.drafts.put({ ...draft, updatedAt: Date.now() });
+  return { ...draft, id };
+};
+
+export const getDrafts = () => db.drafts.orderBy('updatedAt').reverse().toArray();
+
+export const deleteDraft = (id: number) => db.drafts.delete(id);
@@ -0,0 +1,93 @@
+import { authFetch } from './auth';
+
+// Web Push: subscribe this browser through the service worker and register
+// the subscription with the server. Incoming notifications are shown by
+// worker/index.js.
+
+const SUBSCRIPTIONS_URL = '/api/notifications/push/subscriptions';
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64: string) => {
+  const padding = '='.repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+const saveSubscription = async (subscription: PushSubscription) => {
+  const response = await authFetch(SUBSCRIPTIONS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription: subscription.toJSON() })
+  });
+
+  if (!response.ok) {
+    throw new Error('Could not save push subscription');
+  }
+};
+
+// Ask for permission and subscribe. Call from a user action (browsers block
+// permission prompts otherwise). Returns false when push is unavailable,
+// not configured on the server, or declined.
+export const enablePush = async () => {
+  if (!isPushSupported()) return false;
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') return false;
+
+  const keyResponse = await fetch('/api/notifications/push/public-key');
+  if (!keyResponse.ok) return false;
+  const { publicKey } = await keyResponse.json();
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey)
+    }));
+
+  await saveSubscription(subscription);
+  return true;
+};
+
+// Whether this browser currently has a push subscription
+export const isPushEnabled = async () => {
+  if (!isPushSupported() || Notification.permission !== 'granted') return false;
+
+  const registration = await navigator.serviceWorker.ready;
+  return !!(await registration.pushManager.getSubscription());
+};
+
+// Register this browser's existing subscription for the signed-in user,
+// e.g. after sign-in or when the browser has rotated it
+export const syncPushSubscription = async () => {
+  if (!isPushSupported() || Notification.permission !== 'granted') return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (subscription) {
+    await saveSubscription(subscription);
+  }
+};
+
+// Stop push for this browser, e.g. on sign-out
+export const disablePush = async () => {
+  if (!isPushSupported()) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription();
+  if (!subscription) return;
+
+  await authFetch(SUBSCRIPTIONS_URL, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint: subscription.endpoint })
+  }).catch(() => null);
+
+  await subscription.unsubscribe();
+};
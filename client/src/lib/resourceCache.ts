@@ -0,0 +1,59 @@
+import { db } from './offlineDb';
+
+// Keep a handful of recent lists so a volunteer can still browse nearby
+// resources after losing signal
+const MAX_CACHED_LISTS = 10;
+
+export const cacheKey = (params: Record<string, string | number | undefined>) =>
+  Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+export const cacheResources = async (key: string, resources: any[]) => {
+  await db.resourceCache.put({ key, resources, cachedAt: Date.now() });
+
+  const stale = await db.resourceCache
+    .orderBy('cachedAt')
+    .reverse()
+    .offset(MAX_CACHED_LISTS)
+    .primaryKeys();
+  if (stale.length > 0) {
+    await db.resourceCache.bulkDelete(stale);
+  }
+};
+
+export const getCachedResources = (key: string) => db.resourceCache.get(key);
+
+// Fetch a resource list, falling back to the last cached copy when offline.
+// The cached copy is read-only: it is never used to queue new requests.
+export const fetchResources = async (params: Record<string, string | number | undefined>) => {
+  const key = cacheKey(params);
+
+  try {
+    const response = await fetch(`/api/resources?${key}`);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch resources: ${response.status}`);
+    }
+
+    const data = await response.json();
+    await cacheResources(key, data.resources || []);
+    return { resources: data.resources || [], fromCache: false, cachedAt: Date.now() };
+  } catch (error) {
+    const cached = await getCachedResources(key);
+    if (!cached) throw error;
+
+    return { resources: cached.resources, fromCache: true, cachedAt: cached.cachedAt };
+  }
+};
+
+// A resource from any cached list, for viewing its details offline
+export const findCachedResource = async (id: string) => {
+  const lists = await db.resourceCache.orderBy('cachedAt').reverse().toArray();
+  for (const list of lists) {
+    const resource = list.resources.find(item => item._id === id);
+    if (resource) return { resource, cachedAt: list.cachedAt };
+  }
+  return null;
+};
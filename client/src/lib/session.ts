@@ -0,0 +1,11 @@
+import { authFetch, clearTokens } from './auth';
+import { disablePush } from './push';
+
+// Sign out of this device. Push is turned off first, while the session can
+// still authorize removing the subscription, so the next user of this
+// browser does not get this account's notifications.
+export const signOut = async () => {
+  await disablePush().catch(() => null);
+  await authFetch('/api/auth/logout', { method: 'POST' }).catch(() => null);
+  clearTokens();
+};
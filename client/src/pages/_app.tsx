@@ -1,10 +1,12 @@
 import React from 'react';
 import type { AppProps } from 'next/app';
 import Head from 'next/head';
+import Link from 'next/link';
 import '../styles/globals.css';
 
 // Toast notifications
 import { Toaster } from 'react-hot-toast';
+import useOfflineSync from '../hooks/useOfflineSync';
 
 // Mock providers (replace with actual implementations)
 const AuthProvider = ({ children }: { children: React.ReactNode }) => {
@@ -15,6 +17,24 @@ const ThemeProvider = ({ children }: { children: React.ReactNode }) => {
   return <>{children}</>;
 };
 
+// Offline status bar; queued changes are replayed when the connection returns
+const OfflineBanner = () => {
+  const { online, pendingCount } = useOfflineSync();
+
+  if (online && pendingCount === 0) return null;
+
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-50 bg-yellow-100 text-yellow-900 text-sm text-center py-2">
+      {online
+        ? `Syncing ${pendingCount} offline ${pendingCount === 1 ? 'change' : 'changes'}...`
+        : `You are offline. ${pendingCount > 0 ? `${pendingCount} ${pendingCount === 1 ? 'change' : 'changes'} will be sent when you reconnect.` : 'Showing saved data.'}`}
+      {pendingCount > 0 && (
+        <Link href="/outbox" className="ml-2 underline">View outbox</Link>
+      )}
+    </div>
+  );
+};
+
 export default function App({ Component, pageProps }: AppProps) {
   return (
     <>
@@ -26,6 +46,7 @@ export default function App({ Component, pageProps }: AppProps) {
       <AuthProvider>
         <ThemeProvider>
           <Component {...pageProps} />
+          <OfflineBanner />
           <Toaster
             position="top-right"
             toastOptions={{
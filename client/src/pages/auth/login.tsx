@@ -3,6 +3,8 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import toast from 'react-hot-toast';
+import { storeTokens } from '../../lib/auth';
+import { syncPushSubscription } from '../../lib/push';
 
 export default function Login() {
   const router = useRouter();
@@ -11,6 +13,10 @@ export default function Login() {
     password: '',
   });
   const [loading, setLoading] = useState(false);
+  // Set when the password was accepted but a second factor is required
+  const [challenge, setChallenge] = useState<{ token: string; method: 'totp' | 'sms' } | null>(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setFormData({
@@ -34,9 +40,13 @@ export default function Login() {
 
       const data = await response.json();
 
-      if (response.ok) {
-        // Store token in localStorage (in production, consider httpOnly cookies)
-        localStorage.setItem('token', data.token);
+      if (response.ok && data.twoFactorRequired) {
+        setChallenge({ token: data.challengeToken, method: data.method });
+      } else if (response.ok) {
+        // Store tokens in localStorage (in production, consider httpOnly cookies)
+        storeTokens(data);
+        // Push for this browser now goes to the signed-in user
+        syncPushSubscription().catch(() => null);
         toast.success('Login successful!');
         router.push('/dashboard');
       } else {
@@ -50,6 +60,65 @@ export default function Login() {
     }
   };
 
+  const handleCodeSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          challengeToken: challenge.token,
+          [useRecoveryCode ? 'recoveryCode' : 'code']: code.trim(),
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        storeTokens(data);
+        syncPushSubscription().catch(() => null);
+        toast.success('Login successful!');
+        router.push('/dashboard');
+      } else if (response.status === 401 && !data.error?.startsWith('Invalid')) {
+        // Challenge expired; start over
+        setChallenge(null);
+        setCode('');
+        toast.error(data.error);
+      } else {
+        toast.error(data.error || 'Verification failed');
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      toast.error('An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resendSmsCode = async () => {
+    if (!challenge) return;
+
+    const response = await fetch('/api/auth/2fa/sms', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ challengeToken: challenge.token }),
+    });
+    const data = await response.json();
+
+    if (response.ok) {
+      toast.success('A new code has been sent.');
+    } else {
+      toast.error(data.error || 'Could not send a new code');
+    }
+  };
+
   return (
     <>
       <Head>
@@ -75,6 +144,62 @@ export default function Login() {
 
         <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
           <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+            {challenge ? (
+              <form className="space-y-6" onSubmit={handleCodeSubmit}>
+                <div>
+                  <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                    {useRecoveryCode
+                      ? 'Recovery code'
+                      : challenge.method === 'sms'
+                        ? 'Enter the code we sent to your phone'
+                        : 'Enter the code from your authenticator app'}
+                  </label>
+                  <div className="mt-1">
+                    <input
+                      id="code"
+                      name="code"
+                      type="text"
+                      inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                      autoComplete="one-time-code"
+                      required
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                      placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between text-sm">
+                  <button
+                    type="button"
+                    onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+                    className="font-medium text-blue-600 hover:text-blue-500"
+                  >
+                    {useRecoveryCode ? 'Use a verification code' : 'Use a recovery code'}
+                  </button>
+                  {challenge.method === 'sms' && !useRecoveryCode && (
+                    <button
+                      type="button"
+                      onClick={resendSmsCode}
+                      className="font-medium text-blue-600 hover:text-blue-500"
+                    >
+                      Resend code
+                    </button>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={loading}
+                    className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {loading ? 'Verifying...' : 'Verify'}
+                  </button>
+                </div>
+              </form>
+            ) : (
             <form className="space-y-6" onSubmit={handleSubmit}>
               <div>
                 <label htmlFor="email" className="block text-sm font-medium text-gray-700">
@@ -144,6 +269,7 @@ export default function Login() {
                 </button>
               </div>
             </form>
+            )}
 
             <div className="mt-6">
               <div className="relative">
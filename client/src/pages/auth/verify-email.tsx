@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+
+type Status = 'verifying' | 'verified' | 'failed';
+
+export default function VerifyEmail() {
+  const router = useRouter();
+  const [status, setStatus] = useState<Status>('verifying');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    const token = router.query.token;
+    if (typeof token !== 'string') {
+      setStatus('failed');
+      setError('This verification link is incomplete.');
+      return;
+    }
+
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+          setStatus('verified');
+        } else {
+          setStatus('failed');
+          setError(data.error || 'Verification failed');
+        }
+      } catch (error) {
+        console.error('Email verification error:', error);
+        setStatus('failed');
+        setError('An error occurred. Please try again.');
+      }
+    };
+
+    verify();
+  }, [router.isReady, router.query.token]);
+
+  return (
+    <>
+      <Head>
+        <title>Verify Email - Community Aid Platform</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div className="sm:mx-auto sm:w-full sm:max-w-md">
+          <Link href="/" className="flex justify-center">
+            <h1 className="text-3xl font-bold text-blue-600">Community Aid</h1>
+          </Link>
+        </div>
+
+        <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+          <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center">
+            {status === 'verifying' && (
+              <p className="text-gray-600">Verifying your email...</p>
+            )}
+            {status === 'verified' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900">Email verified</h2>
+                <p className="mt-2 text-gray-600">Your account is ready to use.</p>
+                <Link href="/auth/login" className="mt-6 inline-block font-medium text-blue-600 hover:text-blue-500">
+                  Continue to sign in
+                </Link>
+              </>
+            )}
+            {status === 'failed' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-900">Verification failed</h2>
+                <p className="mt-2 text-gray-600">{error}</p>
+                <p className="mt-2 text-sm text-gray-500">
+                  Links expire after 24 hours. Sign in to request a new one.
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import toast from 'react-hot-toast';
+import { authFetch } from '../../lib/auth';
+import { OutboxItem } from '../../lib/offlineDb';
+import { getOutbox, queueMessage, sendQueued } from '../../lib/offlineQueue';
+
+interface Message {
+  _id: string;
+  sender: { _id: string } | string;
+  content: string;
+  timestamp: string;
+}
+
+const senderId = (message: Message) =>
+  typeof message.sender === 'string' ? message.sender : message.sender?._id;
+
+export default function Chat() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [messages, setMessages] = useState<Message[]>([]);
+  // Messages written here that are still in the outbox
+  const [outgoing, setOutgoing] = useState<OutboxItem[]>([]);
+  const [userId, setUserId] = useState<string | null>(null);
+  const [content, setContent] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const loadMessages = useCallback(async (chatId: string) => {
+    try {
+      const response = await authFetch(`/api/chat/${chatId}/messages`);
+      if (response.ok) {
+        const data = await response.json();
+        setMessages(data.messages);
+      } else if (response.status === 401) {
+        router.push('/auth/login');
+      }
+    } catch (error) {
+      // Offline: keep whatever is already on screen
+    }
+
+    const outbox = await getOutbox();
+    setOutgoing(outbox.filter(item => item.type === 'message' && item.payload.chatId === chatId));
+    setLoading(false);
+  }, [router]);
+
+  useEffect(() => {
+    if (typeof id !== 'string') return;
+
+    loadMessages(id);
+    authFetch('/api/auth/profile')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setUserId(data.user._id))
+      .catch(() => null);
+  }, [id, loadMessages]);
+
+  const handleSend = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const text = content.trim();
+    if (!text || typeof id !== 'string') return;
+
+    setContent('');
+    try {
+      const item = await queueMessage(id, text);
+      const outcome = await sendQueued(item);
+      if (outcome.status === 'conflict' || outcome.status === 'failed') {
+        toast.error(outcome.error || 'Message could not be sent');
+      }
+    } catch (error) {
+      console.error('Send message error:', error);
+      toast.error('An error occurred. Please try again.');
+    } finally {
+      loadMessages(id);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Chat - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50 flex flex-col">
+        <div className="max-w-3xl w-full mx-auto px-4 sm:px-6 lg:px-8 py-8 flex-1 flex flex-col">
+          <div className="flex items-center justify-between mb-4">
+            <h1 className="text-2xl font-bold">Chat</h1>
+            <Link href="/outbox" className="text-blue-600 hover:text-blue-800">Outbox</Link>
+          </div>
+
+          <div className="flex-1 bg-white rounded-lg shadow-md p-4 space-y-3 overflow-y-auto">
+            {loading && <div className="text-center text-gray-600">Loading messages...</div>}
+            {messages.map(message => (
+              <div key={message._id} className={`flex ${senderId(message) === userId ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-xs px-3 py-2 rounded-lg ${senderId(message) === userId ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                  <p className="whitespace-pre-line">{message.content}</p>
+                  <p className="text-xs opacity-75 mt-1">{new Date(message.timestamp).toLocaleTimeString()}</p>
+                </div>
+              </div>
+            ))}
+            {outgoing.map(item => (
+              <div key={item.clientId} className="flex justify-end">
+                <div className="max-w-xs px-3 py-2 rounded-lg bg-blue-100 text-blue-900">
+                  <p className="whitespace-pre-line">{item.payload.content}</p>
+                  <p className="text-xs mt-1">
+                    {item.status === 'pending' ? 'Waiting to send' : `Not sent: ${item.error || item.status}`}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={handleSend} className="flex gap-2 mt-4">
+            <input
+              value={content}
+              onChange={(e) => setContent(e.target.value)}
+              maxLength={2000}
+              placeholder="Write a message"
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2"
+            />
+            <button
+              type="submit"
+              disabled={!content.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              Send
+            </button>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -2,15 +2,19 @@ import React, { useEffect, useState } from 'react';
 import Head from 'next/head';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
+import ResourceImage, { ResourceImageData } from '../components/ResourceImage';
+import { fetchResources } from '../lib/resourceCache';
 
 interface Resource {
   _id: string;
   title: string;
   description: string;
   category: string;
-  images: string[];
-  donor: {
-    name: string;
+  images: ResourceImageData[];
+  owner: {
+    username: string;
+    firstName: string;
+    lastName: string;
     profilePicture?: string;
   };
   location: {
@@ -30,6 +34,7 @@ export default function Home() {
   const [featuredResources, setFeaturedResources] = useState<Resource[]>([]);
   const [stats, setStats] = useState<Stats>({ totalUsers: 0, totalResources: 0, totalImpacts: 0 });
   const [loading, setLoading] = useState(true);
+  const [cachedAt, setCachedAt] = useState<number | null>(null);
 
   useEffect(() => {
     fetchHomeData();
@@ -37,11 +42,13 @@ export default function Home() {
 
   const fetchHomeData = async () => {
     try {
-      // Fetch featured resources
-      const resourcesResponse = await fetch('/api/resources?limit=6');
-      if (resourcesResponse.ok) {
-        const resourcesData = await resourcesResponse.json();
-        setFeaturedResources(resourcesData.resources || []);
+      // Fetch featured resources (falls back to the saved list when offline)
+      try {
+        const resourcesData = await fetchResources({ limit: 6 });
+        setFeaturedResources(resourcesData.resources);
+        setCachedAt(resourcesData.fromCache ? resourcesData.cachedAt : null);
+      } catch (error) {
+        console.error('Error fetching resources:', error);
       }
 
       // Fetch community stats
@@ -165,6 +172,11 @@ export default function Home() {
         <section className="py-16 bg-gray-50">
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
             <h3 className="text-3xl font-bold text-center mb-12">Featured Resources</h3>
+            {cachedAt && (
+              <p className="text-center text-sm text-gray-500 -mt-8 mb-8">
+                Offline - showing resources saved {new Date(cachedAt).toLocaleString()}
+              </p>
+            )}
             {loading ? (
               <div className="text-center text-gray-600">Loading resources...</div>
             ) : (
@@ -173,10 +185,10 @@ export default function Home() {
                   <div key={resource._id} className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
                     <div className="h-48 bg-gray-200 flex items-center justify-center">
                       {resource.images && resource.images.length > 0 ? (
-                        <img
-                          src={resource.images[0]}
+                        <ResourceImage
+                          image={resource.images[0]}
                           alt={resource.title}
-                          className="w-full h-full object-cover"
+                          className="w-full h-full"
                         />
                       ) : (
                         <div className="text-gray-400">No image</div>
@@ -196,7 +208,7 @@ export default function Home() {
                       <div className="flex items-center justify-between">
                         <div className="flex items-center">
                           <div className="w-8 h-8 bg-gray-300 rounded-full mr-2"></div>
-                          <span className="text-sm text-gray-600">{resource.donor.name}</span>
+                          <span className="text-sm text-gray-600">{resource.owner?.firstName} {resource.owner?.lastName}</span>
                         </div>
                         <Link
                           href={`/resources/${resource._id}`}
@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import toast from 'react-hot-toast';
+import { OutboxItem, ResourceDraft } from '../lib/offlineDb';
+import { deleteDraft, getDrafts, getOutbox, isOnline, replayQueue, resolveItem } from '../lib/offlineQueue';
+
+const STATUS_LABELS: Record<OutboxItem['status'], string> = {
+  pending: 'Waiting to send',
+  conflict: 'Conflict',
+  failed: 'Failed'
+};
+
+const STATUS_STYLES: Record<OutboxItem['status'], string> = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  conflict: 'bg-orange-100 text-orange-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const describe = (item: OutboxItem) => {
+  switch (item.type) {
+    case 'resource':
+      return `New resource: ${item.payload.title}`;
+    case 'interest':
+      return 'Interest in a resource';
+    case 'message':
+      return `Message: ${item.payload.content}`;
+    default:
+      return item.type;
+  }
+};
+
+// Changes made offline that have not reached the server yet, and resource
+// drafts saved on this device
+export default function Outbox() {
+  const [items, setItems] = useState<OutboxItem[]>([]);
+  const [drafts, setDrafts] = useState<ResourceDraft[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const load = async () => {
+    const [outbox, savedDrafts] = await Promise.all([getOutbox(), getDrafts()]);
+    setItems(outbox);
+    setDrafts(savedDrafts);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const handleRetry = async (item: OutboxItem) => {
+    await resolveItem(item.id!, 'retry');
+    if (isOnline()) {
+      const result = await replayQueue();
+      if (result.synced > 0) toast.success('Sent');
+    } else {
+      toast.success('Will be sent when you reconnect');
+    }
+    load();
+  };
+
+  const handleDiscard = async (item: OutboxItem) => {
+    await resolveItem(item.id!, 'discard');
+    load();
+  };
+
+  const handleDeleteDraft = async (draft: ResourceDraft) => {
+    await deleteDraft(draft.id!);
+    load();
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Outbox - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold mb-6">Outbox</h1>
+
+          {loading ? (
+            <div className="text-center text-gray-600">Loading...</div>
+          ) : (
+            <>
+              <section className="mb-10">
+                {items.length === 0 ? (
+                  <p className="text-gray-600">Everything has been sent.</p>
+                ) : (
+                  <ul className="space-y-3">
+                    {items.map(item => (
+                      <li key={item.clientId} className="bg-white rounded-lg shadow-md p-4">
+                        <div className="flex items-center justify-between gap-4">
+                          <p className="font-medium truncate">{describe(item)}</p>
+                          <span className={`text-xs px-2 py-1 rounded whitespace-nowrap ${STATUS_STYLES[item.status]}`}>
+                            {STATUS_LABELS[item.status]}
+                          </span>
+                        </div>
+                        <p className="text-sm text-gray-500 mt-1">
+                          Queued {new Date(item.createdAt).toLocaleString()}
+                          {item.attempts > 0 && ` - ${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'}`}
+                        </p>
+                        {item.error && <p className="text-sm text-red-600 mt-1">{item.error}</p>}
+                        {item.status !== 'pending' && (
+                          <div className="flex gap-4 mt-3 text-sm">
+                            <button onClick={() => handleRetry(item)} className="text-blue-600 hover:text-blue-800">
+                              Try again
+                            </button>
+                            <button onClick={() => handleDiscard(item)} className="text-red-600 hover:text-red-800">
+                              Discard
+                            </button>
+                          </div>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              <section>
+                <h2 className="text-xl font-semibold mb-4">Drafts</h2>
+                {drafts.length === 0 ? (
+                  <p className="text-gray-600">No saved drafts.</p>
+                ) : (
+                  <ul className="space-y-3">
+                    {drafts.map(draft => (
+                      <li key={draft.id} className="bg-white rounded-lg shadow-md p-4 flex items-center justify-between gap-4">
+                        <div className="min-w-0">
+                          <p className="font-medium truncate">{draft.title || 'Untitled draft'}</p>
+                          <p className="text-sm text-gray-500">Saved {new Date(draft.updatedAt).toLocaleString()}</p>
+                        </div>
+                        <div className="flex gap-4 text-sm">
+                          <Link href={`/resources/new?draft=${draft.id}`} className="text-blue-600 hover:text-blue-800">
+                            Edit
+                          </Link>
+                          <button onClick={() => handleDeleteDraft(draft)} className="text-red-600 hover:text-red-800">
+                            Delete
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import toast from 'react-hot-toast';
+import ResourceImage, { ResourceImageData } from '../../components/ResourceImage';
+import { authFetch } from '../../lib/auth';
+import { queueInterest, sendQueued } from '../../lib/offlineQueue';
+import { findCachedResource } from '../../lib/resourceCache';
+
+interface Resource {
+  _id: string;
+  title: string;
+  description: string;
+  category: string;
+  status: string;
+  condition?: string;
+  quantity?: number;
+  images: ResourceImageData[];
+  owner?: {
+    firstName: string;
+    lastName: string;
+  };
+  location?: {
+    address?: string;
+    city?: string;
+  };
+}
+
+export default function ResourceDetails() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [resource, setResource] = useState<Resource | null>(null);
+  const [cachedAt, setCachedAt] = useState<number | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (typeof id === 'string') fetchResource(id);
+  }, [id]);
+
+  const fetchResource = async (resourceId: string) => {
+    try {
+      const response = await authFetch(`/api/resources/${resourceId}`);
+      if (response.ok) {
+        setResource(await response.json());
+        setCachedAt(null);
+      } else if (response.status === 404) {
+        setResource(null);
+      }
+    } catch (error) {
+      // Offline: fall back to the copy saved with a resource list
+      const cached = await findCachedResource(resourceId);
+      if (cached) {
+        setResource(cached.resource);
+        setCachedAt(cached.cachedAt);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInterest = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!resource) return;
+    setSending(true);
+
+    try {
+      const item = await queueInterest(resource._id, message.trim() || undefined);
+      const outcome = await sendQueued(item);
+
+      if (outcome.status === 'sent') {
+        toast.success('Interest sent to the owner');
+      } else if (outcome.status === 'pending') {
+        toast.success('You are offline. Your interest will be sent when you reconnect.');
+      } else {
+        toast.error(outcome.error || 'Could not send your interest');
+      }
+      setMessage('');
+    } catch (error) {
+      console.error('Express interest error:', error);
+      toast.error('An error occurred. Please try again.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="min-h-screen flex items-center justify-center text-gray-600">Loading resource...</div>;
+  }
+
+  if (!resource) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center text-gray-600">
+        <p className="mb-4">Resource not found.</p>
+        <Link href="/resources" className="text-blue-600 hover:text-blue-800">Back to resources</Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>{resource.title} - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <Link href="/resources" className="text-blue-600 hover:text-blue-800">&larr; Back to resources</Link>
+
+          {cachedAt && (
+            <p className="text-sm text-gray-500 mt-4">
+              Offline - showing details saved {new Date(cachedAt).toLocaleString()}
+            </p>
+          )}
+
+          <div className="bg-white rounded-lg shadow-md overflow-hidden mt-4">
+            {resource.images && resource.images.length > 0 && (
+              <div className="h-72 bg-gray-200">
+                <ResourceImage image={resource.images[0]} alt={resource.title} variant="full" className="w-full h-full" />
+              </div>
+            )}
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">{resource.category}</span>
+                <span className="text-sm text-gray-500">{resource.location?.city || resource.location?.address}</span>
+              </div>
+              <h1 className="text-3xl font-bold mb-4">{resource.title}</h1>
+              <p className="text-gray-700 mb-4 whitespace-pre-line">{resource.description}</p>
+              <div className="text-sm text-gray-500 space-y-1">
+                {resource.owner && <p>Shared by {resource.owner.firstName} {resource.owner.lastName}</p>}
+                {resource.condition && <p>Condition: {resource.condition.replace('_', ' ')}</p>}
+                {resource.quantity && <p>Quantity: {resource.quantity}</p>}
+              </div>
+            </div>
+          </div>
+
+          {resource.status === 'available' && (
+            <form onSubmit={handleInterest} className="bg-white rounded-lg shadow-md p-6 mt-6">
+              <h2 className="text-xl font-semibold mb-4">Interested?</h2>
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                rows={3}
+                maxLength={500}
+                placeholder="Add a note for the owner (optional)"
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 mb-4"
+              />
+              <button
+                type="submit"
+                disabled={sending}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {sending ? 'Sending...' : 'Express interest'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
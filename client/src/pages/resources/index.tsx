@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import ResourceImage, { ResourceImageData } from '../../components/ResourceImage';
+import { fetchResources } from '../../lib/resourceCache';
+
+interface Resource {
+  _id: string;
+  title: string;
+  description: string;
+  category: string;
+  images: ResourceImageData[];
+  location: {
+    address?: string;
+    city?: string;
+  };
+}
+
+const RADIUS_OPTIONS = [2, 5, 10, 25];
+
+// Coordinates are rounded (about 1km) so small GPS drift still finds the
+// cached list when the connection drops
+const roundCoordinate = (value: number) => Math.round(value * 100) / 100;
+
+export default function Resources() {
+  const [resources, setResources] = useState<Resource[]>([]);
+  const [position, setPosition] = useState<[number, number] | null>(null);
+  const [radius, setRadius] = useState(10);
+  const [loading, setLoading] = useState(true);
+  const [cachedAt, setCachedAt] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      loadResources(null, radius);
+      return;
+    }
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setPosition([roundCoordinate(coords.longitude), roundCoordinate(coords.latitude)]),
+      () => loadResources(null, radius),
+      { maximumAge: 10 * 60 * 1000, timeout: 10000 }
+    );
+  }, []);
+
+  useEffect(() => {
+    if (position) loadResources(position, radius);
+  }, [position, radius]);
+
+  const loadResources = async (near: [number, number] | null, km: number) => {
+    setLoading(true);
+    try {
+      const data = await fetchResources({
+        location: near ? near.join(',') : undefined,
+        radius: near ? km : undefined,
+        limit: 20
+      });
+      setResources(data.resources);
+      setCachedAt(data.fromCache ? data.cachedAt : null);
+    } catch (error) {
+      console.error('Error fetching resources:', error);
+      setResources([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Nearby Resources - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+            <h1 className="text-3xl font-bold">{position ? 'Resources near you' : 'Resources'}</h1>
+            <div className="flex items-center gap-4">
+              {position && (
+                <select
+                  value={radius}
+                  onChange={(e) => setRadius(Number(e.target.value))}
+                  className="border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  {RADIUS_OPTIONS.map(km => (
+                    <option key={km} value={km}>Within {km} km</option>
+                  ))}
+                </select>
+              )}
+              <Link
+                href="/resources/new"
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Share a resource
+              </Link>
+            </div>
+          </div>
+
+          {cachedAt && (
+            <p className="text-sm text-gray-500 mb-6">
+              Offline - showing resources saved {new Date(cachedAt).toLocaleString()}
+            </p>
+          )}
+
+          {loading ? (
+            <div className="text-center text-gray-600">Loading resources...</div>
+          ) : resources.length === 0 ? (
+            <div className="text-center text-gray-600">No resources found.</div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8">
+              {resources.map((resource) => (
+                <Link
+                  key={resource._id}
+                  href={`/resources/${resource._id}`}
+                  className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow"
+                >
+                  <div className="h-48 bg-gray-200 flex items-center justify-center">
+                    {resource.images && resource.images.length > 0 ? (
+                      <ResourceImage image={resource.images[0]} alt={resource.title} className="w-full h-full" />
+                    ) : (
+                      <div className="text-gray-400">No image</div>
+                    )}
+                  </div>
+                  <div className="p-6">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="text-sm bg-blue-100 text-blue-800 px-2 py-1 rounded">
+                        {resource.category}
+                      </span>
+                      <span className="text-sm text-gray-500">{resource.location?.city}</span>
+                    </div>
+                    <h2 className="text-xl font-semibold mb-2">{resource.title}</h2>
+                    <p className="text-gray-600 line-clamp-2">{resource.description}</p>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import toast from 'react-hot-toast';
+import { ResourceDraft } from '../../lib/offlineDb';
+import { getDrafts, queueResource, saveDraft, sendQueued } from '../../lib/offlineQueue';
+
+const CATEGORIES = [
+  'food', 'clothing', 'books', 'electronics', 'furniture',
+  'medical', 'educational', 'tools', 'toys', 'services', 'other'
+];
+const CONDITIONS = ['new', 'like_new', 'good', 'fair', 'poor'];
+const MAX_IMAGES = 5;
+
+const emptyDraft = (): ResourceDraft => ({
+  title: '',
+  description: '',
+  category: 'food',
+  type: 'donation',
+  quantity: 1,
+  condition: 'good',
+  images: [],
+  updatedAt: Date.now()
+});
+
+export default function NewResource() {
+  const router = useRouter();
+  const [draft, setDraft] = useState<ResourceDraft>(emptyDraft);
+  const [address, setAddress] = useState('');
+  const [city, setCity] = useState('');
+  const [coordinates, setCoordinates] = useState<[number, number] | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // ?draft=<id> continues a draft saved on this device
+  useEffect(() => {
+    if (!router.isReady || !router.query.draft) return;
+
+    getDrafts().then(drafts => {
+      const saved = drafts.find(item => item.id === Number(router.query.draft));
+      if (!saved) return;
+
+      setDraft(saved);
+      setAddress(saved.location?.address || '');
+      setCity(saved.location?.city || '');
+      setCoordinates(saved.location?.coordinates || null);
+    });
+  }, [router.isReady, router.query.draft]);
+
+  useEffect(() => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) return;
+
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => setCoordinates(current => current || [coords.longitude, coords.latitude]),
+      () => null,
+      { maximumAge: 10 * 60 * 1000, timeout: 10000 }
+    );
+  }, []);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement>) => {
+    const { name, value } = e.target;
+    setDraft({
+      ...draft,
+      [name]: name === 'quantity' ? Number(value) : value,
+    });
+  };
+
+  const handleImages = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    setDraft({ ...draft, images: [...draft.images, ...files].slice(0, MAX_IMAGES) });
+    e.target.value = '';
+  };
+
+  const removeImage = (index: number) => {
+    setDraft({ ...draft, images: draft.images.filter((_, i) => i !== index) });
+  };
+
+  const currentDraft = (): ResourceDraft => ({
+    ...draft,
+    location: coordinates ? { coordinates, address, city: city || undefined } : undefined,
+  });
+
+  const handleSaveDraft = async () => {
+    try {
+      const saved = await saveDraft(currentDraft());
+      setDraft(saved);
+      toast.success('Draft saved on this device');
+    } catch (error) {
+      console.error('Save draft error:', error);
+      toast.error('Could not save the draft');
+    }
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!coordinates) {
+      toast.error('Allow location access so others can find this resource');
+      return;
+    }
+    setSubmitting(true);
+
+    try {
+      // Saved as a draft first so nothing is lost if sending fails; the
+      // draft is removed once the server accepts the resource
+      const saved = await saveDraft(currentDraft());
+      const item = await queueResource(saved);
+      const outcome = await sendQueued(item);
+
+      if (outcome.status === 'sent') {
+        toast.success('Resource shared!');
+        router.push('/resources');
+      } else if (outcome.status === 'pending') {
+        toast.success('You are offline. Your resource will be posted when you reconnect.');
+        router.push('/outbox');
+      } else {
+        toast.error(outcome.error || 'Could not share the resource');
+        router.push('/outbox');
+      }
+    } catch (error) {
+      console.error('Create resource error:', error);
+      toast.error('An error occurred. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Share a Resource - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="flex items-center justify-between mb-6">
+            <h1 className="text-3xl font-bold">Share a resource</h1>
+            <Link href="/outbox" className="text-blue-600 hover:text-blue-800">Drafts &amp; outbox</Link>
+          </div>
+
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 space-y-4">
+            <div>
+              <label htmlFor="title" className="block text-sm font-medium text-gray-700">Title</label>
+              <input
+                id="title"
+                name="title"
+                required
+                maxLength={100}
+                value={draft.title}
+                onChange={handleChange}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+              <textarea
+                id="description"
+                name="description"
+                required
+                rows={4}
+                value={draft.description}
+                onChange={handleChange}
+                className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+              />
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label htmlFor="category" className="block text-sm font-medium text-gray-700">Category</label>
+                <select
+                  id="category"
+                  name="category"
+                  value={draft.category}
+                  onChange={handleChange}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  {CATEGORIES.map(category => (
+                    <option key={category} value={category}>{category}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="condition" className="block text-sm font-medium text-gray-700">Condition</label>
+                <select
+                  id="condition"
+                  name="condition"
+                  value={draft.condition}
+                  onChange={handleChange}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                >
+                  {CONDITIONS.map(condition => (
+                    <option key={condition} value={condition}>{condition.replace('_', ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">Quantity</label>
+                <input
+                  id="quantity"
+                  name="quantity"
+                  type="number"
+                  min={1}
+                  value={draft.quantity}
+                  onChange={handleChange}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="address" className="block text-sm font-medium text-gray-700">Pickup address</label>
+                <input
+                  id="address"
+                  required
+                  value={address}
+                  onChange={(e) => setAddress(e.target.value)}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+              <div>
+                <label htmlFor="city" className="block text-sm font-medium text-gray-700">City</label>
+                <input
+                  id="city"
+                  value={city}
+                  onChange={(e) => setCity(e.target.value)}
+                  className="mt-1 w-full border border-gray-300 rounded-lg px-3 py-2"
+                />
+              </div>
+            </div>
+            {!coordinates && (
+              <p className="text-sm text-gray-500">Waiting for your location...</p>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Photos</label>
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                disabled={draft.images.length >= MAX_IMAGES}
+                onChange={handleImages}
+                className="mt-1"
+              />
+              {draft.images.length > 0 && (
+                <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                  {draft.images.map((image, index) => (
+                    <li key={index} className="flex items-center justify-between">
+                      <span>Photo {index + 1} ({Math.round(image.size / 1024)} KB)</span>
+                      <button type="button" onClick={() => removeImage(index)} className="text-red-600 hover:text-red-800">
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-4 pt-2">
+              <button
+                type="button"
+                onClick={handleSaveDraft}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 transition-colors"
+              >
+                Save draft
+              </button>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {submitting ? 'Sharing...' : 'Share'}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
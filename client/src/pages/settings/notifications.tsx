@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import toast from 'react-hot-toast';
+import { disablePush, enablePush, isPushEnabled, isPushSupported } from '../../lib/push';
+import { signOut } from '../../lib/session';
+
+export default function NotificationSettings() {
+  const router = useRouter();
+  const [supported, setSupported] = useState(true);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setSupported(isPushSupported());
+    isPushEnabled().then(setPushEnabled).catch(() => setPushEnabled(false));
+  }, []);
+
+  // Subscribing has to start from a click: browsers block permission
+  // prompts that are not triggered by the user
+  const handleTogglePush = async () => {
+    setLoading(true);
+
+    try {
+      if (pushEnabled) {
+        await disablePush();
+        setPushEnabled(false);
+        toast.success('Push notifications turned off for this browser');
+      } else if (await enablePush()) {
+        setPushEnabled(true);
+        toast.success('Push notifications turned on for this browser');
+      } else if (typeof Notification !== 'undefined' && Notification.permission === 'denied') {
+        toast.error('Notifications are blocked. Allow them in your browser settings.');
+      } else {
+        toast.error('Push notifications are not available right now');
+      }
+    } catch (error) {
+      console.error('Push settings error:', error);
+      toast.error('An error occurred. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = async () => {
+    await signOut();
+    router.push('/auth/login');
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Notification Settings - Community Aid</title>
+      </Head>
+
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <h1 className="text-3xl font-bold mb-6">Notification settings</h1>
+
+          <div className="bg-white rounded-lg shadow-md p-6 flex items-center justify-between gap-4">
+            <div>
+              <h2 className="text-lg font-semibold">Push notifications</h2>
+              <p className="text-sm text-gray-600">
+                {supported
+                  ? 'New messages, reservation updates and emergency alerts on this device, even when the site is closed.'
+                  : 'This browser does not support push notifications.'}
+              </p>
+            </div>
+            <button
+              onClick={handleTogglePush}
+              disabled={!supported || loading}
+              className={`px-4 py-2 rounded-lg transition-colors disabled:opacity-50 whitespace-nowrap ${
+                pushEnabled
+                  ? 'border border-gray-300 text-gray-700 hover:bg-gray-100'
+                  : 'bg-blue-600 text-white hover:bg-blue-700'
+              }`}
+            >
+              {pushEnabled ? 'Turn off' : 'Turn on'}
+            </button>
+          </div>
+
+          <div className="text-right mt-8">
+            <button onClick={handleSignOut} className="text-red-600 hover:text-red-800">
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
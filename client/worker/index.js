@@ -0,0 +1,66 @@
+// Custom service worker code; next-pwa bundles it into the generated sw.js.
+// Shows Web Push notifications sent by the server and opens the
+// notification's page when one is clicked.
+
+const ICON = '/icons/icon-192x192.png';
+const BADGE = '/icons/icon-72x72.png';
+
+const readPayload = (event) => {
+  try {
+    return event.data.json();
+  } catch (error) {
+    return { title: 'Community Aid', body: event.data.text() };
+  }
+};
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  const payload = readPayload(event);
+  const accessibility = payload.accessibility || {};
+  const critical = payload.priority === 'critical';
+
+  // Notifications with the same tag (e.g. one chat) replace each other
+  const title = payload.count > 1 ? `${payload.title} (${payload.count})` : payload.title;
+
+  event.waitUntil(self.registration.showNotification(title || 'Community Aid', {
+    body: payload.body,
+    icon: ICON,
+    badge: BADGE,
+    tag: payload.tag,
+    renotify: Boolean(payload.tag),
+    // Critical alerts, and everything for screen reader users, stay until dismissed
+    requireInteraction: critical || Boolean(accessibility.screenReader),
+    // A stronger pattern for critical alerts and users who rely on visual/haptic cues
+    vibrate: critical || accessibility.visualAlert ? [300, 100, 300, 100, 300] : [200],
+    data: {
+      url: payload.url || '/notifications',
+      notificationId: payload.notificationId,
+      type: payload.type
+    }
+  }));
+});
+
+// Deep link: focus an open tab of the app on the notification's page, or
+// open a new one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const data = event.notification.data || {};
+  const target = new URL(data.url || '/', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const appWindow = windows.find(client => new URL(client.url).origin === self.location.origin);
+
+    if (appWindow) {
+      const focused = await appWindow.focus();
+      if (focused.url !== target && 'navigate' in focused) {
+        await focused.navigate(target);
+      }
+      return;
+    }
+
+    await self.clients.openWindow(target);
+  })());
+});
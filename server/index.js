@@ -7,6 +7,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const cron = require('node-cron');
 require('dotenv').config();
 
 // Import routes
@@ -18,6 +19,36 @@ const impactRoutes = require('./routes/impact');
 const challengeRoutes = require('./routes/challenges');
 const aiRoutes = require('./routes/ai');
 const mapRoutes = require('./routes/maps');
+const smsRoutes = require('./routes/sms');
+const organizationRoutes = require('./routes/organizations');
+const disputeRoutes = require('./routes/disputes');
+const moderationRoutes = require('./routes/moderation');
+const notificationRoutes = require('./routes/notifications');
+const alertAreaRoutes = require('./routes/alertAreas');
+const savedSearchRoutes = require('./routes/savedSearches');
+
+// Import models used by scheduled jobs
+const Resource = require('./models/Resource');
+const Review = require('./models/Review');
+const User = require('./models/User');
+const Notification = require('./models/Notification');
+
+// Import media storage
+const { getStorage } = require('./services/storage');
+
+// Import scheduled email digest
+const { sendWeeklyDigests } = require('./services/emailDigest');
+
+// Import event bus and subscribers
+const { EVENTS, publish, subscribe } = require('./services/events');
+const { registerImpactLedger } = require('./services/impactLedger');
+const { registerReputation, refreshStaleReputations } = require('./services/reputation');
+const {
+  registerNotifications,
+  processDueDeliveries,
+  sendNotificationDigests
+} = require('./services/notifications');
+const { registerSavedSearches, flushPendingMatches } = require('./services/savedSearches');
 
 // Import socket handlers
 const chatHandler = require('./sockets/chatHandler');
@@ -51,18 +82,25 @@ app.use(compression());
 app.use(morgan('combined'));
 app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // SMS and USSD webhooks are signed, and provider retries come from shared IPs
+  skip: (req) => req.originalUrl.startsWith('/api/sms/')
 });
 app.use('/api/', limiter);
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Keep the raw body for webhook signature checks
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '50mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: keepRawBody }));
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -73,13 +111,28 @@ app.use('/api/impact', impactRoutes);
 app.use('/api/challenges', challengeRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/maps', mapRoutes);
+app.use('/api/sms', smsRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/alert-areas', alertAreaRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+
+// Serve uploaded media when using the local storage driver
+const storage = getStorage();
+if (storage.serve) {
+  app.use('/uploads', storage.serve());
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Socket.io connection handling
+// Socket.io connection handling (handshake requires an active session)
+io.use(chatHandler.authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
   
@@ -94,6 +147,127 @@ io.on('connection', (socket) => {
   });
 });
 
+// Domain event subscribers
+registerImpactLedger();
+registerReputation();
+registerNotifications(io);
+registerSavedSearches();
+
+// Drop sockets of revoked sessions
+subscribe(EVENTS.SESSIONS_REVOKED, ({ payload }) => {
+  payload.sessionIds.forEach(sessionId => {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  });
+});
+
+// Scheduled jobs
+// Release reservations whose pickup hold has expired
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const expired = await Resource.expireReservations();
+    for (const { resource, receiver } of expired) {
+      await publish(EVENTS.RESOURCE_RELEASED, { resource, receiver, reason: 'reservation_expired' });
+    }
+    if (expired.length > 0) {
+      console.log(`Released ${expired.length} expired reservation(s)`);
+    }
+  } catch (error) {
+    console.error('Reservation expiry job error:', error);
+  }
+});
+
+// Reveal handover reviews whose review period has ended, hourly
+cron.schedule('0 * * * *', async () => {
+  try {
+    const published = await Review.publishDue();
+    if (published.length > 0) {
+      await publish(EVENTS.REVIEWS_PUBLISHED, { reviews: published });
+      console.log(`Published ${published.length} handover review(s)`);
+    }
+  } catch (error) {
+    console.error('Review publishing job error:', error);
+  }
+});
+
+// Reactivate accounts whose suspension has ended, every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const lifted = await User.liftExpiredSuspensions();
+    if (lifted > 0) {
+      console.log(`Lifted ${lifted} expired suspension(s)`);
+    }
+  } catch (error) {
+    console.error('Suspension expiry job error:', error);
+  }
+});
+
+// Nightly reputation refresh so older reviews and no-shows fade, 03:00
+cron.schedule('0 3 * * *', async () => {
+  try {
+    const updated = await refreshStaleReputations();
+    console.log(`Refreshed ${updated} reputation(s)`);
+  } catch (error) {
+    console.error('Reputation refresh job error:', error);
+  }
+});
+
+// Trim notification inboxes over the per-user limit, 03:30 (expired
+// notifications are removed by their TTL index)
+cron.schedule('30 3 * * *', async () => {
+  try {
+    const removed = await Notification.trimInboxes();
+    if (removed > 0) {
+      console.log(`Removed ${removed} old notification(s)`);
+    }
+  } catch (error) {
+    console.error('Notification retention job error:', error);
+  }
+});
+
+// Retry failed notification sends and release those held for quiet hours, every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    await processDueDeliveries();
+  } catch (error) {
+    console.error('Notification delivery job error:', error);
+  }
+});
+
+// Batched notification emails, checked hourly (each user's digest goes out
+// in the early evening of their time zone)
+cron.schedule('5 * * * *', async () => {
+  try {
+    const sent = await sendNotificationDigests();
+    if (sent > 0) {
+      console.log(`Sent ${sent} notification digest email(s)`);
+    }
+  } catch (error) {
+    console.error('Notification digest job error:', error);
+  }
+});
+
+// Send saved search matches held back by throttling, every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const sent = await flushPendingMatches();
+    if (sent > 0) {
+      console.log(`Sent ${sent} saved search match notification(s)`);
+    }
+  } catch (error) {
+    console.error('Saved search job error:', error);
+  }
+});
+
+// Weekly email digest, Mondays at 08:00
+cron.schedule('0 8 * * 1', async () => {
+  try {
+    const sent = await sendWeeklyDigests();
+    console.log(`Sent ${sent} weekly digest email(s)`);
+  } catch (error) {
+    console.error('Weekly digest job error:', error);
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
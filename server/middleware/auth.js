@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/sessions');
+const { getTrustLevelName } = require('../services/trust');
 
-// Middleware to verify JWT token
+// Middleware to verify JWT token and its session
 const authenticate = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -10,40 +10,132 @@ const authenticate = async (req, res, next) => {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
+    const auth = await verifyAccessToken(token);
     
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid token. User not found.' });
+    if (!auth) {
+      return res.status(401).json({ error: 'Session expired or revoked. Please sign in again.' });
+    }
+    
+    if (auth.user.isSuspended()) {
+      return res.status(403).json(auth.user.getSuspensionNotice());
     }
     
     // Update last active timestamp
-    user.updateLastActive();
+    auth.user.updateLastActive();
     
-    req.user = user;
+    req.user = auth.user;
+    req.authSession = auth.session;
     next();
   } catch (error) {
     res.status(401).json({ error: 'Invalid token.' });
   }
 };
 
-// Middleware to check if user has required role
-const authorize = (roles) => {
+// Like authenticate, but lets anonymous requests through. An invalid or
+// revoked token is treated as anonymous.
+const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const auth = token && await verifyAccessToken(token);
+    
+    if (auth && !auth.user.isSuspended()) {
+      req.user = auth.user;
+      req.authSession = auth.session;
+    }
+  } catch (error) {
+    // Continue as an anonymous request
+  }
+  
+  next();
+};
+
+// Responds 403 unless the user has two-factor authentication enabled and
+// completed it in the current session. Returns true when the request may continue.
+const checkTwoFactor = (req, res) => {
+  if (!req.user.twoFactor || !req.user.twoFactor.enabled) {
+    res.status(403).json({
+      error: 'Two-factor authentication must be enabled for this action.',
+      twoFactorSetupRequired: true
+    });
+    return false;
+  }
+
+  if (!req.authSession || !req.authSession.twoFactorVerifiedAt) {
+    res.status(403).json({
+      error: 'Two-factor verification required for this session.',
+      twoFactorRequired: true
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Middleware to check if user has one of the given global roles.
+// requireTwoFactor enforces 2FA for every allowed role (true) or only for the
+// listed roles (array).
+const authorize = (roles, { requireTwoFactor = false } = {}) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ error: 'Authentication required.' });
     }
     
-    if (!roles.includes(req.user.role)) {
+    if (!roles.some(role => req.user.hasRole(role))) {
       return res.status(403).json({ 
         error: 'Access denied. Insufficient permissions.' 
       });
     }
     
+    const twoFactorRoles = Array.isArray(requireTwoFactor) ? requireTwoFactor : requireTwoFactor ? roles : [];
+    if (twoFactorRoles.some(role => req.user.hasRole(role)) && !checkTwoFactor(req, res)) {
+      return;
+    }
+    
     next();
   };
 };
 
+// Middleware to check a named permission (see services/permissions).
+// scope(req) may return { dropOffPoint, coordinates } so that roles limited
+// to a drop-off point or region also count.
+const requirePermission = (permission, { scope, requireTwoFactor = false } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    
+    try {
+      const target = scope ? await scope(req) : undefined;
+      
+      if (!req.user.can(permission, target)) {
+        return res.status(403).json({ 
+          error: 'Access denied. Insufficient permissions.',
+          permission
+        });
+      }
+    } catch (error) {
+      return res.status(500).json({ error: 'Server error.' });
+    }
+    
+    if (requireTwoFactor && !checkTwoFactor(req, res)) {
+      return;
+    }
+    
+    next();
+  };
+};
+
+// Middleware to require two-factor authentication regardless of role
+const requireTwoFactor = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+  
+  if (checkTwoFactor(req, res)) {
+    next();
+  }
+};
+
 // Middleware to check if user is verified
 const requireVerification = (req, res, next) => {
   if (!req.user) {
@@ -59,6 +151,25 @@ const requireVerification = (req, res, next) => {
   next();
 };
 
+// Middleware to require a minimum trust level (see services/trust)
+const requireTrustLevel = (level) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+    
+    if (!req.user.hasTrustLevel(level)) {
+      return res.status(403).json({
+        error: `This action requires ${getTrustLevelName(level)} verification.`,
+        requiredTrustLevel: level,
+        trustLevel: req.user.trust.level
+      });
+    }
+    
+    next();
+  };
+};
+
 // Middleware to check if user owns the resource
 const checkResourceOwnership = (Model, paramName = 'id') => {
   return async (req, res, next) => {
@@ -166,11 +277,9 @@ const logUserActivity = (action) => {
 // Middleware to handle file upload validation
 const validateFileUpload = (fileTypes = [], maxSize = 10 * 1024 * 1024) => {
   return (req, res, next) => {
-    if (!req.files || req.files.length === 0) {
-      return next();
-    }
+    const files = [].concat(req.files || [], req.file || []);
     
-    for (const file of req.files) {
+    for (const file of files) {
       // Check file type
       if (fileTypes.length > 0 && !fileTypes.includes(file.mimetype)) {
         return res.status(400).json({
@@ -229,8 +338,13 @@ const handleLanguagePreference = (req, res, next) => {
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
+  requireTwoFactor,
+  checkTwoFactor,
   requireVerification,
+  requireTrustLevel,
   checkResourceOwnership,
   userRateLimit,
   validateLocation,
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => {
+  const files = [].concat(req.files || [], req.file || [])
+    .map(file => ({ field: file.fieldname, name: file.originalname, size: file.size }));
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body || {},
+      files
+    }))
+    .digest('hex');
+};
+
+// 409 for a key that is still being processed. Retry-After tells clients
+// to try again later, unlike a 409 returned by the route itself.
+const inProgress = (res, error) => {
+  res.set('Retry-After', String(IdempotencyKey.PROCESSING_TIMEOUT_SECONDS));
+  return res.status(409).json({ error });
+};
+
+// Middleware to make POST/PUT requests safe to retry.
+// When an Idempotency-Key header is sent, the first response is stored and
+// replayed for retries with the same key. Must run after authenticate (keys
+// are scoped per user) and after any upload middleware (the body is hashed).
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters.` });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required.' });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      method: req.method,
+      path: req.baseUrl + req.path,
+      requestHash
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ error: 'Server error.' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, key });
+
+    // Expired between the insert and the lookup
+    if (!existing) {
+      return inProgress(res, 'Idempotency-Key conflict. Please retry.');
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency-Key has already been used for a different request.'
+      });
+    }
+
+    if (existing.status === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // The first request crashed or timed out: this retry takes over the key
+    record = await IdempotencyKey.takeOverStale(existing._id);
+    if (!record) {
+      return inProgress(res, 'A request with this Idempotency-Key is still being processed.');
+    }
+  }
+
+  // Capture the response so retries get the same answer. Server errors are
+  // not stored: the key is released so the client can try again.
+  let captured = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const settle = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : record.complete(res.statusCode, body);
+
+    settle.catch(error => console.error('Idempotency key save error:', error));
+    return json(body);
+  };
+
+  // Non-JSON responses are not replayable
+  res.on('finish', () => {
+    if (!captured) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch(error => console.error('Idempotency key release error:', error));
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const MIN_RADIUS = 100; // meters
+const MAX_RADIUS = 50000;
+const MAX_PER_USER = 10;
+
+// An area a user wants emergency alerts and need predictions for (e.g.
+// home, work, a relative's village): a center point and a radius.
+const alertAreaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  center: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'center must be [longitude, latitude]'
+      }
+    }
+  },
+  radius: {
+    type: Number,
+    required: true,
+    min: MIN_RADIUS,
+    max: MAX_RADIUS
+  }
+}, {
+  timestamps: true
+});
+
+alertAreaSchema.index({ center: '2dsphere' });
+alertAreaSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Ids of users with an area overlapping the circle around `coordinates`
+// (two circles overlap when their centers are closer than the sum of radii)
+alertAreaSchema.statics.findUserIdsIntersecting = async function(coordinates, radius = 0) {
+  const matches = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        maxDistance: radius + MAX_RADIUS,
+        key: 'center'
+      }
+    },
+    { $match: { $expr: { $lte: ['$distance', { $add: ['$radius', radius] }] } } },
+    { $group: { _id: '$user' } }
+  ]);
+
+  return matches.map(match => match._id.toString());
+};
+
+alertAreaSchema.statics.MIN_RADIUS = MIN_RADIUS;
+alertAreaSchema.statics.MAX_RADIUS = MAX_RADIUS;
+alertAreaSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+module.exports = mongoose.model('AlertArea', alertAreaSchema);
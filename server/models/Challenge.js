@@ -28,6 +28,11 @@ const challengeSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Organization hosting the challenge
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   // Challenge status
   status: {
     type: String,
@@ -241,6 +246,7 @@ challengeSchema.index({ status: 1, startDate: -1 });
 challengeSchema.index({ challengeType: 1, isPublic: 1 });
 challengeSchema.index({ location: '2dsphere' });
 challengeSchema.index({ creator: 1 });
+challengeSchema.index({ organization: 1 });
 challengeSchema.index({ 'participants.user': 1 });
 
 // Create text index for search
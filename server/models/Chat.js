@@ -88,6 +88,15 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Hidden by a moderator or held by automatic screening
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    hiddenAt: Date
+  },
   // Edited message tracking
   isEdited: {
     type: Boolean,
@@ -238,11 +247,66 @@ messageSchema.index({ sender: 1 });
 messageSchema.index({ createdAt: -1 });
 messageSchema.index({ messageType: 1 });
 
+// Method to list stored media attached to a message
+messageSchema.methods.getMedia = function() {
+  const media = [];
+  
+  if (this.image && this.image.publicId) {
+    media.push({ publicId: this.image.publicId, resourceType: 'image' });
+  }
+  if (this.voiceNote && this.voiceNote.publicId) {
+    media.push({ publicId: this.voiceNote.publicId, resourceType: 'video' });
+  }
+  
+  return media;
+};
+
+// Method to check if a message is visible to a user (hidden ones only to their sender)
+messageSchema.methods.isVisibleTo = function(userId) {
+  if (!this.moderation || !this.moderation.hidden) return true;
+  return (this.sender._id || this.sender).toString() === userId.toString();
+};
+
+// Method to check if a user is a participant
+chatSchema.methods.isParticipant = function(userId) {
+  return this.participants.some(
+    p => p.user && p.user.toString() === userId.toString()
+  );
+};
+
+// Method to check if a block stops a participant from writing here. Blocks
+// apply to one-to-one chats only, in both directions.
+chatSchema.methods.isBlockedFor = async function(userId) {
+  if (!['direct', 'resource_discussion'].includes(this.chatType)) return false;
+
+  const others = this.participants
+    .filter(p => p.user && p.user.toString() !== userId.toString())
+    .map(p => p.user);
+
+  const count = await mongoose.model('User').countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: { $in: others } },
+      { _id: { $in: others }, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+// Method to list stored media across all messages
+chatSchema.methods.getMedia = function() {
+  return this.messages.reduce((media, message) => media.concat(message.getMedia()), []);
+};
+
 // Method to add a message to chat
 chatSchema.methods.addMessage = function(messageData) {
   const message = this.messages.create(messageData);
   this.messages.push(message);
   
+  // Messages held for review are not announced to the other participants
+  if (message.moderation && message.moderation.hidden) {
+    return this.save();
+  }
+  
   // Update last message info
   this.lastMessage = {
     content: messageData.content || `${messageData.messageType} message`,
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// A case opened by one side of a handover against the other, handled by
+// moderators with the parties' chat history attached
+const disputeSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  against: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['not_as_described', 'no_show', 'damaged', 'unsafe', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  // Chats between the parties at the time the dispute was opened
+  chats: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'resolved'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Statements from the parties and moderator notes
+  statements: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    content: {
+      type: String,
+      required: true,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['upheld', 'rejected']
+    },
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ resource: 1, openedBy: 1 });
+disputeSchema.index({ openedBy: 1 });
+disputeSchema.index({ against: 1, 'resolution.outcome': 1 });
+
+// Method to check if a user is one of the two sides
+disputeSchema.methods.isParty = function(userId) {
+  return [this.openedBy, this.against].some(
+    id => id && (id._id || id).toString() === userId.toString()
+  );
+};
+
+// Method to take the case
+disputeSchema.methods.assign = function(moderatorId) {
+  this.assignedTo = moderatorId;
+  this.status = 'in_review';
+  return this.save();
+};
+
+// Method to close the case
+disputeSchema.methods.resolve = function(moderatorId, outcome, notes) {
+  this.status = 'resolved';
+  this.resolution = {
+    outcome,
+    notes,
+    resolvedBy: moderatorId,
+    resolvedAt: new Date()
+  };
+  return this.save();
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
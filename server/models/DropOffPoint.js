@@ -81,6 +81,11 @@ const dropOffPointSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Organization operating the point (its admins and coordinators manage it)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   // Accepted resource categories
   acceptedCategories: [{
     type: String,
@@ -268,6 +273,30 @@ const dropOffPointSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     }
+  }],
+  // Completed volunteer shifts
+  volunteerShifts: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    startedAt: {
+      type: Date,
+      required: true
+    },
+    endedAt: {
+      type: Date,
+      required: true
+    },
+    hours: {
+      type: Number,
+      min: 0
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }]
 }, {
   timestamps: true
@@ -281,6 +310,7 @@ dropOffPointSchema.index({ pointType: 1, isActive: 1 });
 dropOffPointSchema.index({ acceptedCategories: 1 });
 dropOffPointSchema.index({ isVerified: 1, isActive: 1 });
 dropOffPointSchema.index({ manager: 1 });
+dropOffPointSchema.index({ organization: 1 });
 
 // Method to check if point is open at a specific time
 dropOffPointSchema.methods.isOpenAt = function(date = new Date()) {
@@ -341,6 +371,31 @@ dropOffPointSchema.methods.acceptsCategory = function(category) {
   return this.acceptedCategories.includes(category);
 };
 
+// Method to check if a user manages or volunteers at this point
+dropOffPointSchema.methods.isStaff = function(userId) {
+  if (this.manager && this.manager.toString() === userId.toString()) return true;
+  
+  return this.volunteers.some(
+    v => v.isActive && v.user && v.user.toString() === userId.toString()
+  );
+};
+
+// Method to record a finished volunteer shift
+dropOffPointSchema.methods.recordShift = function(userId, startedAt, endedAt, recordedBy) {
+  const hours = Math.round(((endedAt - startedAt) / (1000 * 60 * 60)) * 100) / 100;
+  
+  this.volunteerShifts.push({
+    user: userId,
+    startedAt,
+    endedAt,
+    hours,
+    recordedBy
+  });
+  this.stats.lastActivity = new Date();
+  
+  return this.volunteerShifts[this.volunteerShifts.length - 1];
+};
+
 // Method to get capacity status
 dropOffPointSchema.methods.getCapacityStatus = function() {
   const percentage = (this.capacity.currentItems / this.capacity.maxItems) * 100;
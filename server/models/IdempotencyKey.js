@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// How long a stored response is replayed for retries of the same key
+const IDEMPOTENCY_WINDOW_HOURS = 24;
+// A key still processing after this long belongs to a request that crashed
+// or timed out, and a retry may take it over
+const PROCESSING_TIMEOUT_SECONDS = 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash of method, path and body, used to reject a key reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Store the first response for this key
+idempotencyKeySchema.methods.complete = function(responseStatus, responseBody) {
+  this.status = 'completed';
+  this.responseStatus = responseStatus;
+  this.responseBody = responseBody;
+  return this.save();
+};
+
+// Claim a key abandoned while processing. Saving bumps updatedAt, so only
+// one retry wins and the claim itself gets a fresh timeout. Resolves to the
+// record, or null when the key is completed or still being processed.
+idempotencyKeySchema.statics.takeOverStale = function(id, now = new Date()) {
+  const cutoff = new Date(now.getTime() - PROCESSING_TIMEOUT_SECONDS * 1000);
+  return this.findOneAndUpdate(
+    { _id: id, status: 'processing', updatedAt: { $lte: cutoff } },
+    { $set: { updatedAt: now } },
+    { new: true, timestamps: false }
+  );
+};
+
+idempotencyKeySchema.statics.IDEMPOTENCY_WINDOW_HOURS = IDEMPOTENCY_WINDOW_HOURS;
+
+idempotencyKeySchema.statics.PROCESSING_TIMEOUT_SECONDS = PROCESSING_TIMEOUT_SECONDS;
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -28,6 +28,12 @@ const impactSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Organization the impact is credited to (org-owned resources, drop-off
+  // points and challenges)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   // Impact metrics
   quantitativeValue: {
     type: Number,
@@ -145,6 +151,12 @@ const impactSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Key of the platform event that produced this entry (automatic ledger only)
+  ledgerKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   // Impact goals alignment
   sdgGoals: [{
     type: String,
@@ -166,34 +178,65 @@ impactSchema.index({ impactType: 1, createdAt: -1 });
 impactSchema.index({ category: 1, createdAt: -1 });
 impactSchema.index({ location: '2dsphere' });
 impactSchema.index({ isVerified: 1, isPublic: 1 });
+impactSchema.index({ relatedResource: 1, impactType: 1 });
+impactSchema.index({ isPublic: 1, startDate: -1 });
+impactSchema.index({ organization: 1, startDate: -1 });
 
-// Static method to calculate user's total impact
-impactSchema.statics.calculateUserImpact = async function(userId) {
-  const pipeline = [
-    { $match: { user: mongoose.Types.ObjectId(userId) } },
-    {
-      $group: {
-        _id: '$impactType',
-        totalQuantity: { $sum: '$quantitativeValue' },
-        totalValue: { $sum: '$monetaryValue' },
-        count: { $sum: 1 }
-      }
-    }
-  ];
+// Group keys supported by impact aggregations.
+// Time buckets use startDate (when the impact happened) rather than createdAt,
+// since backfilled ledger entries are created long after the event.
+const GROUP_KEYS = {
+  total: null,
+  user: '$user',
+  category: '$category',
+  impactType: '$impactType',
+  sdgGoal: '$sdgGoals',
+  geography: {
+    lng: { $round: [{ $arrayElemAt: ['$location.coordinates', 0] }, 1] },
+    lat: { $round: [{ $arrayElemAt: ['$location.coordinates', 1] }, 1] }
+  },
+  day: { $dateToString: { format: '%Y-%m-%d', date: '$startDate' } },
+  week: { $dateToString: { format: '%G-W%V', date: '$startDate' } },
+  month: { $dateToString: { format: '%Y-%m', date: '$startDate' } }
+};
+
+const TIME_GROUPS = ['day', 'week', 'month'];
+
+// Build a startDate match from a number of days or a { startDate, endDate } range
+const buildDateMatch = (range) => {
+  if (typeof range === 'number') {
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - range);
+    return { startDate: { $gte: startDate } };
+  }
   
-  return await this.aggregate(pipeline);
+  const match = {};
+  if (range && range.startDate) match.$gte = range.startDate;
+  if (range && range.endDate) match.$lte = range.endDate;
+  
+  return Object.keys(match).length > 0 ? { startDate: match } : {};
 };
 
-// Static method to get community impact summary
-impactSchema.statics.getCommunityImpact = async function(timeframe = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - timeframe);
+// Static method to aggregate impact records by one of the GROUP_KEYS
+impactSchema.statics.aggregateImpact = async function(match = {}, groupBy = 'category', options = {}) {
+  if (!Object.prototype.hasOwnProperty.call(GROUP_KEYS, groupBy)) {
+    throw new Error(`Unsupported impact grouping: ${groupBy}`);
+  }
+  
+  const pipeline = [{ $match: match }];
+  
+  if (groupBy === 'sdgGoal') {
+    pipeline.push({ $unwind: '$sdgGoals' });
+  }
   
-  const pipeline = [
-    { $match: { createdAt: { $gte: startDate }, isPublic: true } },
+  if (groupBy === 'geography') {
+    pipeline.push({ $match: { 'location.coordinates.1': { $exists: true } } });
+  }
+  
+  pipeline.push(
     {
       $group: {
-        _id: '$category',
+        _id: GROUP_KEYS[groupBy],
         totalQuantity: { $sum: '$quantitativeValue' },
         totalValue: { $sum: '$monetaryValue' },
         uniqueUsers: { $addToSet: '$user' },
@@ -202,19 +245,60 @@ impactSchema.statics.getCommunityImpact = async function(timeframe = 30) {
     },
     {
       $project: {
-        category: '$_id',
+        key: '$_id',
         totalQuantity: 1,
         totalValue: 1,
         uniqueUsersCount: { $size: '$uniqueUsers' },
         count: 1,
         _id: 0
       }
-    }
-  ];
+    },
+    { $sort: TIME_GROUPS.includes(groupBy) ? { key: 1 } : { count: -1 } }
+  );
+  
+  if (options.limit) {
+    pipeline.push({ $limit: options.limit });
+  }
   
   return await this.aggregate(pipeline);
 };
 
+// Static method to calculate user's total impact
+impactSchema.statics.calculateUserImpact = async function(userId, options = {}) {
+  const match = {
+    user: new mongoose.Types.ObjectId(userId),
+    ...(options.includePrivate ? {} : { isPublic: true }),
+    ...buildDateMatch(options)
+  };
+  
+  return await this.aggregateImpact(match, options.groupBy || 'impactType', options);
+};
+
+// Static method to get community impact summary.
+// timeframe is a number of days or a { startDate, endDate } range.
+impactSchema.statics.getCommunityImpact = async function(timeframe = 30, options = {}) {
+  const match = {
+    ...(options.includePrivate ? {} : { isPublic: true }),
+    ...buildDateMatch(timeframe),
+    ...options.match
+  };
+  
+  return await this.aggregateImpact(match, options.groupBy || 'category', options);
+};
+
+// Static method to insert a ledger entry once per ledger key.
+// Returns the stored impact and whether it was created by this call.
+impactSchema.statics.recordOnce = async function(ledgerKey, data) {
+  const result = await this.updateOne(
+    { ledgerKey },
+    { $setOnInsert: data },
+    { upsert: true, runValidators: true }
+  );
+  
+  const impact = await this.findOne({ ledgerKey });
+  return { impact, created: result.upsertedCount > 0 };
+};
+
 // Method to verify impact
 impactSchema.methods.verify = function(verifierId) {
   this.isVerified = true;
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'scam',
+  'harassment',
+  'hate',
+  'inappropriate',
+  'personal_info',
+  'prohibited_item',
+  'impersonation',
+  'other'
+];
+
+const MODERATION_ACTIONS = ['hide', 'warn', 'suspend', 'ban'];
+
+// One queue entry per reported or automatically flagged target (a resource,
+// a chat message or a user profile). Further reports on the same target are
+// added to its open case.
+const moderationCaseSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['resource', 'message', 'user'],
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat'
+  },
+  message: mongoose.Schema.Types.ObjectId,
+  // Author of the content, or the reported user
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copy of the content when it was first queued
+  snapshot: {
+    title: String,
+    content: String
+  },
+  reports: [{
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: 1000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Result of automatic pre-screening
+  screening: {
+    flags: [{
+      type: { type: String },
+      severity: String,
+      match: String
+    }],
+    aiCategories: [String],
+    screenedAt: Date
+  },
+  // 1 (low) to 3 (high); the queue is worked highest first
+  priority: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 3
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in_review', 'actioned', 'dismissed'],
+    default: 'open'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Every moderator action, kept when reversed
+  actions: [{
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+      required: true
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: 500
+    },
+    expiresAt: Date, // suspensions only
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    reversedAt: Date,
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reverseReason: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+moderationCaseSchema.index({ status: 1, priority: -1, createdAt: 1 });
+moderationCaseSchema.index({ targetType: 1, resource: 1, message: 1, user: 1, status: 1 });
+moderationCaseSchema.index({ assignedTo: 1, status: 1 });
+
+// Method to check if a user already reported this target
+moderationCaseSchema.methods.hasReportFrom = function(userId) {
+  return this.reports.some(report => report.reporter.toString() === userId.toString());
+};
+
+// Method to check if the case is still waiting for a decision
+moderationCaseSchema.methods.isOpen = function() {
+  return ['open', 'in_review'].includes(this.status);
+};
+
+moderationCaseSchema.statics.REPORT_REASONS = REPORT_REASONS;
+moderationCaseSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationCase', moderationCaseSchema);
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const NOTIFICATION_TYPES = [
+  'new_message',
+  'resource_notification',
+  'challenge_invitation',
+  'hero_nomination',
+  'emergency_alert',
+  'reservation',
+  'need_prediction',
+  'saved_search'
+];
+
+// Channels delivered outside the app, tracked per notification
+const DELIVERY_CHANNELS = ['push', 'email', 'sms'];
+
+// How long notifications are kept: unread ones for RETENTION_DAYS (alerts
+// go stale sooner), read ones for READ_RETENTION_DAYS after reading. Each
+// user keeps at most MAX_PER_USER.
+const RETENTION_DAYS = { default: 90, emergency_alert: 30 };
+const READ_RETENTION_DAYS = 30;
+const MAX_PER_USER = 500;
+
+// A user's inbox entry for something they were notified about. Socket
+// events are only seen by connected clients; the inbox is what offline users
+// catch up from.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  // Ids and details the client needs to render or open the notification
+  data: mongoose.Schema.Types.Mixed,
+  // Client path opened when the notification is clicked
+  link: String,
+  priority: {
+    type: String,
+    enum: ['normal', 'high', 'critical'],
+    default: 'normal'
+  },
+  // Unread notifications with the same key are merged (e.g. one entry per chat)
+  groupKey: String,
+  count: {
+    type: Number,
+    default: 1
+  },
+  // Time of the latest merged event; the inbox is sorted by it
+  latestAt: {
+    type: Date,
+    default: Date.now
+  },
+  readAt: Date,
+  // Push, email and SMS sends planned by the dispatcher (services/notifications):
+  // pending ones are retried, deferred ones wait for quiet hours to end,
+  // digest ones are batched into the next digest email
+  deliveries: [{
+    _id: false,
+    channel: {
+      type: String,
+      enum: DELIVERY_CHANNELS,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'deferred', 'digest', 'sent', 'failed', 'skipped'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lastError: String,
+    sentAt: Date
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, latestAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ user: 1, groupKey: 1, readAt: 1 });
+notificationSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 });
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+notificationSchema.statics.expiresAtFor = function(type, from = new Date()) {
+  const days = RETENTION_DAYS[type] || RETENTION_DAYS.default;
+  return new Date(from.getTime() + days * DAY);
+};
+
+// Method to mark as read; read notifications expire sooner
+notificationSchema.methods.markRead = function() {
+  if (this.readAt) return this;
+
+  this.readAt = new Date();
+  const readExpiry = new Date(this.readAt.getTime() + READ_RETENTION_DAYS * DAY);
+  if (readExpiry < this.expiresAt) this.expiresAt = readExpiry;
+  return this.save();
+};
+
+// Mark all (or the given) unread notifications of a user as read
+notificationSchema.statics.markAllRead = async function(userId, ids) {
+  const now = new Date();
+  const query = { user: userId, readAt: null };
+  if (ids) query._id = { $in: ids };
+
+  const result = await this.updateMany(query, [{
+    $set: {
+      readAt: now,
+      expiresAt: { $min: ['$expiresAt', new Date(now.getTime() + READ_RETENTION_DAYS * DAY)] }
+    }
+  }]);
+  return result.modifiedCount;
+};
+
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+// Trim inboxes over MAX_PER_USER, oldest first. Returns the number removed.
+notificationSchema.statics.trimInboxes = async function() {
+  const overfull = await this.aggregate([
+    { $group: { _id: '$user', total: { $sum: 1 } } },
+    { $match: { total: { $gt: MAX_PER_USER } } }
+  ]);
+
+  let removed = 0;
+  for (const { _id: userId } of overfull) {
+    const keep = await this.find({ user: userId })
+      .sort({ latestAt: -1 })
+      .skip(MAX_PER_USER - 1)
+      .limit(1)
+      .select('latestAt');
+    if (keep.length === 0) continue;
+
+    const result = await this.deleteMany({ user: userId, latestAt: { $lt: keep[0].latestAt } });
+    removed += result.deletedCount;
+  }
+
+  return removed;
+};
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.DELIVERY_CHANNELS = DELIVERY_CHANNELS;
+
+module.exports = mongoose.model('Notification', notificationSchema);
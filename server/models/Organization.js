@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// Members are stored on the user as roleAssignments scoped to the
+// organization (see services/permissions), so access checks work the same
+// way as for drop-off point and region roles.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  organizationType: {
+    type: String,
+    enum: ['church', 'mosque', 'school', 'ngo', 'community_group', 'business', 'government', 'other'],
+    required: true
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  logo: String,
+  website: String,
+  contactInfo: {
+    phone: String,
+    email: String,
+    whatsapp: String
+  },
+  // Optional; left unset (rather than an empty point) so the geo index accepts it
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    },
+    address: String
+  },
+  // Verification by platform admins
+  verification: {
+    status: {
+      type: String,
+      enum: ['unverified', 'pending', 'verified', 'rejected'],
+      default: 'unverified'
+    },
+    registrationNumber: String,
+    documents: [String], // URLs to registration documents
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      maxlength: 500
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+organizationSchema.index({ location: '2dsphere' });
+organizationSchema.index({ 'verification.status': 1, isActive: 1 });
+organizationSchema.index({ name: 'text', description: 'text' });
+
+// Only verified, active organizations can own resources, drop-off points and challenges
+organizationSchema.methods.isVerified = function() {
+  return this.isActive && this.verification.status === 'verified';
+};
+
+// Members with their organization role
+organizationSchema.methods.getMembers = async function() {
+  const User = mongoose.model('User');
+  const users = await User.find({ 'roleAssignments.organization': this._id })
+    .select('username firstName lastName profilePicture lastActive roleAssignments');
+
+  return users.map(user => {
+    const assignment = user.roleAssignments.find(a =>
+      a.organization && a.organization.equals(this._id));
+
+    return {
+      user: {
+        _id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        profilePicture: user.profilePicture,
+        lastActive: user.lastActive
+      },
+      role: assignment.role,
+      joinedAt: assignment.grantedAt
+    };
+  });
+};
+
+// Submit for verification
+organizationSchema.methods.submitForVerification = function({ registrationNumber, documents = [] } = {}) {
+  this.verification.status = 'pending';
+  this.verification.registrationNumber = registrationNumber;
+  this.verification.documents = documents;
+  this.verification.submittedAt = new Date();
+  this.verification.reviewedAt = undefined;
+  this.verification.reviewedBy = undefined;
+  this.verification.notes = undefined;
+  return this.save();
+};
+
+// Approve or reject a verification request
+organizationSchema.methods.reviewVerification = function(reviewerId, approved, notes) {
+  this.verification.status = approved ? 'verified' : 'rejected';
+  this.verification.reviewedAt = new Date();
+  this.verification.reviewedBy = reviewerId;
+  this.verification.notes = notes;
+  return this.save();
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
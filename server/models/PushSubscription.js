@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A browser's Web Push subscription. Each endpoint belongs to one user; a
+// browser that signs in as someone else moves its subscription over.
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  // Set by some browsers; the subscription stops working after it
+  expirationTime: Date,
+  userAgent: String,
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+pushSubscriptionSchema.index({ user: 1 });
+
+// Save a subscription from PushManager.subscribe() for a user
+pushSubscriptionSchema.statics.saveForUser = function(userId, subscription, userAgent) {
+  return this.findOneAndUpdate(
+    { endpoint: subscription.endpoint },
+    {
+      user: userId,
+      keys: subscription.keys,
+      expirationTime: subscription.expirationTime ? new Date(subscription.expirationTime) : null,
+      userAgent
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// The shape web-push expects
+pushSubscriptionSchema.methods.toWebPush = function() {
+  return {
+    endpoint: this.endpoint,
+    keys: { p256dh: this.keys.p256dh, auth: this.keys.auth }
+  };
+};
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const resourceSchema = new mongoose.Schema({
   title: {
@@ -26,7 +27,17 @@ const resourceSchema = new mongoose.Schema({
   },
   images: [{
     url: String,
-    publicId: String
+    publicId: String,
+    // Resized copies (thumbnail, medium, full), metadata stripped
+    variants: {
+      thumbnail: { url: String, publicId: String, width: Number, height: Number },
+      medium: { url: String, publicId: String, width: Number, height: Number },
+      full: { url: String, publicId: String, width: Number, height: Number }
+    },
+    width: Number,
+    height: Number,
+    format: String,
+    blurhash: String
   }],
   voiceNote: {
     url: String,
@@ -38,6 +49,11 @@ const resourceSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Organization the resource is posted on behalf of
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   status: {
     type: String,
     enum: ['available', 'reserved', 'completed', 'cancelled'],
@@ -74,6 +90,7 @@ const resourceSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DropOffPoint'
   },
+  droppedOffAt: Date,
   pickupTime: {
     start: Date,
     end: Date
@@ -89,6 +106,12 @@ const resourceSchema = new mongoose.Schema({
     enum: ['new', 'like_new', 'good', 'fair', 'poor'],
     default: 'good'
   },
+  // Estimated value in the platform currency; high-value items need a
+  // minimum trust level to reserve (see services/trust)
+  estimatedValue: {
+    type: Number,
+    min: 0
+  },
   // Urgency level
   urgencyLevel: {
     type: String,
@@ -121,12 +144,50 @@ const resourceSchema = new mongoose.Schema({
     ref: 'User'
   },
   reservedAt: Date,
+  reservationExpiresAt: Date,
+  // Pickup confirmations from both sides of the handover
+  pickupConfirmations: {
+    owner: Date,
+    receiver: Date
+  },
+  // One-time code the receiver shows at pickup
+  pickupCode: {
+    code: {
+      type: String,
+      select: false
+    },
+    generatedAt: Date,
+    usedAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
   completedAt: Date,
   completedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  // Feedback and rating
+  // Audit trail of status transitions
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Who held the reservation, for transitions out of 'reserved'
+    receiver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Feedback and rating (handover reviews by both sides are in Review)
   rating: {
     type: Number,
     min: 1,
@@ -136,6 +197,15 @@ const resourceSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  // Hidden by a moderator or held by automatic screening (see services/moderation)
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    reason: String,
+    hiddenAt: Date
+  },
   // Tags for better searchability
   tags: [{
     type: String,
@@ -159,7 +229,14 @@ const resourceSchema = new mongoose.Schema({
     description: String
   }]
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never expose the pickup code outside the dedicated endpoint
+    transform: (doc, ret) => {
+      if (ret.pickupCode) delete ret.pickupCode.code;
+      return ret;
+    }
+  }
 });
 
 // Create geospatial index for location-based queries
@@ -175,7 +252,34 @@ resourceSchema.index({
 // Create compound indexes for common queries
 resourceSchema.index({ category: 1, status: 1, createdAt: -1 });
 resourceSchema.index({ owner: 1, status: 1 });
+resourceSchema.index({ organization: 1, status: 1 });
 resourceSchema.index({ type: 1, status: 1, urgencyLevel: 1 });
+resourceSchema.index({ status: 1, reservationExpiresAt: 1 });
+resourceSchema.index({ 'statusHistory.receiver': 1 });
+resourceSchema.index({ 'statusHistory.changedBy': 1 });
+
+// Allowed status transitions for the reservation workflow
+const STATUS_TRANSITIONS = {
+  available: ['reserved', 'cancelled'],
+  reserved: ['available', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Default reservation hold before it is released automatically, and the
+// range an owner may choose
+const RESERVATION_HOLD_HOURS = 48;
+const MIN_RESERVATION_HOLD_HOURS = 1;
+const MAX_RESERVATION_HOLD_HOURS = 7 * 24;
+
+// Wrong pickup code entries allowed before the code is locked
+const MAX_PICKUP_CODE_ATTEMPTS = 5;
+
+const newPickupCode = () => ({
+  code: crypto.randomInt(0, 1000000).toString().padStart(6, '0'),
+  generatedAt: new Date(),
+  attempts: 0
+});
 
 // Middleware to auto-expire resources
 resourceSchema.pre('save', function(next) {
@@ -198,6 +302,218 @@ resourceSchema.methods.incrementViews = function() {
   return this.save();
 };
 
+// Method to check if a status transition is allowed
+resourceSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move to a new status and record it in the history
+resourceSchema.methods.transitionTo = function(status, userId = null, reason = '') {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change resource status from ${this.status} to ${status}`);
+  }
+  
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: userId,
+    receiver: this.status === 'reserved' ? this.reservedBy : undefined,
+    reason
+  });
+  this.status = status;
+  
+  return this;
+};
+
+// Method to check if a user has expressed interest
+resourceSchema.methods.isInterested = function(userId) {
+  return this.interestedUsers.some(
+    i => i.user && i.user.toString() === userId.toString()
+  );
+};
+
+// Method to reserve the resource for an interested user. The update only
+// applies while the resource is still available, so of two concurrent
+// reservations only one wins. Resolves to the reserved resource, or null
+// when it was no longer available.
+resourceSchema.methods.reserveFor = function(userId, ownerId, holdHours = RESERVATION_HOLD_HOURS) {
+  const hours = Math.min(Math.max(holdHours, MIN_RESERVATION_HOLD_HOURS), MAX_RESERVATION_HOLD_HOURS);
+  const now = new Date();
+  
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'available' },
+    {
+      $set: {
+        status: 'reserved',
+        reservedBy: userId,
+        reservedAt: now,
+        reservationExpiresAt: new Date(now.getTime() + hours * 60 * 60 * 1000),
+        pickupConfirmations: {},
+        pickupCode: newPickupCode()
+      },
+      $push: {
+        statusHistory: { from: 'available', to: 'reserved', changedBy: ownerId, reason: 'reserved_by_owner' }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Filter matching this resource only while it is still reserved for the
+// same user it was loaded with
+const sameReservation = (resource) => ({
+  _id: resource._id,
+  status: 'reserved',
+  reservedBy: resource.reservedBy
+});
+
+// Method to release a reservation back to available. Like reserveFor, it
+// only applies while the reservation is unchanged (with `expiredBefore`, also
+// only if it expired by then) and resolves to the updated resource or null.
+resourceSchema.methods.releaseReservation = function(userId = null, reason = 'released', { expiredBefore } = {}) {
+  const filter = sameReservation(this);
+  if (expiredBefore) filter.reservationExpiresAt = { $lte: expiredBefore };
+  
+  return this.constructor.findOneAndUpdate(
+    filter,
+    {
+      $set: { status: 'available', pickupConfirmations: {} },
+      $unset: { reservedBy: '', reservedAt: '', reservationExpiresAt: '', pickupCode: '' },
+      $push: {
+        statusHistory: { from: 'reserved', to: 'available', changedBy: userId, receiver: this.reservedBy, reason }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to record a pickup confirmation, completing once both sides confirm.
+// Resolves to the updated resource, or null when the reservation changed.
+resourceSchema.methods.confirmPickup = async function(userId) {
+  const isOwner = this.owner.toString() === userId.toString();
+  const side = isOwner ? 'owner' : 'receiver';
+  
+  const confirmed = await this.constructor.findOneAndUpdate(
+    sameReservation(this),
+    { $set: { [`pickupConfirmations.${side}`]: new Date() } },
+    { new: true }
+  );
+  
+  if (confirmed && confirmed.pickupConfirmations.owner && confirmed.pickupConfirmations.receiver) {
+    return confirmed.completeHandover(userId, 'pickup_confirmed');
+  }
+  
+  return confirmed;
+};
+
+// Method to generate a new one-time pickup code
+resourceSchema.methods.generatePickupCode = function() {
+  this.pickupCode = newPickupCode();
+  
+  return this.pickupCode.code;
+};
+
+// Method to check a pickup code (requires pickupCode.code to be selected).
+// Each check takes one of the attempts up front, so parallel guesses cannot
+// get past MAX_PICKUP_CODE_ATTEMPTS.
+resourceSchema.methods.verifyPickupCode = async function(code) {
+  if (!this.pickupCode || !this.pickupCode.code || this.pickupCode.usedAt) return false;
+  if (this.pickupCode.attempts >= MAX_PICKUP_CODE_ATTEMPTS) return false;
+  
+  const claimed = await this.constructor.findOneAndUpdate(
+    {
+      _id: this._id,
+      'pickupCode.generatedAt': this.pickupCode.generatedAt,
+      'pickupCode.usedAt': null,
+      'pickupCode.attempts': { $lt: MAX_PICKUP_CODE_ATTEMPTS }
+    },
+    { $inc: { 'pickupCode.attempts': 1 } },
+    { new: true, projection: { 'pickupCode.attempts': 1 } }
+  );
+  if (!claimed) return false;
+  this.pickupCode.attempts = claimed.pickupCode.attempts;
+  
+  const expected = Buffer.from(this.pickupCode.code);
+  const actual = Buffer.from(String(code || '').trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Method to check if the pickup code has been locked by too many wrong entries
+resourceSchema.methods.isPickupCodeLocked = function() {
+  return !!this.pickupCode && this.pickupCode.attempts >= MAX_PICKUP_CODE_ATTEMPTS;
+};
+
+// Method to get the payload encoded in the pickup QR code
+resourceSchema.methods.getPickupQrPayload = function() {
+  return JSON.stringify({
+    type: 'pickup',
+    resourceId: this._id.toString(),
+    code: this.pickupCode.code
+  });
+};
+
+// Method to complete the handover to the reserved user. Resolves to the
+// completed resource, or null when the reservation changed (e.g. it expired).
+resourceSchema.methods.completeHandover = function(userId, reason = 'handover_confirmed') {
+  const now = new Date();
+  
+  return this.constructor.findOneAndUpdate(
+    sameReservation(this),
+    {
+      $set: { status: 'completed', completedAt: now, completedBy: this.reservedBy, 'pickupCode.usedAt': now },
+      $unset: { reservationExpiresAt: '' },
+      $push: {
+        statusHistory: { from: 'reserved', to: 'completed', changedBy: userId, receiver: this.reservedBy, reason }
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to list stored media (image variants and voice note)
+resourceSchema.methods.getMedia = function() {
+  const media = [];
+  
+  this.images.forEach(image => {
+    const variants = image.variants ? Object.values(image.variants.toObject ? image.variants.toObject() : image.variants) : [];
+    const publicIds = new Set([image.publicId, ...variants.map(v => v && v.publicId)]);
+    
+    publicIds.forEach(publicId => {
+      if (publicId) media.push({ publicId, resourceType: 'image' });
+    });
+  });
+  
+  if (this.voiceNote && this.voiceNote.publicId) {
+    media.push({ publicId: this.voiceNote.publicId, resourceType: 'video' });
+  }
+  
+  return media;
+};
+
+// Static method to release reservations whose hold has run out
+resourceSchema.statics.expireReservations = async function() {
+  const now = new Date();
+  const expired = await this.find({
+    status: 'reserved',
+    reservationExpiresAt: { $lte: now }
+  });
+  
+  // Keep who held each reservation so they can be told it lapsed. Handovers
+  // completed (or holds extended) since the query are left alone.
+  const released = [];
+  for (const resource of expired) {
+    try {
+      const receiver = resource.reservedBy;
+      const updated = await resource.releaseReservation(null, 'reservation_expired', { expiredBefore: now });
+      if (updated) released.push({ resource: updated, receiver });
+    } catch (error) {
+      console.error(`Reservation expiry error (${resource._id}):`, error);
+    }
+  }
+  
+  return released;
+};
+
 // Static method to find nearby resources
 resourceSchema.statics.findNearby = function(coordinates, maxDistance = 10000) {
   return this.find({
@@ -210,8 +526,12 @@ resourceSchema.statics.findNearby = function(coordinates, maxDistance = 10000) {
         $maxDistance: maxDistance
       }
     },
-    status: 'available'
+    status: 'available',
+    'moderation.hidden': { $ne: true }
   });
 };
 
+resourceSchema.statics.MIN_RESERVATION_HOLD_HOURS = MIN_RESERVATION_HOLD_HOURS;
+resourceSchema.statics.MAX_RESERVATION_HOLD_HOURS = MAX_RESERVATION_HOLD_HOURS;
+
 module.exports = mongoose.model('Resource', resourceSchema);
\ No newline at end of file
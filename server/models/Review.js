@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Days after a handover during which both sides can review each other
+const REVIEW_WINDOW_DAYS = 14;
+
+// One side's review of the other after a completed handover. Reviews stay
+// hidden (publishedAt unset) until both sides have reviewed or the window
+// closes, so neither can retaliate against the other's rating.
+const reviewSchema = new mongoose.Schema({
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerRole: {
+    type: String,
+    enum: ['donor', 'receiver'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: 500
+  },
+  windowClosesAt: {
+    type: Date,
+    required: true
+  },
+  publishedAt: Date
+}, {
+  timestamps: true
+});
+
+reviewSchema.index({ resource: 1, reviewer: 1 }, { unique: true });
+reviewSchema.index({ reviewee: 1, publishedAt: -1 });
+reviewSchema.index({ publishedAt: 1, windowClosesAt: 1 });
+
+// When the review window for a handover completed at `completedAt` closes
+reviewSchema.statics.windowClosesAt = function(completedAt) {
+  return new Date(new Date(completedAt).getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Publish a handover's reviews once both sides have submitted.
+// Returns the reviews that became visible.
+reviewSchema.statics.publishForResource = async function(resourceId) {
+  const reviews = await this.find({ resource: resourceId });
+  if (reviews.length < 2 || reviews.every(review => review.publishedAt)) return [];
+
+  const now = new Date();
+  await this.updateMany({ resource: resourceId, publishedAt: null }, { publishedAt: now });
+
+  return reviews.filter(review => !review.publishedAt).map(review => {
+    review.publishedAt = now;
+    return review;
+  });
+};
+
+// Publish reviews whose window has closed without a reply
+reviewSchema.statics.publishDue = async function() {
+  const now = new Date();
+  const due = await this.find({ publishedAt: null, windowClosesAt: { $lte: now } });
+  if (due.length === 0) return [];
+
+  await this.updateMany({ _id: { $in: due.map(review => review._id) } }, { publishedAt: now });
+
+  return due.map(review => {
+    review.publishedAt = now;
+    return review;
+  });
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,286 @@
+const mongoose = require('mongoose');
+const { distanceKm } = require('../services/permissions');
+
+const CATEGORIES = ['food', 'clothing', 'books', 'electronics', 'furniture',
+  'medical', 'educational', 'tools', 'toys', 'services', 'other'];
+const CONDITIONS = ['new', 'like_new', 'good', 'fair', 'poor'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const RESOURCE_TYPES = ['donation', 'request', 'service', 'mystery_drop'];
+
+const MAX_PER_USER = 20;
+const MAX_RADIUS_KM = 100;
+// Resources already notified per search, to skip them when they are updated
+const NOTIFIED_HISTORY = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const words = (text = '') => text.toLowerCase().split(/\s+/).filter(Boolean);
+
+// A receiver's saved query over resources (e.g. "school shoes size 4 within
+// 5km"). Unset criteria match anything. New and updated resources that match
+// are notified (services/savedSearches), throttled per search.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES
+  },
+  subcategory: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Every tag must be on the resource
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 30
+  }],
+  // Every word must appear in the title, description or tags
+  text: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Any of the listed values
+  conditions: [{
+    type: String,
+    enum: CONDITIONS
+  }],
+  urgencyLevels: [{
+    type: String,
+    enum: URGENCY_LEVELS
+  }],
+  types: {
+    type: [{ type: String, enum: RESOURCE_TYPES }],
+    default: ['donation', 'service', 'mystery_drop']
+  },
+  // Optional area: resources within `radius` km of the center
+  center: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: (value) => value.length === 2 &&
+          value[0] >= -180 && value[0] <= 180 &&
+          value[1] >= -90 && value[1] <= 90,
+        message: 'center must be [longitude, latitude]'
+      }
+    }
+  },
+  radius: {
+    type: Number,
+    min: 0.1,
+    max: MAX_RADIUS_KM
+  },
+  notify: {
+    type: Boolean,
+    default: true
+  },
+  // Throttling: matches found within the throttle window after the last
+  // notification are collected and sent together
+  lastNotifiedAt: Date,
+  pendingMatches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
+  notifiedResources: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }]
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ notify: 1, category: 1 });
+savedSearchSchema.index({ center: '2dsphere' });
+savedSearchSchema.index({ 'pendingMatches.0': 1, lastNotifiedAt: 1 });
+savedSearchSchema.index({ notifiedResources: 1 });
+
+savedSearchSchema.pre('validate', function(next) {
+  const hasCenter = !!(this.center && this.center.coordinates && this.center.coordinates.length);
+  if (hasCenter !== (this.radius !== undefined && this.radius !== null)) {
+    this.invalidate('radius', 'A search area needs both a center and a radius');
+  }
+  if (hasCenter) {
+    this.center.type = 'Point';
+  }
+  if (this.tags.length > 10) {
+    this.invalidate('tags', 'A saved search can have at most 10 tags');
+  }
+  next();
+});
+
+// Whether a resource matches the search
+savedSearchSchema.methods.matches = function(resource) {
+  if (this.category && resource.category !== this.category) return false;
+  if (this.subcategory && (resource.subcategory || '').toLowerCase() !== this.subcategory) return false;
+  if (this.types.length > 0 && !this.types.includes(resource.type)) return false;
+  if (this.conditions.length > 0 && !this.conditions.includes(resource.condition)) return false;
+  if (this.urgencyLevels.length > 0 && !this.urgencyLevels.includes(resource.urgencyLevel)) return false;
+
+  const resourceTags = (resource.tags || []).map(tag => tag.toLowerCase());
+  if (!this.tags.every(tag => resourceTags.includes(tag))) return false;
+
+  if (this.text) {
+    const haystack = [resource.title, resource.description, ...resourceTags].join(' ').toLowerCase();
+    if (!words(this.text).every(word => haystack.includes(word))) return false;
+  }
+
+  if (this.radius) {
+    const coordinates = resource.location && resource.location.coordinates;
+    if (!coordinates || distanceKm(this.center.coordinates, coordinates) > this.radius) return false;
+  }
+
+  return true;
+};
+
+// The search as a Resource query, for listing current matches
+savedSearchSchema.methods.toResourceQuery = function() {
+  const query = {
+    status: 'available',
+    'moderation.hidden': { $ne: true },
+    owner: { $ne: this.user }
+  };
+
+  if (this.category) query.category = this.category;
+  if (this.subcategory) query.subcategory = new RegExp(`^${escapeRegex(this.subcategory)}$`, 'i');
+  if (this.types.length > 0) query.type = { $in: this.types };
+  if (this.conditions.length > 0) query.condition = { $in: this.conditions };
+  if (this.urgencyLevels.length > 0) query.urgencyLevel = { $in: this.urgencyLevels };
+  if (this.tags.length > 0) {
+    query.tags = { $all: this.tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) };
+  }
+
+  if (this.text) {
+    query.$and = words(this.text).map(word => {
+      const pattern = new RegExp(escapeRegex(word), 'i');
+      return { $or: [{ title: pattern }, { description: pattern }, { tags: pattern }] };
+    });
+  }
+
+  if (this.radius) {
+    query.location = {
+      $geoWithin: {
+        $centerSphere: [this.center.coordinates, this.radius / 6371] // Earth's radius in km
+      }
+    };
+  }
+
+  return query;
+};
+
+// Notifying searches of other users a resource could match, narrowed in the
+// query by every criterion but text. Searches with an area are found through
+// the geo index on center; check the result with matches().
+savedSearchSchema.statics.findCandidates = async function(resource, ownerId) {
+  const resourceTags = (resource.tags || []).map(tag => tag.toLowerCase());
+  const emptyOr = (field, value) => ({ $or: [{ [field]: { $size: 0 } }, { [field]: value === undefined ? null : value }] });
+
+  const query = {
+    notify: true,
+    user: { $ne: new mongoose.Types.ObjectId(String(ownerId)) },
+    notifiedResources: { $ne: resource._id },
+    category: { $in: [null, resource.category] },
+    subcategory: { $in: [null, (resource.subcategory || '').toLowerCase()] },
+    // Every tag of the search is on the resource
+    tags: { $not: { $elemMatch: { $nin: resourceTags } } },
+    $and: [
+      emptyOr('types', resource.type),
+      emptyOr('conditions', resource.condition),
+      emptyOr('urgencyLevels', resource.urgencyLevel)
+    ]
+  };
+
+  const coordinates = resource.location && resource.location.coordinates;
+  const [anywhere, inArea] = await Promise.all([
+    this.find({ ...query, radius: null }),
+    coordinates && coordinates.length === 2
+      ? this.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates },
+            distanceField: 'distance',
+            maxDistance: MAX_RADIUS_KM * 1000,
+            key: 'center',
+            query
+          }
+        },
+        { $match: { $expr: { $lte: ['$distance', { $multiply: ['$radius', 1000] }] } } }
+      ])
+      : []
+  ]);
+
+  return [...anywhere, ...inArea.map(search => this.hydrate(search))];
+};
+
+// Ids of users with a search (matching `query`) whose area overlaps the
+// circle of `radius` meters around `coordinates`
+savedSearchSchema.statics.findUserIdsIntersecting = async function(coordinates, radius = 0, query = {}) {
+  const matches = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        distanceField: 'distance',
+        maxDistance: radius + MAX_RADIUS_KM * 1000,
+        key: 'center',
+        query
+      }
+    },
+    { $match: { $expr: { $lte: ['$distance', { $add: [{ $multiply: ['$radius', 1000] }, radius] }] } } },
+    { $group: { _id: '$user' } }
+  ]);
+
+  return matches.map(match => match._id.toString());
+};
+
+// Record that a resource matched. Returns 'notify' when the user should be
+// notified now, 'queued' when it waits for the throttle window, or null when
+// this resource was already handled.
+savedSearchSchema.statics.recordMatch = async function(searchId, resourceId, throttleMs, now = new Date()) {
+  const first = await this.updateOne(
+    { _id: searchId, notifiedResources: { $ne: resourceId } },
+    { $push: { notifiedResources: { $each: [resourceId], $slice: -NOTIFIED_HISTORY } } }
+  );
+  if (first.modifiedCount === 0) return null;
+
+  const cutoff = new Date(now.getTime() - throttleMs);
+  const claimed = await this.updateOne(
+    { _id: searchId, $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: cutoff } }] },
+    { $set: { lastNotifiedAt: now } }
+  );
+  if (claimed.modifiedCount > 0) return 'notify';
+
+  await this.updateOne({ _id: searchId }, { $addToSet: { pendingMatches: resourceId } });
+  return 'queued';
+};
+
+// Forget that a resource matched, so it is reported again if it is listed
+// again (e.g. after a reservation lapses)
+savedSearchSchema.statics.forgetResource = function(resourceId) {
+  return this.updateMany(
+    { notifiedResources: resourceId },
+    { $pull: { notifiedResources: resourceId, pendingMatches: resourceId } }
+  );
+};
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+savedSearchSchema.statics.MAX_RADIUS_KM = MAX_RADIUS_KM;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// How long a LIST reply can be answered with YES <n>
+const SESSION_TTL_MINUTES = 60;
+
+// Short-lived state for text-command conversations, keyed by phone number
+const smsSessionSchema = new mongoose.Schema({
+  phoneNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Resources from the last LIST reply, in the order they were numbered
+  lastListing: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resource'
+  }],
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+smsSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Remember the numbered listing sent to a phone
+smsSessionSchema.statics.saveListing = function(phoneNumber, userId, resourceIds) {
+  return this.findOneAndUpdate(
+    { phoneNumber },
+    {
+      user: userId,
+      lastListing: resourceIds,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000)
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model('SmsSession', smsSessionSchema);
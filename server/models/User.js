@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLE_NAMES, getPermissionsForRoles, userHasPermission } = require('../services/permissions');
+const { TRUST_LEVELS, REQUIRED_VOUCHES } = require('../services/trust');
+const { MODES, resolveMatrix } = require('../services/notificationPreferences');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -22,11 +26,40 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
-  role: {
-    type: String,
-    enum: ['donor', 'receiver', 'admin'],
-    default: 'receiver'
+  // Global roles; a user can be donor and receiver at once
+  roles: {
+    type: [{ type: String, enum: ROLE_NAMES }],
+    default: ['receiver']
   },
+  // Roles limited to one drop-off point, a region or an organization
+  roleAssignments: [{
+    role: {
+      type: String,
+      enum: ROLE_NAMES,
+      required: true
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization'
+    },
+    dropOffPoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DropOffPoint'
+    },
+    region: {
+      name: String,
+      center: [Number], // [longitude, latitude]
+      radiusKm: Number
+    },
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   firstName: {
     type: String,
     required: true,
@@ -83,9 +116,123 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  verificationToken: String,
-  resetPasswordToken: String,
+  // Only SHA-256 hashes of emailed tokens are stored
+  verificationToken: { type: String, select: false },
+  verificationTokenExpires: Date,
+  resetPasswordToken: { type: String, select: false },
   resetPasswordExpires: Date,
+  // Identity and trust verification (see services/trust for the levels)
+  trust: {
+    level: {
+      type: Number,
+      default: TRUST_LEVELS.NONE
+    },
+    phoneVerifiedAt: Date,
+    phoneVerifiedNumber: String,
+    phoneCode: {
+      hash: { type: String, select: false },
+      expiresAt: Date,
+      attempts: { type: Number, default: 0 }
+    },
+    vouches: [{
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      note: {
+        type: String,
+        maxlength: 200
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    document: {
+      status: {
+        type: String,
+        enum: ['none', 'pending', 'approved', 'rejected'],
+        default: 'none'
+      },
+      documentType: {
+        type: String,
+        enum: ['national_id', 'passport', 'drivers_license', 'birth_certificate', 'organization_letter', 'other']
+      },
+      // Uploaded file, kept only until it has been reviewed
+      fileUrl: { type: String, select: false },
+      filePublicId: { type: String, select: false },
+      fileResourceType: { type: String, select: false },
+      // 'private' files are only reachable through signed URLs
+      fileAccess: { type: String, enum: ['public', 'private'], select: false },
+      submittedAt: Date,
+      reviewedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      notes: {
+        type: String,
+        maxlength: 500
+      }
+    }
+  },
+  // Two-factor authentication (secrets are encrypted, codes are hashed)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    method: { type: String, enum: ['totp', 'sms'] },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: { type: [String], select: false },
+    smsCode: {
+      hash: { type: String, select: false },
+      expiresAt: Date,
+      sentAt: Date
+    },
+    failedAttempts: { type: Number, default: 0 },
+    lockedUntil: Date,
+    enabledAt: Date
+  },
+  // Moderation: suspended and banned users cannot sign in or use the API
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  suspension: {
+    reason: String,
+    until: Date, // unset for bans and open-ended suspensions
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date,
+    moderationAction: mongoose.Schema.Types.ObjectId // ModerationCase action that set it
+  },
+  warnings: [{
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderationAction: mongoose.Schema.Types.ObjectId,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Blocked users cannot message this user, see their resources or ask for
+  // them; the block also hides them from this user
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Muted users can still message this user, without notifications
+  mutedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   lastActive: {
     type: Date,
     default: Date.now
@@ -107,7 +254,7 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Hero profile
+  // Hero profile, maintained by services/reputation
   isLocalHero: {
     type: Boolean,
     default: false
@@ -118,6 +265,19 @@ const userSchema = new mongoose.Schema({
     min: 0,
     max: 5
   },
+  // Inputs behind heroRating (review and penalty counts are time-decayed)
+  reputation: {
+    reviewCount: { type: Number, default: 0 },
+    averageRating: Number,
+    completedHandovers: { type: Number, default: 0 },
+    noShows: { type: Number, default: 0 },
+    cancellations: { type: Number, default: 0 },
+    upheldDisputes: { type: Number, default: 0 },
+    verifiedImpact: { type: Number, default: 0 },
+    heroSince: Date,
+    computedAt: Date
+  },
+  // Nominations from other members (endorsements; they do not affect heroRating)
   heroReviews: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -134,12 +294,34 @@ const userSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  // Notification preferences
+  // Notification preferences. The booleans switch whole channels off;
+  // `events` overrides the per-event channel modes (services/notificationPreferences).
   notificationPreferences: {
     email: { type: Boolean, default: true },
     sms: { type: Boolean, default: true },
     push: { type: Boolean, default: true },
-    chat: { type: Boolean, default: true }
+    chat: { type: Boolean, default: true },
+    digest: { type: Boolean, default: false },
+    events: {
+      type: Map,
+      of: new mongoose.Schema({
+        inApp: { type: String, enum: MODES },
+        push: { type: String, enum: MODES },
+        email: { type: String, enum: MODES },
+        sms: { type: String, enum: MODES }
+      }, { _id: false }),
+      default: {}
+    }
+  },
+  // Non-urgent SMS/push notifications are held back during quiet hours
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    start: { type: String, default: '22:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    end: { type: String, default: '07:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ }
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
   },
   // Challenge participation
   challengesCompleted: [{
@@ -170,6 +352,23 @@ const userSchema = new mongoose.Schema({
 
 // Create geospatial index for location-based queries
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ 'roleAssignments.organization': 1 });
+userSchema.index({ 'trust.document.status': 1 });
+userSchema.index({ 'reputation.computedAt': 1 });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ accountStatus: 1, 'suspension.until': 1 });
+
+// Keep the trust level current. A new phone number needs verifying again.
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('phoneNumber') &&
+      this.trust.phoneVerifiedNumber !== this.phoneNumber) {
+    this.trust.phoneVerifiedAt = undefined;
+    this.trust.phoneVerifiedNumber = undefined;
+  }
+  
+  this.trust.level = this.computeTrustLevel();
+  next();
+});
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -184,6 +383,159 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create an email verification token; returns the raw token for the email link
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = hashToken(token);
+  this.verificationTokenExpires = new Date(Date.now() + VERIFICATION_TOKEN_TTL);
+  return token;
+};
+
+// Create a password reset token; returns the raw token for the email link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL);
+  return token;
+};
+
+// Find a user by an unexpired verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  return this.findOne({
+    verificationToken: hashToken(token),
+    verificationTokenExpires: { $gt: new Date() }
+  });
+};
+
+// Find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpires: { $gt: new Date() }
+  });
+};
+
+// Ids of users who blocked this user or were blocked by them
+userSchema.statics.getBlockedIds = async function(userId) {
+  const [user, blockers] = await Promise.all([
+    this.findById(userId).select('blockedUsers'),
+    this.find({ blockedUsers: userId }).select('_id')
+  ]);
+
+  return [...(user ? user.blockedUsers : []), ...blockers.map(blocker => blocker._id)];
+};
+
+// Whether either of two users has blocked the other
+userSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const count = await this.countDocuments({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId }
+    ]
+  });
+  return count > 0;
+};
+
+// Reactivate accounts whose suspension has run out
+userSchema.statics.liftExpiredSuspensions = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { accountStatus: 'suspended', 'suspension.until': { $lte: now } },
+    { $set: { accountStatus: 'active' }, $unset: { suspension: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Check for a global role
+userSchema.methods.hasRole = function(role) {
+  return this.roles.includes(role);
+};
+
+// Check a permission. Scoped role assignments only count when a scope
+// ({ dropOffPoint, coordinates }) is given and they cover it.
+userSchema.methods.can = function(permission, scope) {
+  return userHasPermission(this, permission, scope);
+};
+
+// Permissions granted by the user's global roles
+userSchema.methods.getPermissions = function() {
+  return getPermissionsForRoles(this.roles);
+};
+
+// Grant a role limited to a drop-off point or region (no-op if already held)
+userSchema.methods.grantScopedRole = function(role, { dropOffPoint, region, grantedBy } = {}) {
+  const existing = this.roleAssignments.find(assignment =>
+    assignment.role === role &&
+    (dropOffPoint
+      ? assignment.dropOffPoint && assignment.dropOffPoint.toString() === dropOffPoint.toString()
+      : !assignment.dropOffPoint && assignment.region && assignment.region.name === region.name));
+
+  if (existing) return existing;
+
+  this.roleAssignments.push({ role, dropOffPoint, region, grantedBy });
+  return this.roleAssignments[this.roleAssignments.length - 1];
+};
+
+// The user's role in an organization, or null if not a member
+userSchema.methods.getOrganizationRole = function(organizationId) {
+  const assignment = this.roleAssignments.find(a =>
+    a.organization && a.organization.toString() === organizationId.toString());
+  return assignment ? assignment.role : null;
+};
+
+// Set the user's single role in an organization; null removes the membership
+userSchema.methods.setOrganizationRole = function(organizationId, role, grantedBy) {
+  this.roleAssignments = this.roleAssignments.filter(a =>
+    !a.organization || a.organization.toString() !== organizationId.toString());
+
+  if (role) {
+    this.roleAssignments.push({ role, organization: organizationId, grantedBy });
+  }
+};
+
+// Highest trust tier the user currently meets
+userSchema.methods.computeTrustLevel = function() {
+  const { trust } = this;
+  
+  if (trust.document && trust.document.status === 'approved') return TRUST_LEVELS.DOCUMENT;
+  if (trust.phoneVerifiedAt && trust.vouches.length >= REQUIRED_VOUCHES) return TRUST_LEVELS.COMMUNITY;
+  if (trust.phoneVerifiedAt) return TRUST_LEVELS.PHONE;
+  if (this.isVerified) return TRUST_LEVELS.EMAIL;
+  return TRUST_LEVELS.NONE;
+};
+
+userSchema.methods.hasTrustLevel = function(level) {
+  return (this.trust.level || TRUST_LEVELS.NONE) >= level;
+};
+
+// Whether the account is currently suspended or banned
+userSchema.methods.isSuspended = function(date = new Date()) {
+  if (this.accountStatus === 'banned') return true;
+  if (this.accountStatus !== 'suspended') return false;
+  return !this.suspension || !this.suspension.until || this.suspension.until > date;
+};
+
+// Error body returned to suspended and banned users
+userSchema.methods.getSuspensionNotice = function() {
+  return {
+    error: this.accountStatus === 'banned' ? 'This account has been banned.' : 'This account is suspended.',
+    reason: this.suspension && this.suspension.reason,
+    suspendedUntil: this.suspension && this.suspension.until
+  };
+};
+
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(id => id.toString() === userId.toString());
+};
+
+userSchema.methods.hasMuted = function(userId) {
+  return this.mutedUsers.some(id => id.toString() === userId.toString());
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -195,4 +547,99 @@ userSchema.methods.updateLastActive = function() {
   return this.save();
 };
 
+// Current 'HH:MM' wall-clock time in a time zone
+const localClock = (date, timezone) => {
+  try {
+    return new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      timeZone: timezone || 'UTC'
+    }).format(date);
+  } catch (error) {
+    return date.toISOString().substring(11, 16);
+  }
+};
+
+const toMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Check if a time falls within the user's quiet hours (in their timezone)
+userSchema.methods.isInQuietHours = function(date = new Date()) {
+  if (!this.quietHours || !this.quietHours.enabled) return false;
+  
+  const localTime = localClock(date, this.timezone);
+  const { start, end } = this.quietHours;
+  
+  // Quiet hours can wrap past midnight (e.g. 22:00-07:00)
+  return start <= end
+    ? localTime >= start && localTime < end
+    : localTime >= start || localTime < end;
+};
+
+// When the quiet hours around `date` end, or null outside quiet hours
+userSchema.methods.getQuietHoursEnd = function(date = new Date()) {
+  if (!this.isInQuietHours(date)) return null;
+  
+  const minutesLeft = (toMinutes(this.quietHours.end) - toMinutes(localClock(date, this.timezone)) + 1440) % 1440;
+  const startOfMinute = date.getTime() - (date.getTime() % 60000);
+  return new Date(startOfMinute + minutesLeft * 60000);
+};
+
+// Check if the user wants notifications on a channel right now.
+// Critical notifications ignore quiet hours but not the channel preference.
+userSchema.methods.canNotify = function(channel, { critical = false, date = new Date() } = {}) {
+  if (!this.notificationPreferences || this.notificationPreferences[channel] === false) {
+    return false;
+  }
+  
+  if (channel === 'sms' && !this.phoneNumber) return false;
+  
+  return critical || !this.isInQuietHours(date);
+};
+
+// Channel modes for every notification type, with the user's overrides applied
+userSchema.methods.getNotificationMatrix = function() {
+  return resolveMatrix(this.notificationPreferences && this.notificationPreferences.events);
+};
+
+const CHANNEL_SWITCHES = ['email', 'sms', 'push', 'chat', 'digest'];
+const QUIET_HOURS_FIELDS = ['enabled', 'start', 'end'];
+
+// Apply a notification settings update: global channel switches, per-event
+// overrides (validated with services/notificationPreferences), quiet hours
+// and time zone. Only given fields change; the caller saves.
+userSchema.methods.updateNotificationSettings = function({ channels = {}, events = {}, quietHours = {}, timezone } = {}) {
+  CHANNEL_SWITCHES.forEach(channel => {
+    if (channels[channel] !== undefined) this.set(`notificationPreferences.${channel}`, channels[channel]);
+  });
+  
+  if (!this.notificationPreferences.events) this.set('notificationPreferences.events', {});
+  Object.entries(events).forEach(([type, modes]) => {
+    const current = this.notificationPreferences.events.get(type);
+    this.notificationPreferences.events.set(type, { ...(current ? current.toObject() : {}), ...modes });
+  });
+  
+  QUIET_HOURS_FIELDS.forEach(field => {
+    if (quietHours[field] !== undefined) this.set(`quietHours.${field}`, quietHours[field]);
+  });
+  
+  if (timezone) this.timezone = timezone;
+  return this;
+};
+
+// How a notification type reaches the user on a channel: 'instant', 'digest'
+// or 'off'. Channels switched off globally, or SMS without a phone number, are off.
+userSchema.methods.getChannelMode = function(type, channel) {
+  const preferences = this.notificationPreferences || {};
+  if (channel !== 'inApp' && preferences[channel] === false) return 'off';
+  if (channel === 'sms' && !this.phoneNumber) return 'off';
+  
+  const modes = this.getNotificationMatrix()[type];
+  if (!modes) return channel === 'inApp' ? 'instant' : 'off';
+  return modes[channel];
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
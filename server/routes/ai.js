@@ -4,7 +4,10 @@ const { OpenAI } = require('openai');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
 const NeedForecast = require('../models/NeedForecast');
-const auth = require('../middleware/auth');
+const { authenticate: auth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+const { getRankingScore } = require('../services/reputation');
+const { screenContent } = require('../services/moderation');
 
 // Initialize OpenAI (only if API key is provided)
 let openai = null;
@@ -54,7 +57,7 @@ router.post('/chat', auth, async (req, res) => {
 
 User context:
 - Name: ${user.name}
-- Role: ${user.role}
+- Roles: ${user.roles.join(', ')}
 - Location: ${user.location?.city || 'Not specified'}
 
 Platform features you can help with:
@@ -99,13 +102,8 @@ Current message context: ${context || 'General conversation'}`;
 });
 
 // Need forecasting endpoint
-router.post('/forecast', auth, async (req, res) => {
+router.post('/forecast', auth, requirePermission(PERMISSIONS.FORECASTS_MANAGE), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const { location, timeframe = '30d' } = req.body;
 
     // Get historical data
@@ -212,10 +210,13 @@ router.post('/match', auth, async (req, res) => {
     // Find potential matches based on:
     // 1. Similar category
     // 2. Geographic proximity
-    // 3. User preferences
+    // 3. Owner reputation
+    const blockedIds = await User.getBlockedIds(req.user._id);
     const matches = await Resource.find({
       _id: { $ne: resourceId },
-      available: true,
+      owner: { $nin: blockedIds },
+      status: 'available',
+      'moderation.hidden': { $ne: true },
       category: resource.category,
       location: {
         $near: {
@@ -224,7 +225,7 @@ router.post('/match', auth, async (req, res) => {
         }
       }
     })
-    .populate('donor', 'name profilePicture')
+    .populate('owner', 'username firstName lastName profilePicture heroRating isLocalHero reputation.computedAt')
     .limit(maxResults);
 
     // Calculate match scores
@@ -245,6 +246,10 @@ router.post('/match', auth, async (req, res) => {
       // Interest level
       score += Math.min(match.interestedUsers.length * 5, 15);
 
+      // Owner reputation (0-5 rating, up to 20 points)
+      const reputation = getRankingScore(match.owner);
+      score += Math.round(reputation * 4);
+
       return {
         resource: match,
         matchScore: score,
@@ -252,7 +257,8 @@ router.post('/match', auth, async (req, res) => {
           ...(match.category === resource.category ? ['Same category'] : []),
           ...(match.condition === resource.condition ? ['Similar condition'] : []),
           ...(daysSincePosted <= 7 ? ['Recently posted'] : []),
-          ...(match.interestedUsers.length > 0 ? ['High interest'] : [])
+          ...(match.interestedUsers.length > 0 ? ['High interest'] : []),
+          ...(match.owner && match.owner.isLocalHero ? ['Local hero'] : reputation >= 4.5 ? ['Highly rated'] : [])
         ]
       };
     });
@@ -287,6 +293,7 @@ router.get('/recommendations', auth, async (req, res) => {
       const nearbyResources = await Resource.find({
         available: true,
         donor: { $ne: req.user.id },
+        'moderation.hidden': { $ne: true },
         ...(userLocation && {
           location: {
             $near: {
@@ -349,80 +356,21 @@ router.get('/recommendations', auth, async (req, res) => {
 });
 
 // Content moderation endpoint
-router.post('/moderate', auth, async (req, res) => {
+router.post('/moderate', auth, requirePermission(PERMISSIONS.CONTENT_MODERATE), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const { content, type = 'text' } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
 
-    // Basic content moderation rules
-    const flags = [];
-    const lowercaseContent = content.toLowerCase();
-
-    // Check for inappropriate language
-    const inappropriateWords = ['spam', 'scam', 'fake', 'fraud'];
-    inappropriateWords.forEach(word => {
-      if (lowercaseContent.includes(word)) {
-        flags.push({
-          type: 'inappropriate_language',
-          severity: 'medium',
-          match: word
-        });
-      }
-    });
-
-    // Check for personal information
-    const phoneRegex = /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/;
-    const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
-
-    if (phoneRegex.test(content)) {
-      flags.push({
-        type: 'personal_info',
-        severity: 'low',
-        match: 'phone_number'
-      });
-    }
-
-    if (emailRegex.test(content)) {
-      flags.push({
-        type: 'personal_info',
-        severity: 'low',
-        match: 'email_address'
-      });
-    }
-
-    // If using OpenAI, get more sophisticated moderation
-    let aiModeration = null;
-    if (openai && type === 'text') {
-      try {
-        const moderation = await openai.moderations.create({
-          input: content,
-        });
-
-        if (moderation.results[0].flagged) {
-          aiModeration = {
-            flagged: true,
-            categories: moderation.results[0].categories,
-            category_scores: moderation.results[0].category_scores
-          };
-        }
-      } catch (error) {
-        console.error('OpenAI moderation error:', error);
-      }
-    }
+    const screening = await screenContent(content, { useAi: type === 'text' });
 
     const result = {
       content,
-      flags,
-      aiModeration,
-      recommendation: flags.length > 0 || aiModeration?.flagged ? 'review' : 'approve',
+      flags: screening.flags,
+      aiModeration: screening.aiModeration,
+      recommendation: screening.recommendation,
       timestamp: new Date()
     };
 
@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const AlertArea = require('../models/AlertArea');
+const { authenticate: auth } = require('../middleware/auth');
+
+// Areas the user gets emergency alerts and need predictions for. Alerts
+// reach every user whose area overlaps the alert, whether or not they are
+// connected (services/notifications findAlertRecipientIds).
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const areas = await AlertArea.find({ user: req.user._id }).sort({ createdAt: 1 });
+    res.json({ areas, limit: AlertArea.MAX_PER_USER });
+  } catch (error) {
+    console.error('Get alert areas error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create an area: { name, coordinates: [lng, lat], radius (meters) }
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, coordinates, radius } = req.body;
+
+    if (await AlertArea.countDocuments({ user: req.user._id }) >= AlertArea.MAX_PER_USER) {
+      return res.status(400).json({ error: `You can save up to ${AlertArea.MAX_PER_USER} alert areas` });
+    }
+
+    const area = await AlertArea.create({
+      user: req.user._id,
+      name,
+      center: { type: 'Point', coordinates },
+      radius
+    });
+
+    res.status(201).json(area);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have an alert area with this name' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create alert area error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const area = await AlertArea.findOne({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!area) {
+      return res.status(404).json({ error: 'Alert area not found' });
+    }
+
+    const { name, coordinates, radius } = req.body;
+    if (name !== undefined) area.name = name;
+    if (coordinates !== undefined) area.center = { type: 'Point', coordinates };
+    if (radius !== undefined) area.radius = radius;
+
+    await area.save();
+    res.json(area);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You already have an alert area with this name' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update alert area error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const area = await AlertArea.findOneAndDelete({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!area) {
+      return res.status(404).json({ error: 'Alert area not found' });
+    }
+
+    res.json({ message: 'Alert area deleted' });
+  } catch (error) {
+    console.error('Delete alert area error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
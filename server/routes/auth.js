@@ -1,25 +1,23 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const crypto = require('crypto');
 const validator = require('validator');
 const User = require('../models/User');
-const { authenticate, authorize, validateLocation } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { authenticate, requirePermission, validateLocation, userRateLimit } = require('../middleware/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/email');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+const trust = require('../services/trust');
+const { PERMISSIONS, GLOBAL_ROLES, SELF_ASSIGNABLE_ROLES } = require('../services/permissions');
+const { validateMatrix } = require('../services/notificationPreferences');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '24h'
-  });
-};
-
-// Generate verification token
-const generateVerificationToken = () => {
-  return crypto.randomBytes(32).toString('hex');
-};
-
 // Register new user
 router.post('/register', validateLocation, async (req, res) => {
   try {
@@ -31,7 +29,7 @@ router.post('/register', validateLocation, async (req, res) => {
       lastName,
       phoneNumber,
       location,
-      role = 'receiver',
+      role,
       preferredLanguage = 'en',
       accessibilityNeeds = {}
     } = req.body;
@@ -55,9 +53,13 @@ router.post('/register', validateLocation, async (req, res) => {
       });
     }
 
-    if (!['donor', 'receiver', 'admin'].includes(role)) {
+    // Users can sign up as donor, receiver or both; other roles are granted by admins
+    const roles = req.body.roles || (role ? [role] : ['receiver']);
+
+    if (!Array.isArray(roles) || roles.length === 0 ||
+        !roles.every(r => SELF_ASSIGNABLE_ROLES.includes(r))) {
       return res.status(400).json({
-        error: 'Invalid role. Must be donor, receiver, or admin.'
+        error: `Invalid roles. Must be one or more of: ${SELF_ASSIGNABLE_ROLES.join(', ')}.`
       });
     }
 
@@ -72,9 +74,6 @@ router.post('/register', validateLocation, async (req, res) => {
       });
     }
 
-    // Create verification token
-    const verificationToken = generateVerificationToken();
-
     // Create new user
     const user = new User({
       username,
@@ -84,26 +83,34 @@ router.post('/register', validateLocation, async (req, res) => {
       lastName,
       phoneNumber,
       location,
-      role,
+      roles: [...new Set(roles)],
       preferredLanguage,
-      accessibilityNeeds,
-      verificationToken
+      accessibilityNeeds
     });
 
+    const verificationToken = user.createVerificationToken();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // A failed email should not fail registration; the user can resend it
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Start a session (short-lived access token plus refresh token)
+    const tokens = await createSession(user, req, { deviceName: req.body.deviceName });
 
     // Remove password from response
     const userResponse = user.toObject();
     delete userResponse.password;
     delete userResponse.verificationToken;
+    delete userResponse.verificationTokenExpires;
 
     res.status(201).json({
       message: 'User registered successfully. Please verify your email.',
       user: userResponse,
-      token,
+      ...tokens,
       verificationRequired: true
     });
 
@@ -118,7 +125,7 @@ router.post('/register', validateLocation, async (req, res) => {
 // User login
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, deviceName } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({
@@ -144,12 +151,34 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Suspended and banned accounts cannot sign in
+    if (user.isSuspended()) {
+      return res.status(403).json(user.getSuspensionNotice());
+    }
+
+    // With 2FA enabled the password only earns a challenge token, which is
+    // exchanged for a session at /login/2fa. A code texted in the last minute
+    // is not sent again; it is still valid.
+    if (user.twoFactor && user.twoFactor.enabled) {
+      if (user.twoFactor.method === 'sms') {
+        const userWithSecrets = await twoFactor.findUserWithSecrets(user._id);
+        await twoFactor.sendSmsCode(userWithSecrets);
+      }
+
+      return res.json({
+        message: 'Two-factor authentication required.',
+        twoFactorRequired: true,
+        method: user.twoFactor.method,
+        challengeToken: twoFactor.createChallengeToken(user)
+      });
+    }
+
     // Update user online status
     user.isOnline = true;
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session (short-lived access token plus refresh token)
+    const tokens = await createSession(user, req, { deviceName });
 
     // Remove password from response
     const userResponse = user.toObject();
@@ -158,7 +187,7 @@ router.post('/login', async (req, res) => {
     res.json({
       message: 'Login successful.',
       user: userResponse,
-      token,
+      ...tokens,
       requiresVerification: !user.isVerified
     });
 
@@ -170,9 +199,140 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// User logout
+// Second login step: exchange a challenge token and a 2FA or recovery code for a session
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, deviceName } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and a code or recovery code are required.'
+      });
+    }
+
+    const userId = twoFactor.verifyChallengeToken(challengeToken);
+    const user = userId && await twoFactor.findUserWithSecrets(userId);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Login challenge expired. Please sign in again.'
+      });
+    }
+
+    const result = await twoFactor.verify(user, { code, recoveryCode });
+
+    if (result.locked) {
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later.'
+      });
+    }
+
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid verification code.'
+      });
+    }
+
+    if (user.isSuspended()) {
+      return res.status(403).json(user.getSuspensionNotice());
+    }
+
+    // Update user online status
+    user.isOnline = true;
+    await user.save();
+
+    const tokens = await createSession(user, req, { deviceName, twoFactorVerified: true });
+
+    const userResponse = user.toObject();
+    delete userResponse.password;
+    delete userResponse.twoFactor;
+
+    res.json({
+      message: 'Login successful.',
+      user: userResponse,
+      ...tokens,
+      requiresVerification: !user.isVerified,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Server error during login.'
+    });
+  }
+});
+
+// Resend the SMS login code for a pending challenge
+router.post('/2fa/sms', async (req, res) => {
+  try {
+    const userId = twoFactor.verifyChallengeToken(req.body.challengeToken);
+    const user = userId && await twoFactor.findUserWithSecrets(userId);
+
+    if (!user) {
+      return res.status(401).json({
+        error: 'Login challenge expired. Please sign in again.'
+      });
+    }
+
+    if (!user.twoFactor.enabled || user.twoFactor.method !== 'sms') {
+      return res.status(400).json({
+        error: 'SMS codes are not enabled for this account.'
+      });
+    }
+
+    if (!await twoFactor.sendSmsCode(user)) {
+      return res.status(429).json({
+        error: 'A code was sent less than a minute ago. Please wait before requesting another.'
+      });
+    }
+
+    res.json({
+      message: 'Verification code sent.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor SMS error:', error);
+    res.status(500).json({
+      error: 'Server error while sending verification code.'
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required.'
+      });
+    }
+
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        error: 'Invalid or expired refresh token. Please sign in again.'
+      });
+    }
+
+    res.json(tokens);
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      error: 'Server error while refreshing token.'
+    });
+  }
+});
+
+// User logout (ends the current session)
 router.post('/logout', authenticate, async (req, res) => {
   try {
+    await revokeSession(req.authSession, 'logout');
+
     // Update user online status
     req.user.isOnline = false;
     await req.user.save();
@@ -200,7 +360,7 @@ router.post('/verify-email', async (req, res) => {
       });
     }
 
-    const user = await User.findOne({ verificationToken: token });
+    const user = await User.findByVerificationToken(token);
 
     if (!user) {
       return res.status(400).json({
@@ -211,6 +371,7 @@ router.post('/verify-email', async (req, res) => {
     // Update user verification status
     user.isVerified = true;
     user.verificationToken = undefined;
+    user.verificationTokenExpires = undefined;
     await user.save();
 
     res.json({
@@ -234,16 +395,14 @@ router.post('/resend-verification', authenticate, async (req, res) => {
       });
     }
 
-    // Generate new verification token
-    const verificationToken = generateVerificationToken();
-    req.user.verificationToken = verificationToken;
+    // Generate new verification token (replaces any earlier link)
+    const verificationToken = req.user.createVerificationToken();
     await req.user.save();
 
-    // Here you would send the verification email
-    // For now, we'll just return the token
+    await sendVerificationEmail(req.user, verificationToken);
+
     res.json({
-      message: 'Verification email sent.',
-      verificationToken // Remove this in production
+      message: 'Verification email sent.'
     });
 
   } catch (error) {
@@ -254,6 +413,68 @@ router.post('/resend-verification', authenticate, async (req, res) => {
   }
 });
 
+// Text a code to confirm the account's phone number
+router.post('/verify-phone/send', authenticate, userRateLimit(5, 60 * 60 * 1000), async (req, res) => {
+  try {
+    if (!req.user.phoneNumber) {
+      return res.status(400).json({
+        error: 'Add a phone number to your profile first.'
+      });
+    }
+
+    if (req.user.trust.phoneVerifiedAt) {
+      return res.status(400).json({
+        error: 'Phone number is already verified.'
+      });
+    }
+
+    await trust.sendPhoneCode(req.user);
+
+    res.json({
+      message: 'Verification code sent.'
+    });
+
+  } catch (error) {
+    console.error('Phone verification send error:', error);
+    res.status(500).json({
+      error: 'Server error while sending verification code.'
+    });
+  }
+});
+
+// Confirm the phone number with the texted code
+router.post('/verify-phone', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required.'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+trust.phoneCode.hash');
+    const result = await trust.verifyPhoneCode(user, code);
+
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+
+    res.json({
+      message: 'Phone number verified.',
+      trust: trust.getTrustSummary(user)
+    });
+
+  } catch (error) {
+    console.error('Phone verification error:', error);
+    res.status(500).json({
+      error: 'Server error during phone verification.'
+    });
+  }
+});
+
 // Request password reset
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -275,17 +496,18 @@ router.post('/forgot-password', async (req, res) => {
     }
 
     // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-
+    const resetToken = user.createPasswordResetToken();
     await user.save();
 
-    // Here you would send the password reset email
-    // For now, we'll just return the token
+    // Same response whether or not the email goes out
+    try {
+      await sendPasswordResetEmail(user, resetToken);
+    } catch (emailError) {
+      console.error('Password reset email error:', emailError);
+    }
+
     res.json({
-      message: 'If an account with this email exists, a password reset link has been sent.',
-      resetToken // Remove this in production
+      message: 'If an account with this email exists, a password reset link has been sent.'
     });
 
   } catch (error) {
@@ -313,10 +535,7 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
-    const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpires: { $gt: Date.now() }
-    });
+    const user = await User.findByPasswordResetToken(token);
 
     if (!user) {
       return res.status(400).json({
@@ -331,6 +550,9 @@ router.post('/reset-password', async (req, res) => {
 
     await user.save();
 
+    // Sign out every device that used the old password
+    await revokeAllSessions(user._id, { reason: 'password_reset' });
+
     res.json({
       message: 'Password reset successful.'
     });
@@ -360,8 +582,9 @@ router.post('/change-password', authenticate, async (req, res) => {
       });
     }
 
-    // Verify current password
-    const isValidPassword = await req.user.comparePassword(currentPassword);
+    // Verify current password (req.user is loaded without it)
+    const user = await User.findById(req.user._id);
+    const isValidPassword = await user.comparePassword(currentPassword);
 
     if (!isValidPassword) {
       return res.status(400).json({
@@ -370,8 +593,11 @@ router.post('/change-password', authenticate, async (req, res) => {
     }
 
     // Update password
-    req.user.password = newPassword;
-    await req.user.save();
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out other devices; this one stays signed in
+    await revokeAllSessions(user._id, { except: req.authSession._id, reason: 'password_changed' });
 
     res.json({
       message: 'Password changed successfully.'
@@ -385,6 +611,310 @@ router.post('/change-password', authenticate, async (req, res) => {
   }
 });
 
+// List the current user's active sessions (one per signed-in device)
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({
+      error: 'Server error while fetching sessions.'
+    });
+  }
+});
+
+// Revoke all sessions (signs out every device, including this one)
+router.delete('/sessions', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user._id, { reason: 'logout_all' });
+
+    res.json({
+      message: 'All sessions revoked.',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Server error while revoking sessions.'
+    });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        error: 'Session not found.'
+      });
+    }
+
+    await revokeSession(session, 'revoked_by_user');
+
+    res.json({
+      message: 'Session revoked.'
+    });
+
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      error: 'Server error while revoking session.'
+    });
+  }
+});
+
+// Start two-factor setup. 'totp' returns a secret and otpauth URL for an
+// authenticator app; 'sms' texts a code to the account's phone number.
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const { method = 'totp' } = req.body;
+
+    if (!['totp', 'sms'].includes(method)) {
+      return res.status(400).json({
+        error: 'Method must be totp or sms.'
+      });
+    }
+
+    const user = await twoFactor.findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    if (method === 'sms' && !user.phoneNumber) {
+      return res.status(400).json({
+        error: 'Add a phone number to your profile to use SMS codes.'
+      });
+    }
+
+    const { sent, ...setup } = await twoFactor.startSetup(user, method);
+
+    if (sent === false) {
+      return res.status(429).json({
+        error: 'A code was sent less than a minute ago. Please wait before requesting another.'
+      });
+    }
+
+    res.json({
+      message: method === 'sms'
+        ? 'Verification code sent. Confirm it to enable two-factor authentication.'
+        : 'Scan the QR code with your authenticator app and confirm a code to enable two-factor authentication.',
+      ...setup
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Server error during two-factor setup.'
+    });
+  }
+});
+
+// Confirm setup with a first code. Recovery codes are only shown here.
+router.post('/2fa/enable', authenticate, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required.'
+      });
+    }
+
+    const user = await twoFactor.findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const { recoveryCodes, locked } = await twoFactor.enable(user, code);
+
+    if (locked) {
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later.'
+      });
+    }
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid or expired verification code.'
+      });
+    }
+
+    // The code was just proven, so this session counts as verified
+    req.authSession.twoFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      method: user.twoFactor.method,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      error: 'Server error while enabling two-factor authentication.'
+    });
+  }
+});
+
+// Verify the current session with a code (e.g. sessions started before 2FA was enabled)
+router.post('/2fa/verify-session', authenticate, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const user = await twoFactor.findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    // Without a code, SMS users get one texted to them
+    if (!code && !recoveryCode) {
+      if (user.twoFactor.method !== 'sms') {
+        return res.status(400).json({
+          error: 'Verification code is required.'
+        });
+      }
+
+      if (!await twoFactor.sendSmsCode(user)) {
+        return res.status(429).json({
+          error: 'A code was sent less than a minute ago. Please wait before requesting another.'
+        });
+      }
+      return res.json({
+        message: 'Verification code sent.'
+      });
+    }
+
+    const result = await twoFactor.verify(user, { code, recoveryCode });
+
+    if (result.locked) {
+      return res.status(429).json({
+        error: 'Too many failed attempts. Please try again later.'
+      });
+    }
+
+    if (!result.valid) {
+      return res.status(401).json({
+        error: 'Invalid verification code.'
+      });
+    }
+
+    req.authSession.twoFactorVerifiedAt = new Date();
+    await req.authSession.save();
+
+    res.json({
+      message: 'Session verified.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor session verification error:', error);
+    res.status(500).json({
+      error: 'Server error during two-factor verification.'
+    });
+  }
+});
+
+// Replace all recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const user = await twoFactor.findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    const result = await twoFactor.verify(user, { code: req.body.code });
+
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 401).json({
+        error: result.locked ? 'Too many failed attempts. Please try again later.' : 'Invalid verification code.'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user);
+
+    res.json({
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({
+      error: 'Server error while regenerating recovery codes.'
+    });
+  }
+});
+
+// Turn off two-factor authentication (requires password and a code)
+router.post('/2fa/disable', authenticate, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Password and a verification code are required.'
+      });
+    }
+
+    const user = await twoFactor.findUserWithSecrets(req.user._id);
+    const isValidPassword = await user.comparePassword(password);
+
+    if (!isValidPassword) {
+      return res.status(400).json({
+        error: 'Password is incorrect.'
+      });
+    }
+
+    const result = await twoFactor.verify(user, { code, recoveryCode });
+
+    if (!result.valid) {
+      return res.status(result.locked ? 429 : 401).json({
+        error: result.locked ? 'Too many failed attempts. Please try again later.' : 'Invalid verification code.'
+      });
+    }
+
+    await twoFactor.disable(user);
+
+    res.json({
+      message: 'Two-factor authentication disabled.'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      error: 'Server error while disabling two-factor authentication.'
+    });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticate, async (req, res) => {
   try {
@@ -395,7 +925,9 @@ router.get('/profile', authenticate, async (req, res) => {
     delete userResponse.resetPasswordExpires;
 
     res.json({
-      user: userResponse
+      user: userResponse,
+      permissions: req.user.getPermissions(),
+      notificationMatrix: req.user.getNotificationMatrix()
     });
 
   } catch (error) {
@@ -424,9 +956,23 @@ router.put('/profile', authenticate, async (req, res) => {
       });
     }
 
+    // Notification preferences are merged so per-event overrides survive
+    const notificationPreferences = req.body.notificationPreferences || {};
+    const invalid = notificationPreferences.events && validateMatrix(notificationPreferences.events);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
     // Apply updates
     updates.forEach(update => {
-      req.user[update] = req.body[update];
+      if (update === 'notificationPreferences') {
+        req.user.updateNotificationSettings({
+          channels: notificationPreferences,
+          events: notificationPreferences.events
+        });
+      } else {
+        req.user[update] = req.body[update];
+      }
     });
 
     await req.user.save();
@@ -482,8 +1028,9 @@ router.delete('/account', authenticate, async (req, res) => {
       });
     }
 
-    // Verify password
-    const isValidPassword = await req.user.comparePassword(password);
+    // Verify password (req.user is loaded without it)
+    const user = await User.findById(req.user._id);
+    const isValidPassword = await user.comparePassword(password);
 
     if (!isValidPassword) {
       return res.status(400).json({
@@ -491,8 +1038,9 @@ router.delete('/account', authenticate, async (req, res) => {
       });
     }
 
-    // Delete user account
-    await User.findByIdAndDelete(req.user._id);
+    // Sign out every device, then delete the account
+    await revokeAllSessions(user._id, { reason: 'account_deleted' });
+    await User.findByIdAndDelete(user._id);
 
     res.json({
       message: 'Account deleted successfully.'
@@ -507,12 +1055,12 @@ router.delete('/account', authenticate, async (req, res) => {
 });
 
 // Admin: Get all users
-router.get('/users', authenticate, authorize(['admin']), async (req, res) => {
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE, { requireTwoFactor: true }), async (req, res) => {
   try {
     const { page = 1, limit = 10, role, isVerified } = req.query;
 
     const query = {};
-    if (role) query.role = role;
+    if (role) query.roles = role;
     if (isVerified !== undefined) query.isVerified = isVerified === 'true';
 
     const users = await User.find(query)
@@ -538,12 +1086,12 @@ router.get('/users', authenticate, authorize(['admin']), async (req, res) => {
   }
 });
 
-// Admin: Update user role
-router.put('/users/:id/role', authenticate, authorize(['admin']), async (req, res) => {
+// Admin: Replace a user's global roles
+router.put('/users/:id/role', authenticate, requirePermission(PERMISSIONS.ROLES_ASSIGN, { requireTwoFactor: true }), async (req, res) => {
   try {
-    const { role } = req.body;
+    const roles = req.body.roles || (req.body.role ? [req.body.role] : []);
 
-    if (!['donor', 'receiver', 'admin'].includes(role)) {
+    if (!Array.isArray(roles) || roles.length === 0 || !roles.every(r => GLOBAL_ROLES.includes(r))) {
       return res.status(400).json({
         error: 'Invalid role.'
       });
@@ -551,7 +1099,7 @@ router.put('/users/:id/role', authenticate, authorize(['admin']), async (req, re
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role },
+      { roles: [...new Set(roles)] },
       { new: true }
     ).select('-password -verificationToken -resetPasswordToken -resetPasswordExpires');
 
@@ -2,7 +2,22 @@ const express = require('express');
 const router = express.Router();
 const Challenge = require('../models/Challenge');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { authenticate: auth, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { EVENTS, publish } = require('../services/events');
+const { PERMISSIONS } = require('../services/permissions');
+const { resolveActingOrganization } = require('../services/organizations');
+
+// Challenge managers, platform-wide or for the organization hosting the challenge
+const canManageNew = requirePermission(PERMISSIONS.CHALLENGES_MANAGE, {
+  scope: req => ({ organization: req.body.organization })
+});
+const canManageExisting = requirePermission(PERMISSIONS.CHALLENGES_MANAGE, {
+  scope: async req => {
+    const challenge = await Challenge.findById(req.params.id).select('organization').catch(() => null);
+    return { organization: challenge && challenge.organization };
+  }
+});
 
 // Get all active challenges
 router.get('/', async (req, res) => {
@@ -55,14 +70,9 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create new challenge (admin only)
-router.post('/', auth, async (req, res) => {
+// Create new challenge
+router.post('/', auth, canManageNew, idempotent, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const {
       title,
       description,
@@ -72,13 +82,21 @@ router.post('/', auth, async (req, res) => {
       requirements,
       startDate,
       endDate,
-      maxParticipants
+      maxParticipants,
+      organization
     } = req.body;
 
     if (!title || !description || !category) {
       return res.status(400).json({ error: 'Title, description, and category are required' });
     }
 
+    if (organization) {
+      const acting = await resolveActingOrganization(req.user, organization, PERMISSIONS.CHALLENGES_MANAGE);
+      if (acting.error) {
+        return res.status(acting.status).json({ error: acting.error });
+      }
+    }
+
     const challenge = new Challenge({
       title,
       description,
@@ -90,6 +108,7 @@ router.post('/', auth, async (req, res) => {
       endDate: endDate ? new Date(endDate) : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
       maxParticipants: maxParticipants || null,
       creator: req.user.id,
+      organization,
       status: 'active'
     });
 
@@ -103,14 +122,9 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-// Update challenge (admin only)
-router.put('/:id', auth, async (req, res) => {
+// Update challenge
+router.put('/:id', auth, canManageExisting, idempotent, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const challenge = await Challenge.findById(req.params.id);
     if (!challenge) {
       return res.status(404).json({ error: 'Challenge not found' });
@@ -151,14 +165,9 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
-// Delete challenge (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// Delete challenge
+router.delete('/:id', auth, canManageExisting, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const challenge = await Challenge.findByIdAndDelete(req.params.id);
     if (!challenge) {
       return res.status(404).json({ error: 'Challenge not found' });
@@ -172,7 +181,7 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Join challenge
-router.post('/:id/join', auth, async (req, res) => {
+router.post('/:id/join', auth, idempotent, async (req, res) => {
   try {
     const challenge = await Challenge.findById(req.params.id);
     if (!challenge) {
@@ -214,7 +223,7 @@ router.post('/:id/join', auth, async (req, res) => {
 });
 
 // Leave challenge
-router.post('/:id/leave', auth, async (req, res) => {
+router.post('/:id/leave', auth, idempotent, async (req, res) => {
   try {
     const challenge = await Challenge.findById(req.params.id);
     if (!challenge) {
@@ -235,7 +244,7 @@ router.post('/:id/leave', auth, async (req, res) => {
 });
 
 // Update challenge progress
-router.post('/:id/progress', auth, async (req, res) => {
+router.post('/:id/progress', auth, idempotent, async (req, res) => {
   try {
     const { progress, evidence } = req.body;
 
@@ -268,8 +277,9 @@ router.post('/:id/progress', auth, async (req, res) => {
     }
 
     // Check if challenge is completed
-    if (participant.progress >= 100 && !participant.completed) {
-      participant.completed = true;
+    const justCompleted = participant.progress >= 100 && !participant.isCompleted;
+    if (justCompleted) {
+      participant.isCompleted = true;
       participant.completedAt = new Date();
 
       // Award points to user
@@ -280,6 +290,11 @@ router.post('/:id/progress', auth, async (req, res) => {
     }
 
     await challenge.save();
+
+    if (justCompleted) {
+      await publish(EVENTS.CHALLENGE_COMPLETED, { challenge, participant });
+    }
+
     res.json({ message: 'Progress updated successfully', participant });
   } catch (error) {
     console.error('Update progress error:', error);
@@ -2,9 +2,12 @@ const express = require('express');
 const router = express.Router();
 const Chat = require('../models/Chat');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { authenticate: auth, userRateLimit, validateFileUpload } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const { uploadFile, deleteMedia } = require('../services/storage');
+const { HELD_REASON, screenContent, messageTarget, queueScreening, fileReport } = require('../services/moderation');
+const { notifyChatMessage } = require('../services/notifications');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -14,6 +17,10 @@ const upload = multer({
   }
 });
 
+// Photos and voice notes that can be attached to a message
+const CHAT_FILE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif',
+  'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav'];
+
 // Get all chats for a user
 router.get('/', auth, async (req, res) => {
   try {
@@ -32,7 +39,7 @@ router.get('/', auth, async (req, res) => {
 });
 
 // Get or create chat between users
-router.post('/create', auth, async (req, res) => {
+router.post('/create', auth, idempotent, async (req, res) => {
   try {
     const { participantId, resourceId } = req.body;
 
@@ -44,6 +51,10 @@ router.post('/create', auth, async (req, res) => {
       return res.status(400).json({ error: 'Cannot create chat with yourself' });
     }
 
+    if (await User.isBlockedBetween(req.user._id, participantId)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
     // Check if chat already exists
     let chat = await Chat.findOne({
       participants: { $all: [req.user.id, participantId] },
@@ -85,7 +96,10 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    res.json(chat);
+    res.json({
+      ...chat.toObject(),
+      messages: chat.messages.filter(message => message.isVisibleTo(req.user.id))
+    });
   } catch (error) {
     console.error('Get chat error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -104,12 +118,13 @@ router.get('/:id/messages', auth, async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     // Get messages with pagination (reverse order for latest first)
-    const messages = chat.messages
+    const visibleMessages = chat.messages.filter(message => message.isVisibleTo(req.user.id));
+    const messages = visibleMessages
       .sort((a, b) => b.timestamp - a.timestamp)
       .slice(skip, skip + parseInt(limit))
       .reverse();
@@ -124,7 +139,7 @@ router.get('/:id/messages', auth, async (req, res) => {
       messages,
       pagination: {
         current: parseInt(page),
-        hasMore: chat.messages.length > skip + parseInt(limit)
+        hasMore: visibleMessages.length > skip + parseInt(limit)
       }
     });
   } catch (error) {
@@ -134,7 +149,7 @@ router.get('/:id/messages', auth, async (req, res) => {
 });
 
 // Send message
-router.post('/:id/messages', auth, upload.single('file'), async (req, res) => {
+router.post('/:id/messages', auth, upload.single('file'), validateFileUpload(CHAT_FILE_TYPES), idempotent, async (req, res) => {
   try {
     const { content, messageType = 'text' } = req.body;
     
@@ -144,28 +159,21 @@ router.post('/:id/messages', auth, upload.single('file'), async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    let fileUrl = null;
+    if (await chat.isBlockedFor(req.user._id)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    let media = null;
     if (req.file) {
       try {
-        const result = await new Promise((resolve, reject) => {
-          const uploadOptions = {
-            folder: 'community-aid/chat',
-            resource_type: messageType === 'voice' ? 'video' : 'auto'
-          };
-
-          cloudinary.uploader.upload_stream(
-            uploadOptions,
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          ).end(req.file.buffer);
+        media = await uploadFile(req.file, {
+          folder: 'community-aid/chat',
+          resourceType: messageType === 'voice' ? 'video' : 'image'
         });
-        fileUrl = result.secure_url;
       } catch (uploadError) {
         console.error('File upload error:', uploadError);
         return res.status(500).json({ error: 'File upload failed' });
@@ -176,19 +184,34 @@ router.post('/:id/messages', auth, upload.single('file'), async (req, res) => {
       sender: req.user.id,
       content: content || '',
       messageType,
-      fileUrl,
       timestamp: new Date(),
-      readBy: [req.user.id]
+      readBy: [{ user: req.user.id }]
     };
 
+    if (media && messageType === 'voice') message.voiceNote = media;
+    else if (media) message.image = media;
+
+    // Pre-screen the text; held messages stay hidden until a moderator clears them
+    const screening = await screenContent(content);
+    if (screening.held) {
+      message.moderation = { hidden: true, reason: HELD_REASON, hiddenAt: new Date() };
+    }
+
     chat.messages.push(message);
-    chat.lastMessage = {
-      content: messageType === 'text' ? content : `Sent a ${messageType}`,
-      sender: req.user.id,
-      timestamp: new Date()
-    };
+    if (!screening.held) {
+      chat.lastMessage = {
+        content: messageType === 'text' ? content : `Sent a ${messageType}`,
+        sender: req.user.id,
+        timestamp: new Date()
+      };
+    }
 
     await chat.save();
+    await queueScreening(messageTarget(chat, chat.messages[chat.messages.length - 1]), screening);
+
+    if (!screening.held) {
+      await notifyChatMessage(chat, req.user, chat.messages[chat.messages.length - 1]);
+    }
 
     // Populate sender info for response
     await chat.populate('messages.sender', 'name profilePicture');
@@ -210,7 +233,7 @@ router.put('/:id/read', auth, async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -240,7 +263,7 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -259,6 +282,7 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
       return res.status(403).json({ error: 'Can only delete your own messages' });
     }
 
+    const media = message.getMedia();
     chat.messages.splice(messageIndex, 1);
     
     // Update last message if deleted message was the last one
@@ -274,6 +298,10 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
     }
 
     await chat.save();
+
+    // Clean up stored image or voice note
+    await deleteMedia(media);
+
     res.json({ message: 'Message deleted successfully' });
   } catch (error) {
     console.error('Delete message error:', error);
@@ -281,6 +309,40 @@ router.delete('/:chatId/messages/:messageId', auth, async (req, res) => {
   }
 });
 
+// Report a message to the moderators (participants only)
+router.post('/:chatId/messages/:messageId/report', auth, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    const chat = await Chat.findById(req.params.chatId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Chat not found' });
+    }
+
+    if (!chat.isParticipant(req.user.id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const message = chat.messages.id(req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const result = await fileReport(messageTarget(chat, message), req.user, reason, details);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Thank you. Our moderators will review this message.' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Report message error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Delete chat
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -290,11 +352,15 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     await Chat.findByIdAndDelete(req.params.id);
+
+    // Clean up stored images and voice notes
+    await deleteMedia(chat.getMedia());
+
     res.json({ message: 'Chat deleted successfully' });
   } catch (error) {
     console.error('Delete chat error:', error);
@@ -316,12 +382,13 @@ router.get('/:id/search', auth, async (req, res) => {
     }
 
     // Check if user is participant
-    if (!chat.participants.includes(req.user.id)) {
+    if (!chat.isParticipant(req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     const searchResults = chat.messages.filter(message => 
       message.messageType === 'text' && 
+      message.isVisibleTo(req.user.id) && 
       message.content.toLowerCase().includes(q.toLowerCase())
     );
 
@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../models/Dispute');
+const Chat = require('../models/Chat');
+const { authenticate: auth } = require('../middleware/auth');
+const { EVENTS, publish } = require('../services/events');
+const { PERMISSIONS, permissionScopes } = require('../services/permissions');
+
+const PARTY_FIELDS = 'username firstName lastName profilePicture';
+
+// Moderators with disputes.resolve globally or for the resource's area
+const canModerate = (user, dispute) => {
+  const coordinates = dispute.resource && dispute.resource.location && dispute.resource.location.coordinates;
+  return user.can(PERMISSIONS.DISPUTES_RESOLVE, {
+    coordinates,
+    organization: dispute.resource && dispute.resource.organization
+  });
+};
+
+const findDispute = (id) => Dispute.findById(id)
+  .populate('resource', 'title status owner completedBy location organization')
+  .populate('openedBy against assignedTo', PARTY_FIELDS)
+  .catch(() => null);
+
+// Moderation queue: disputes the user can moderate, oldest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status = 'open', page = 1, limit = 50 } = req.query;
+
+    // Parties never moderate their own dispute
+    const query = { openedBy: { $ne: req.user._id }, against: { $ne: req.user._id } };
+    if (status !== 'all') query.status = status;
+    if (req.query.assignedTo === 'me') query.assignedTo = req.user._id;
+
+    const pipeline = [{ $match: query }];
+
+    // Moderators without a global role see disputes over resources in
+    // their organizations or regions
+    const scopes = permissionScopes(req.user, PERMISSIONS.DISPUTES_RESOLVE);
+    if (scopes) {
+      const covered = [
+        ...(scopes.organizations.length > 0
+          ? [{ 'scopeResource.organization': { $in: scopes.organizations } }]
+          : []),
+        ...scopes.regions.map(region => ({
+          'scopeResource.location': {
+            $geoWithin: { $centerSphere: [region.center, region.radiusKm / 6371] } // Earth's radius in km
+          }
+        }))
+      ];
+      if (covered.length === 0) {
+        return res.json({ disputes: [], pagination: { current: parseInt(page), pages: 0, total: 0 } });
+      }
+
+      pipeline.push(
+        { $lookup: { from: 'resources', localField: 'resource', foreignField: '_id', as: 'scopeResource' } },
+        { $match: { $or: covered } },
+        { $project: { scopeResource: 0 } }
+      );
+    }
+
+    const skip = (page - 1) * limit;
+    const [result] = await Dispute.aggregate([
+      ...pipeline,
+      { $sort: { createdAt: 1 } },
+      {
+        $facet: {
+          disputes: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const disputes = await Dispute.populate(result.disputes.map(dispute => Dispute.hydrate(dispute)), [
+      { path: 'resource', select: 'title location organization' },
+      { path: 'openedBy against assignedTo', select: PARTY_FIELDS }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    res.json({
+      disputes,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Disputes the user opened or that were opened against them
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const disputes = await Dispute.find({
+      $or: [{ openedBy: req.user._id }, { against: req.user._id }]
+    })
+      .populate('resource', 'title')
+      .populate('openedBy against', PARTY_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    console.error('Get my disputes error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Dispute details; moderators also get the parties' chat history
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    const isModerator = canModerate(req.user, dispute) && !dispute.isParty(req.user._id);
+    if (!isModerator && !dispute.isParty(req.user._id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!isModerator) {
+      return res.json(dispute);
+    }
+
+    const chats = await Chat.find({ _id: { $in: dispute.chats } })
+      .select('chatType relatedResource messages')
+      .populate('messages.sender', 'username');
+
+    res.json({
+      ...dispute.toObject(),
+      chatHistory: chats.map(chat => ({
+        _id: chat._id,
+        chatType: chat.chatType,
+        relatedResource: chat.relatedResource,
+        messages: chat.messages.map(message => ({
+          sender: message.sender,
+          content: message.content,
+          messageType: message.messageType,
+          image: message.image,
+          voiceNote: message.voiceNote,
+          createdAt: message.createdAt
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a statement (parties) or note (moderators)
+router.post('/:id/statements', auth, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({ error: 'Statement content is required' });
+    }
+
+    const dispute = await findDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!dispute.isParty(req.user._id) && !canModerate(req.user, dispute)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(409).json({ error: 'This dispute has been resolved' });
+    }
+
+    dispute.statements.push({ author: req.user._id, content: content.trim() });
+    await dispute.save();
+
+    res.status(201).json(dispute.statements[dispute.statements.length - 1]);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Add dispute statement error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Take a dispute (moderators)
+router.post('/:id/assign', auth, async (req, res) => {
+  try {
+    const dispute = await findDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!canModerate(req.user, dispute) || dispute.isParty(req.user._id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(409).json({ error: 'This dispute has been resolved' });
+    }
+
+    await dispute.assign(req.user._id);
+
+    res.json({ message: 'Dispute assigned to you', dispute });
+  } catch (error) {
+    console.error('Assign dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resolve a dispute (moderators). Upheld disputes count against the other
+// side's reputation.
+router.post('/:id/resolve', auth, async (req, res) => {
+  try {
+    const { outcome, notes } = req.body;
+
+    if (!['upheld', 'rejected'].includes(outcome)) {
+      return res.status(400).json({ error: 'Outcome must be upheld or rejected' });
+    }
+
+    const dispute = await findDispute(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({ error: 'Dispute not found' });
+    }
+
+    if (!canModerate(req.user, dispute) || dispute.isParty(req.user._id)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (dispute.status === 'resolved') {
+      return res.status(409).json({ error: 'This dispute has already been resolved' });
+    }
+
+    await dispute.resolve(req.user._id, outcome, notes);
+    await publish(EVENTS.DISPUTE_RESOLVED, { dispute });
+
+    res.json({ message: `Dispute ${outcome}`, dispute });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Resolve dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
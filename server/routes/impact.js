@@ -3,89 +3,39 @@ const router = express.Router();
 const Impact = require('../models/Impact');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
-const auth = require('../middleware/auth');
+const { authenticate: auth, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const impactAnalytics = require('../services/impactAnalytics');
+const { PERMISSIONS } = require('../services/permissions');
+const { EVENTS, publish } = require('../services/events');
+const { RESOURCE_IMPACT_CATEGORIES, CATEGORY_SDG_GOALS } = require('../services/impactLedger');
+
+const PARTY_FIELDS = 'username firstName lastName profilePicture';
+
+// The user credited with an impact record, or the other party to it
+const isParty = (impact, userId) => [impact.user, impact.relatedUser]
+  .some(party => party && (party._id || party).toString() === userId);
 
 // Get user impact statistics
 router.get('/user/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { timeframe = '30d' } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    switch (timeframe) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '1y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
-
-    // Get impact records for the user
-    const impactRecords = await Impact.find({
-      $or: [
-        { donor: userId },
-        { receiver: userId }
-      ],
-      timestamp: { $gte: startDate }
-    }).populate('resource', 'title category');
-
-    // Calculate statistics
-    const stats = {
-      totalImpacts: impactRecords.length,
-      asDonor: impactRecords.filter(record => record.donor.toString() === userId).length,
-      asReceiver: impactRecords.filter(record => record.receiver.toString() === userId).length,
-      resourcesShared: 0,
-      resourcesReceived: 0,
-      categories: {},
-      timeline: []
-    };
-
-    // Group by category and calculate timeline
-    const dailyStats = {};
-    
-    impactRecords.forEach(record => {
-      const category = record.resource?.category || 'other';
-      const date = record.timestamp.toISOString().split('T')[0];
-
-      // Category stats
-      if (!stats.categories[category]) {
-        stats.categories[category] = { donated: 0, received: 0 };
-      }
 
-      if (record.donor.toString() === userId) {
-        stats.resourcesShared++;
-        stats.categories[category].donated++;
-      } else {
-        stats.resourcesReceived++;
-        stats.categories[category].received++;
-      }
+    if (!impactAnalytics.isValidUserId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
 
-      // Daily timeline
-      if (!dailyStats[date]) {
-        dailyStats[date] = { date, donated: 0, received: 0 };
-      }
+    const { range, groupBy, error } = impactAnalytics.parseQuery(req.query, ['impactType', 'category', 'day']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-      if (record.donor.toString() === userId) {
-        dailyStats[date].donated++;
-      } else {
-        dailyStats[date].received++;
-      }
+    // Private records are only counted for their owner
+    const report = await impactAnalytics.getUserReport(userId, range, groupBy, {
+      includePrivate: userId === req.user.id
     });
 
-    stats.timeline = Object.values(dailyStats).sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    res.json(stats);
+    res.json(report);
   } catch (error) {
     console.error('Get user impact error:', error);
     res.status(500).json({ error: 'Server error' });
@@ -95,119 +45,60 @@ router.get('/user/:userId', auth, async (req, res) => {
 // Get community impact statistics
 router.get('/community', async (req, res) => {
   try {
-    const { timeframe = '30d' } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    switch (timeframe) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '1y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const { range, groupBy, error } = impactAnalytics.parseQuery(req.query, ['category', 'day']);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Get all impact records
-    const impactRecords = await Impact.find({
-      timestamp: { $gte: startDate }
-    }).populate('resource', 'title category')
-      .populate('donor', 'name')
-      .populate('receiver', 'name');
-
-    // Get user counts
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({
-      lastActive: { $gte: startDate }
-    });
-
-    // Get resource counts
-    const totalResources = await Resource.countDocuments();
-    const availableResources = await Resource.countDocuments({ available: true });
+    const activeSince = range.startDate || new Date(0);
+
+    const [report, totalUsers, activeUsers, totalResources, availableResources, recentActivity] = await Promise.all([
+      impactAnalytics.getCommunityReport(range, groupBy),
+      User.countDocuments(),
+      User.countDocuments({ lastActive: { $gte: activeSince } }),
+      Resource.countDocuments(),
+      Resource.countDocuments({ status: 'available' }),
+      Impact.find({ isPublic: true })
+        .sort({ startDate: -1 })
+        .limit(10)
+        .populate('user', 'username profilePicture')
+        .populate('relatedResource', 'title category')
+    ]);
 
-    // Calculate community statistics
-    const stats = {
+    res.json({
+      ...report,
       totalUsers,
       activeUsers,
       totalResources,
       availableResources,
-      totalImpacts: impactRecords.length,
-      resourcesShared: impactRecords.length,
-      categories: {},
-      timeline: [],
-      topDonors: [],
-      topReceivers: [],
-      recentActivity: impactRecords.slice(-10).reverse()
-    };
-
-    // Group by category and calculate timeline
-    const dailyStats = {};
-    const donorStats = {};
-    const receiverStats = {};
-
-    impactRecords.forEach(record => {
-      const category = record.resource?.category || 'other';
-      const date = record.timestamp.toISOString().split('T')[0];
-      const donorId = record.donor._id.toString();
-      const receiverId = record.receiver._id.toString();
-
-      // Category stats
-      if (!stats.categories[category]) {
-        stats.categories[category] = 0;
-      }
-      stats.categories[category]++;
-
-      // Daily timeline
-      if (!dailyStats[date]) {
-        dailyStats[date] = { date, count: 0 };
-      }
-      dailyStats[date].count++;
-
-      // Donor stats
-      if (!donorStats[donorId]) {
-        donorStats[donorId] = {
-          user: record.donor,
-          count: 0
-        };
-      }
-      donorStats[donorId].count++;
-
-      // Receiver stats
-      if (!receiverStats[receiverId]) {
-        receiverStats[receiverId] = {
-          user: record.receiver,
-          count: 0
-        };
-      }
-      receiverStats[receiverId].count++;
+      totalImpacts: report.totals.count,
+      recentActivity
     });
+  } catch (error) {
+    console.error('Get community impact error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get public impact analytics with arbitrary range and grouping
+router.get('/analytics', async (req, res) => {
+  try {
+    const { range, groupBy, error } = impactAnalytics.parseQuery(req.query, ['category', 'month']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    stats.timeline = Object.values(dailyStats).sort((a, b) => new Date(a.date) - new Date(b.date));
-    stats.topDonors = Object.values(donorStats)
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
-    stats.topReceivers = Object.values(receiverStats)
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 10);
+    const report = await impactAnalytics.getCommunityReport(range, groupBy);
 
-    res.json(stats);
+    res.json(report);
   } catch (error) {
-    console.error('Get community impact error:', error);
+    console.error('Get impact analytics error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Record impact event
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotent, async (req, res) => {
   try {
     const { resourceId, receiverId, impactType, description, rating } = req.body;
 
@@ -215,42 +106,48 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ error: 'Resource ID and receiver ID are required' });
     }
 
-    const resource = await Resource.findById(resourceId);
+    const resource = await Resource.findById(resourceId).catch(() => null);
     if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
-    const receiver = await User.findById(receiverId);
+    const receiver = await User.findById(receiverId).catch(() => null);
     if (!receiver) {
       return res.status(404).json({ error: 'Receiver not found' });
     }
 
     // Check if user is the donor of the resource
-    if (resource.donor.toString() !== req.user.id) {
+    if (resource.owner.toString() !== req.user.id) {
       return res.status(403).json({ error: 'Only the resource donor can record impact' });
     }
 
+    const category = RESOURCE_IMPACT_CATEGORIES[resource.category] || 'other';
     const impact = new Impact({
-      resource: resourceId,
-      donor: req.user.id,
-      receiver: receiverId,
+      user: req.user.id,
+      relatedUser: receiver._id,
+      relatedResource: resource._id,
+      organization: resource.organization,
       impactType: impactType || 'resource_shared',
+      quantitativeValue: resource.quantity || 1,
+      category,
+      sdgGoals: CATEGORY_SDG_GOALS[category],
       description,
-      rating: rating || 5,
-      timestamp: new Date()
+      beneficiaries: [{ user: receiver._id, relationship: 'direct', rating: rating || 5 }],
+      startDate: new Date()
     });
 
     await impact.save();
-    await impact.populate(['resource', 'donor', 'receiver']);
-
-    // Update resource availability if needed
-    if (impactType === 'resource_shared') {
-      resource.available = false;
-      await resource.save();
-    }
+    await impact.populate([
+      { path: 'relatedResource', select: 'title category images' },
+      { path: 'user', select: PARTY_FIELDS },
+      { path: 'relatedUser', select: PARTY_FIELDS }
+    ]);
 
     res.status(201).json(impact);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Record impact error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -260,17 +157,17 @@ router.post('/', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const impact = await Impact.findById(req.params.id)
-      .populate('resource', 'title category images')
-      .populate('donor', 'name profilePicture')
-      .populate('receiver', 'name profilePicture');
+      .populate('relatedResource', 'title category images')
+      .populate('user', PARTY_FIELDS)
+      .populate('relatedUser', PARTY_FIELDS)
+      .catch(() => null);
 
     if (!impact) {
       return res.status(404).json({ error: 'Impact record not found' });
     }
 
     // Check if user is involved in this impact
-    const userId = req.user.id;
-    if (impact.donor._id.toString() !== userId && impact.receiver._id.toString() !== userId) {
+    if (!isParty(impact, req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -281,108 +178,98 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Update impact record
-router.put('/:id', auth, async (req, res) => {
+// Update impact record. The credited user edits the description; the other
+// party rates it and leaves feedback as its direct beneficiary.
+router.put('/:id', auth, idempotent, async (req, res) => {
   try {
     const { description, rating, feedback } = req.body;
 
-    const impact = await Impact.findById(req.params.id);
+    const impact = await Impact.findById(req.params.id).catch(() => null);
     if (!impact) {
       return res.status(404).json({ error: 'Impact record not found' });
     }
 
     // Check if user is involved in this impact
-    const userId = req.user.id;
-    if (impact.donor.toString() !== userId && impact.receiver.toString() !== userId) {
+    if (!isParty(impact, req.user.id)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    const isOwner = impact.user.toString() === req.user.id;
+
     // Update fields
-    if (description) impact.description = description;
-    if (rating) impact.rating = rating;
-    if (feedback) impact.feedback = feedback;
+    if (description && isOwner) impact.description = description;
+    if ((rating || feedback) && !isOwner) {
+      let beneficiary = impact.beneficiaries.find(b => b.user && b.user.toString() === req.user.id);
+      if (!beneficiary) {
+        impact.beneficiaries.push({ user: req.user.id, relationship: 'direct' });
+        beneficiary = impact.beneficiaries[impact.beneficiaries.length - 1];
+      }
+      if (rating) beneficiary.rating = rating;
+      if (feedback) beneficiary.feedback = feedback;
+    }
 
     await impact.save();
-    await impact.populate(['resource', 'donor', 'receiver']);
+    await impact.populate([
+      { path: 'relatedResource', select: 'title category images' },
+      { path: 'user', select: PARTY_FIELDS },
+      { path: 'relatedUser', select: PARTY_FIELDS }
+    ]);
 
     res.json(impact);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update impact error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Verify an impact record (verifiers in the record's area)
+router.post('/:id/verify', auth, async (req, res) => {
+  try {
+    const impact = await Impact.findById(req.params.id);
+    if (!impact) {
+      return res.status(404).json({ error: 'Impact record not found' });
+    }
+
+    const coordinates = impact.location && impact.location.coordinates;
+    if (!req.user.can(PERMISSIONS.IMPACT_VERIFY, { coordinates })) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (impact.user.toString() === req.user.id) {
+      return res.status(403).json({ error: 'You cannot verify your own impact' });
+    }
+
+    await impact.verify(req.user._id);
+    await publish(EVENTS.IMPACT_VERIFIED, { impact });
+
+    res.json(impact);
+  } catch (error) {
+    console.error('Verify impact error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get impact leaderboard
 router.get('/leaderboard/:type', async (req, res) => {
   try {
-    const { type } = req.params; // 'donors' or 'receivers'
-    const { timeframe = '30d', limit = 10 } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    switch (timeframe) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '1y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const { type } = req.params; // 'donors', 'receivers' or 'volunteers'
+    const { limit = 10 } = req.query;
+
+    if (!impactAnalytics.LEADERBOARD_TYPES[type]) {
+      return res.status(400).json({
+        error: `Invalid leaderboard type. Must be one of: ${Object.keys(impactAnalytics.LEADERBOARD_TYPES).join(', ')}`
+      });
     }
 
-    const groupField = type === 'donors' ? 'donor' : 'receiver';
-    
-    const leaderboard = await Impact.aggregate([
-      {
-        $match: {
-          timestamp: { $gte: startDate }
-        }
-      },
-      {
-        $group: {
-          _id: `$${groupField}`,
-          count: { $sum: 1 },
-          avgRating: { $avg: '$rating' }
-        }
-      },
-      {
-        $lookup: {
-          from: 'users',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'user'
-        }
-      },
-      {
-        $unwind: '$user'
-      },
-      {
-        $project: {
-          _id: 1,
-          count: 1,
-          avgRating: { $round: ['$avgRating', 1] },
-          user: {
-            _id: '$user._id',
-            name: '$user.name',
-            profilePicture: '$user.profilePicture'
-          }
-        }
-      },
-      {
-        $sort: { count: -1 }
-      },
-      {
-        $limit: parseInt(limit)
-      }
-    ]);
+    const { range, error } = impactAnalytics.parseQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const leaderboard = await impactAnalytics.getLeaderboard(type, range, Math.min(parseInt(limit) || 10, 100));
 
     res.json(leaderboard);
   } catch (error) {
@@ -391,91 +278,24 @@ router.get('/leaderboard/:type', async (req, res) => {
   }
 });
 
-// Get impact analytics for admin
-router.get('/admin/analytics', auth, async (req, res) => {
+// Get impact analytics including private records
+router.get('/admin/analytics', auth, requirePermission(PERMISSIONS.IMPACT_ANALYTICS), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const { range, groupBy, error } = impactAnalytics.parseQuery(
+      req.query,
+      ['category', 'impactType', 'sdgGoal', 'geography', 'week']
+    );
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const { timeframe = '30d' } = req.query;
-
-    // Calculate date range
-    const now = new Date();
-    let startDate;
-    switch (timeframe) {
-      case '7d':
-        startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      case '90d':
-        startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-        break;
-      case '1y':
-        startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    }
-
-    // Get comprehensive analytics
-    const [
-      totalImpacts,
-      impactsByCategory,
-      impactsByLocation,
-      avgRating,
-      growthRate
-    ] = await Promise.all([
-      Impact.countDocuments({ timestamp: { $gte: startDate } }),
-      
-      Impact.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
-        { $lookup: { from: 'resources', localField: 'resource', foreignField: '_id', as: 'resource' } },
-        { $unwind: '$resource' },
-        { $group: { _id: '$resource.category', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ]),
-      
-      Impact.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
-        { $lookup: { from: 'users', localField: 'donor', foreignField: '_id', as: 'donor' } },
-        { $unwind: '$donor' },
-        { $group: { _id: '$donor.location.city', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]),
-      
-      Impact.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
-        { $group: { _id: null, avgRating: { $avg: '$rating' } } }
-      ]),
-      
-      Impact.aggregate([
-        { $match: { timestamp: { $gte: startDate } } },
-        { $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
-          count: { $sum: 1 }
-        }},
-        { $sort: { _id: 1 } }
-      ])
-    ]);
-
-    const analytics = {
-      totalImpacts,
-      impactsByCategory,
-      impactsByLocation,
-      avgRating: avgRating[0]?.avgRating || 0,
-      growthRate
-    };
+    const report = await impactAnalytics.getCommunityReport(range, groupBy, { includePrivate: true });
 
-    res.json(analytics);
+    res.json(report);
   } catch (error) {
     console.error('Get admin analytics error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
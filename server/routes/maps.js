@@ -3,7 +3,21 @@ const router = express.Router();
 const DropOffPoint = require('../models/DropOffPoint');
 const Resource = require('../models/Resource');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { authenticate: auth, optionalAuthenticate, requireTwoFactor } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { EVENTS, publish } = require('../services/events');
+const { PERMISSIONS, dropOffScope } = require('../services/permissions');
+const { resolveActingOrganization } = require('../services/organizations');
+const { REQUIRED_TRUST, getTrustLevelName } = require('../services/trust');
+
+// Longest volunteer shift that can be recorded in one go
+const MAX_SHIFT_HOURS = 24;
+
+// Listed staff, or anyone holding dropoff.operate for this point or its area
+const canOperate = (user, dropOffPoint) => {
+  return dropOffPoint.isStaff(user._id) ||
+    user.can(PERMISSIONS.DROPOFF_OPERATE, dropOffScope(dropOffPoint));
+};
 
 // Get all drop-off points
 router.get('/drop-off-points', async (req, res) => {
@@ -13,6 +27,7 @@ router.get('/drop-off-points', async (req, res) => {
       lng, 
       radius = 10, 
       category, 
+      organization,
       active = 'true',
       limit = 50 
     } = req.query;
@@ -29,6 +44,11 @@ router.get('/drop-off-points', async (req, res) => {
       query.categories = { $in: [category] };
     }
 
+    // Filter by operating organization
+    if (organization) {
+      query.organization = organization;
+    }
+
     let dropOffPoints;
 
     // Location-based search
@@ -48,11 +68,13 @@ router.get('/drop-off-points', async (req, res) => {
         }
       })
       .populate('manager', 'name phone email')
+      .populate('organization', 'name logo verification.status')
       .limit(parseInt(limit));
     } else {
       // Get all drop-off points without location filter
       dropOffPoints = await DropOffPoint.find(query)
         .populate('manager', 'name phone email')
+        .populate('organization', 'name logo verification.status')
         .limit(parseInt(limit));
     }
 
@@ -80,12 +102,24 @@ router.get('/drop-off-points/:id', async (req, res) => {
   }
 });
 
-// Create new drop-off point (admin or verified users only)
-router.post('/drop-off-points', auth, async (req, res) => {
+// Create new drop-off point (drop-off permission or phone-verified users only)
+router.post('/drop-off-points', auth, idempotent, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin' && !user.verified) {
-      return res.status(403).json({ error: 'Admin access or verified user status required' });
+    const { organization } = req.body;
+
+    // Points run by an organization need its drop-off permission; others a
+    // platform-wide permission or a phone-verified account
+    if (organization) {
+      const acting = await resolveActingOrganization(req.user, organization, PERMISSIONS.DROPOFF_CREATE);
+      if (acting.error) {
+        return res.status(acting.status).json({ error: acting.error });
+      }
+    } else if (!req.user.can(PERMISSIONS.DROPOFF_CREATE) &&
+               !req.user.hasTrustLevel(REQUIRED_TRUST.createDropOffPoint)) {
+      return res.status(403).json({
+        error: `Drop-off permission or ${getTrustLevelName(REQUIRED_TRUST.createDropOffPoint)} verification required`,
+        requiredTrustLevel: REQUIRED_TRUST.createDropOffPoint
+      });
     }
 
     const {
@@ -132,10 +166,18 @@ router.post('/drop-off-points', auth, async (req, res) => {
       },
       instructions,
       manager: req.user.id,
+      organization,
       active: true
     });
 
     await dropOffPoint.save();
+
+    // The creator manages the new point (an organization's team already does)
+    if (!organization) {
+      req.user.grantScopedRole('dropoff_manager', { dropOffPoint: dropOffPoint._id, grantedBy: req.user._id });
+      await req.user.save();
+    }
+
     await dropOffPoint.populate('manager', 'name phone email');
 
     res.status(201).json(dropOffPoint);
@@ -146,16 +188,15 @@ router.post('/drop-off-points', auth, async (req, res) => {
 });
 
 // Update drop-off point
-router.put('/drop-off-points/:id', auth, async (req, res) => {
+router.put('/drop-off-points/:id', auth, requireTwoFactor, async (req, res) => {
   try {
     const dropOffPoint = await DropOffPoint.findById(req.params.id);
     if (!dropOffPoint) {
       return res.status(404).json({ error: 'Drop-off point not found' });
     }
 
-    const user = await User.findById(req.user.id);
-    // Check if user is manager or admin
-    if (dropOffPoint.manager.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user can manage this point
+    if (!req.user.can(PERMISSIONS.DROPOFF_MANAGE, dropOffScope(dropOffPoint))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -202,16 +243,15 @@ router.put('/drop-off-points/:id', auth, async (req, res) => {
 });
 
 // Delete drop-off point
-router.delete('/drop-off-points/:id', auth, async (req, res) => {
+router.delete('/drop-off-points/:id', auth, requireTwoFactor, async (req, res) => {
   try {
     const dropOffPoint = await DropOffPoint.findById(req.params.id);
     if (!dropOffPoint) {
       return res.status(404).json({ error: 'Drop-off point not found' });
     }
 
-    const user = await User.findById(req.user.id);
-    // Check if user is manager or admin
-    if (dropOffPoint.manager.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user can manage this point
+    if (!req.user.can(PERMISSIONS.DROPOFF_MANAGE, dropOffScope(dropOffPoint))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -224,7 +264,7 @@ router.delete('/drop-off-points/:id', auth, async (req, res) => {
 });
 
 // Get nearby resources
-router.get('/nearby-resources', async (req, res) => {
+router.get('/nearby-resources', optionalAuthenticate, async (req, res) => {
   try {
     const { lat, lng, radius = 5, category, limit = 20 } = req.query;
 
@@ -236,6 +276,7 @@ router.get('/nearby-resources', async (req, res) => {
 
     let query = {
       available: true,
+      'moderation.hidden': { $ne: true },
       location: {
         $near: {
           $geometry: {
@@ -251,6 +292,11 @@ router.get('/nearby-resources', async (req, res) => {
       query.category = category;
     }
 
+    // Leave out resources of users on either side of a block
+    if (req.user) {
+      query.owner = { $nin: await User.getBlockedIds(req.user._id) };
+    }
+
     const resources = await Resource.find(query)
       .populate('donor', 'name profilePicture')
       .limit(parseInt(limit));
@@ -287,9 +333,10 @@ router.get('/nearby-users', auth, async (req, res) => {
     }
 
     const radiusInMeters = parseFloat(radius) * 1000; // Convert km to meters
+    const blockedIds = await User.getBlockedIds(req.user._id);
 
     let query = {
-      _id: { $ne: req.user.id }, // Exclude current user
+      _id: { $nin: [req.user._id, ...blockedIds] }, // Exclude current user and blocks
       location: {
         $near: {
           $geometry: {
@@ -302,11 +349,11 @@ router.get('/nearby-users', auth, async (req, res) => {
     };
 
     if (role) {
-      query.role = role;
+      query.roles = role;
     }
 
     const users = await User.find(query)
-      .select('name profilePicture role location bio')
+      .select('name profilePicture roles location bio')
       .limit(parseInt(limit));
 
     // Calculate distances
@@ -332,7 +379,7 @@ router.get('/nearby-users', auth, async (req, res) => {
 });
 
 // Update drop-off point capacity
-router.put('/drop-off-points/:id/capacity', auth, async (req, res) => {
+router.put('/drop-off-points/:id/capacity', auth, requireTwoFactor, async (req, res) => {
   try {
     const { current } = req.body;
 
@@ -345,9 +392,8 @@ router.put('/drop-off-points/:id/capacity', auth, async (req, res) => {
       return res.status(404).json({ error: 'Drop-off point not found' });
     }
 
-    const user = await User.findById(req.user.id);
-    // Check if user is manager or admin
-    if (dropOffPoint.manager.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user can manage this point
+    if (!req.user.can(PERMISSIONS.DROPOFF_MANAGE, dropOffScope(dropOffPoint))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -365,16 +411,15 @@ router.put('/drop-off-points/:id/capacity', auth, async (req, res) => {
 });
 
 // Get drop-off point statistics
-router.get('/drop-off-points/:id/stats', auth, async (req, res) => {
+router.get('/drop-off-points/:id/stats', auth, requireTwoFactor, async (req, res) => {
   try {
     const dropOffPoint = await DropOffPoint.findById(req.params.id);
     if (!dropOffPoint) {
       return res.status(404).json({ error: 'Drop-off point not found' });
     }
 
-    const user = await User.findById(req.user.id);
-    // Check if user is manager or admin
-    if (dropOffPoint.manager.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user can manage this point
+    if (!req.user.can(PERMISSIONS.DROPOFF_MANAGE, dropOffScope(dropOffPoint))) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -397,6 +442,126 @@ router.get('/drop-off-points/:id/stats', auth, async (req, res) => {
   }
 });
 
+// Record a volunteer shift at a drop-off point (manager or volunteers)
+router.post('/drop-off-points/:id/shifts', auth, idempotent, async (req, res) => {
+  try {
+    const { userId = req.user.id, startedAt, endedAt } = req.body;
+
+    const start = new Date(startedAt);
+    const end = new Date(endedAt);
+    if (!startedAt || !endedAt || isNaN(start) || isNaN(end) || end <= start) {
+      return res.status(400).json({ error: 'Valid startedAt and endedAt are required' });
+    }
+
+    if (end > new Date()) {
+      return res.status(400).json({ error: 'Shift has not finished yet' });
+    }
+
+    if (end - start > MAX_SHIFT_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `A shift can last at most ${MAX_SHIFT_HOURS} hours` });
+    }
+
+    const dropOffPoint = await DropOffPoint.findById(req.params.id);
+    if (!dropOffPoint) {
+      return res.status(404).json({ error: 'Drop-off point not found' });
+    }
+
+    if (!canOperate(req.user, dropOffPoint) || !dropOffPoint.isStaff(userId)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const shift = dropOffPoint.recordShift(userId, start, end, req.user.id);
+    await dropOffPoint.save();
+
+    await publish(EVENTS.VOLUNTEER_SHIFT_FINISHED, { dropOffPoint, shift });
+
+    res.status(201).json({ message: 'Shift recorded successfully', shift });
+  } catch (error) {
+    console.error('Record shift error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Record a resource dropped off at a drop-off point (manager or volunteers)
+router.post('/drop-off-points/:id/drop-offs', auth, idempotent, async (req, res) => {
+  try {
+    const { resourceId } = req.body;
+
+    if (!resourceId) {
+      return res.status(400).json({ error: 'Resource ID is required' });
+    }
+
+    const dropOffPoint = await DropOffPoint.findById(req.params.id);
+    if (!dropOffPoint) {
+      return res.status(404).json({ error: 'Drop-off point not found' });
+    }
+
+    if (!canOperate(req.user, dropOffPoint)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const resource = await Resource.findById(resourceId);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (resource.droppedOffAt) {
+      return res.status(400).json({ error: 'Drop-off already recorded for this resource' });
+    }
+
+    resource.dropOffPoint = dropOffPoint._id;
+    resource.droppedOffAt = new Date();
+    await resource.save();
+
+    dropOffPoint.stats.totalDropOffs += 1;
+    await dropOffPoint.updateCapacity(resource.quantity || 1);
+
+    await publish(EVENTS.DROPOFF_RECORDED, {
+      dropOffPoint,
+      resource,
+      donor: resource.owner
+    });
+
+    res.status(201).json({ message: 'Drop-off recorded successfully', resource });
+  } catch (error) {
+    console.error('Record drop-off error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Review a drop-off point (one review per user, not by its staff)
+router.post('/drop-off-points/:id/reviews', auth, idempotent, async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    const value = parseInt(rating);
+
+    if (!(value >= 1 && value <= 5)) {
+      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    }
+
+    const dropOffPoint = await DropOffPoint.findById(req.params.id);
+    if (!dropOffPoint) {
+      return res.status(404).json({ error: 'Drop-off point not found' });
+    }
+
+    if (dropOffPoint.isStaff(req.user._id)) {
+      return res.status(403).json({ error: 'Staff cannot review their own drop-off point' });
+    }
+
+    if (dropOffPoint.reviews.some(review => review.user && review.user.equals(req.user._id))) {
+      return res.status(409).json({ error: 'You have already reviewed this drop-off point' });
+    }
+
+    await dropOffPoint.addReview(req.user._id, value, comment);
+    await publish(EVENTS.DROPOFF_REVIEWED, { dropOffPoint });
+
+    res.status(201).json({ message: 'Review added successfully', averageRating: dropOffPoint.averageRating });
+  } catch (error) {
+    console.error('Review drop-off point error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Geocoding helper endpoint (for address to coordinates)
 router.post('/geocode', auth, async (req, res) => {
   try {
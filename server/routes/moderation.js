@@ -0,0 +1,230 @@
+const express = require('express');
+const router = express.Router();
+const ModerationCase = require('../models/ModerationCase');
+const Resource = require('../models/Resource');
+const Chat = require('../models/Chat');
+const { authenticate: auth, requirePermission, checkTwoFactor } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/permissions');
+const { applyAction, reverseAction, dismissCase } = require('../services/moderation');
+
+const USER_FIELDS = 'username firstName lastName profilePicture';
+
+// Every queue endpoint needs content.moderate; individual actions may need more
+const moderator = [auth, requirePermission(PERMISSIONS.CONTENT_MODERATE)];
+
+const findCase = (id) => ModerationCase.findById(id).catch(() => null);
+
+// Permission needed for an action on this case: hiding content needs the
+// resource or chat moderation permission, suspensions and bans users.manage
+const canTakeAction = async (user, moderationCase, action) => {
+  if (action === 'hide' && moderationCase.targetType === 'resource') {
+    const resource = await Resource.findById(moderationCase.resource).select('location');
+    return user.can(PERMISSIONS.RESOURCES_MODERATE, {
+      coordinates: resource && resource.location && resource.location.coordinates
+    });
+  }
+
+  if (action === 'hide') return user.can(PERMISSIONS.CHAT_MODERATE);
+  if (action === 'suspend' || action === 'ban') return user.can(PERMISSIONS.USERS_MANAGE);
+  return user.can(PERMISSIONS.CONTENT_MODERATE);
+};
+
+// Check the permission for an action; suspensions and bans also need 2FA.
+// Returns true when the request may continue.
+const checkActionAllowed = async (req, res, moderationCase, action) => {
+  if (!(await canTakeAction(req.user, moderationCase, action))) {
+    res.status(403).json({ error: 'Access denied. Insufficient permissions.' });
+    return false;
+  }
+
+  if (['suspend', 'ban'].includes(action) && !checkTwoFactor(req, res)) {
+    return false;
+  }
+
+  return true;
+};
+
+// The queue, highest priority and oldest first
+router.get('/cases', moderator, async (req, res) => {
+  try {
+    const { status = 'open', targetType, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (status === 'open') query.status = { $in: ['open', 'in_review'] };
+    else if (status !== 'all') query.status = status;
+    if (targetType) query.targetType = targetType;
+    if (req.query.assignedTo === 'me') query.assignedTo = req.user._id;
+
+    const skip = (page - 1) * limit;
+    const cases = await ModerationCase.find(query)
+      .populate('user assignedTo', USER_FIELDS)
+      .populate('resource', 'title')
+      .sort({ priority: -1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ModerationCase.countDocuments(query);
+
+    res.json({
+      cases,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation cases error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Case details with the target's current content
+router.get('/cases/:id', moderator, async (req, res) => {
+  try {
+    const moderationCase = await findCase(req.params.id);
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    await moderationCase.populate([
+      { path: 'user', select: `${USER_FIELDS} accountStatus suspension warnings` },
+      { path: 'assignedTo resolvedBy reports.reporter actions.moderator actions.reversedBy', select: USER_FIELDS }
+    ]);
+
+    let target = null;
+    if (moderationCase.targetType === 'resource') {
+      target = await Resource.findById(moderationCase.resource)
+        .select('title description images category status moderation location');
+    } else if (moderationCase.targetType === 'message') {
+      const chat = await Chat.findById(moderationCase.chat);
+      target = chat && chat.messages.id(moderationCase.message);
+    }
+
+    res.json({ ...moderationCase.toObject(), target });
+  } catch (error) {
+    console.error('Get moderation case error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Take a case
+router.post('/cases/:id/assign', moderator, async (req, res) => {
+  try {
+    const moderationCase = await findCase(req.params.id);
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    if (!moderationCase.isOpen()) {
+      return res.status(409).json({ error: 'This case has been closed' });
+    }
+
+    moderationCase.assignedTo = req.user._id;
+    moderationCase.status = 'in_review';
+    await moderationCase.save();
+
+    res.json({ message: 'Case assigned to you', case: moderationCase });
+  } catch (error) {
+    console.error('Assign moderation case error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Hide the content, or warn, suspend or ban its author
+router.post('/cases/:id/actions', moderator, async (req, res) => {
+  try {
+    const { action, reason, expiresAt } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    if (expiresAt !== undefined && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({ error: 'expiresAt must be a date in the future' });
+    }
+
+    const moderationCase = await findCase(req.params.id);
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    if (!(await checkActionAllowed(req, res, moderationCase, action))) {
+      return;
+    }
+
+    const result = await applyAction(moderationCase, req.user, {
+      action,
+      reason: reason.trim(),
+      expiresAt: action === 'suspend' && expiresAt ? new Date(expiresAt) : undefined
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: `Action ${action} applied`, action: result.action, case: moderationCase });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Moderation action error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Undo an action; the record stays on the case
+router.post('/cases/:id/actions/:actionId/reverse', moderator, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const moderationCase = await findCase(req.params.id);
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    const entry = moderationCase.actions.id(req.params.actionId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (!(await checkActionAllowed(req, res, moderationCase, entry.action))) {
+      return;
+    }
+
+    const result = await reverseAction(moderationCase, entry._id, req.user, reason);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ message: `Action ${entry.action} reversed`, action: result.action, case: moderationCase });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Reverse moderation action error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Close a case without action
+router.post('/cases/:id/dismiss', moderator, async (req, res) => {
+  try {
+    const moderationCase = await findCase(req.params.id);
+    if (!moderationCase) {
+      return res.status(404).json({ error: 'Case not found' });
+    }
+
+    if (!moderationCase.isOpen()) {
+      return res.status(409).json({ error: 'This case has been closed' });
+    }
+
+    await dismissCase(moderationCase, req.user);
+
+    res.json({ message: 'Case dismissed', case: moderationCase });
+  } catch (error) {
+    console.error('Dismiss moderation case error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const Notification = require('../models/Notification');
+const PushSubscription = require('../models/PushSubscription');
+const { authenticate: auth, userRateLimit } = require('../middleware/auth');
+const { emitUnreadCount } = require('../services/notifications');
+const { getPublicKey, isAllowedEndpoint } = require('../services/push');
+
+// The user's inbox, newest first
+router.get('/', auth, async (req, res) => {
+  try {
+    const { unread, type, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user._id };
+    if (unread === 'true') query.readAt = null;
+    if (type) query.type = type;
+
+    const skip = (page - 1) * limit;
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ latestAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user._id)
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({ count: await Notification.countUnread(req.user._id) });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// VAPID key browsers need to subscribe to push
+router.get('/push/public-key', (req, res) => {
+  const publicKey = getPublicKey();
+  if (!publicKey) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+  res.json({ publicKey });
+});
+
+// This user's push subscriptions, one per browser
+router.get('/push/subscriptions', auth, async (req, res) => {
+  try {
+    const subscriptions = await PushSubscription.find({ user: req.user._id })
+      .select('endpoint userAgent expirationTime lastUsedAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('Get push subscriptions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save the PushSubscription from the browser (its toJSON() form)
+router.post('/push/subscriptions', auth, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const { subscription } = req.body;
+
+    if (!subscription || typeof subscription.endpoint !== 'string' ||
+        !subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+      return res.status(400).json({ error: 'subscription with endpoint and keys is required' });
+    }
+
+    if (!isAllowedEndpoint(subscription.endpoint)) {
+      return res.status(400).json({ error: 'Push endpoint must belong to a known push service' });
+    }
+
+    const saved = await PushSubscription.saveForUser(req.user._id, subscription, req.get('User-Agent'));
+
+    res.status(201).json({
+      message: 'Push subscription saved',
+      subscription: {
+        _id: saved._id,
+        endpoint: saved.endpoint,
+        expirationTime: saved.expirationTime,
+        createdAt: saved.createdAt
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid push subscription' });
+    }
+    console.error('Save push subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a subscription, e.g. on sign-out or when the user turns push off
+router.delete('/push/subscriptions', auth, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+
+    const result = await PushSubscription.deleteOne({ user: req.user._id, endpoint });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    res.json({ message: 'Push subscription removed' });
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark all notifications, or those listed in `ids`, as read
+router.put('/read', auth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+
+    const updated = await Notification.markAllRead(req.user._id, ids);
+    await emitUnreadCount(req.user._id);
+
+    res.json({ message: 'Notifications marked as read', updated });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid notification id' });
+    }
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    await notification.markRead();
+    await emitUnreadCount(req.user._id);
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Clear read notifications (or all with ?all=true)
+router.delete('/', auth, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.all !== 'true') query.readAt = { $ne: null };
+
+    const result = await Notification.deleteMany(query);
+    await emitUnreadCount(req.user._id);
+
+    res.json({ message: 'Notifications deleted', deleted: result.deletedCount });
+  } catch (error) {
+    console.error('Delete notifications error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      await emitUnreadCount(req.user._id);
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
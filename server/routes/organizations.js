@@ -0,0 +1,374 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { authenticate: auth, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { PERMISSIONS, ORGANIZATION_ROLES } = require('../services/permissions');
+const impactAnalytics = require('../services/impactAnalytics');
+const { getDashboard } = require('../services/organizations');
+
+const EDITABLE_FIELDS = ['name', 'organizationType', 'description', 'logo', 'website', 'contactInfo', 'location'];
+
+// Permission checks scoped to the organization in the URL
+const orgScope = (req) => ({ organization: req.params.id });
+const canManage = requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE, { scope: orgScope });
+
+const countAdmins = (organizationId) => User.countDocuments({
+  roleAssignments: { $elemMatch: { organization: organizationId, role: 'org_admin' } }
+});
+
+// List organizations (verified only unless verified=false)
+router.get('/', async (req, res) => {
+  try {
+    const { organizationType, search, lat, lng, radius = 10, verified = 'true', page = 1, limit = 20 } = req.query;
+
+    const query = { isActive: true };
+    if (verified === 'true') query['verification.status'] = 'verified';
+    if (organizationType) query.organizationType = organizationType;
+    if (search) query.$text = { $search: search };
+
+    if (lat && lng) {
+      query.location = {
+        $geoWithin: {
+          $centerSphere: [[parseFloat(lng), parseFloat(lat)], radius / 6371] // radius in km
+        }
+      };
+    }
+
+    const organizations = await Organization.find(query)
+      .select('-verification.documents -verification.registrationNumber')
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Organization.countDocuments(query);
+
+    res.json({
+      organizations,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create an organization; the creator becomes its first admin
+router.post('/', auth, idempotent, async (req, res) => {
+  try {
+    const { name, organizationType } = req.body;
+
+    if (!name || !organizationType) {
+      return res.status(400).json({ error: 'Name and organization type are required' });
+    }
+
+    const organization = new Organization({ createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+    await organization.save();
+
+    req.user.setOrganizationRole(organization._id, 'org_admin', req.user._id);
+    await req.user.save();
+
+    res.status(201).json(organization);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Create organization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Organizations the current user belongs to, with their role in each
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const memberships = req.user.roleAssignments.filter(a => a.organization);
+    const organizations = await Organization.find({
+      _id: { $in: memberships.map(a => a.organization) }
+    });
+
+    res.json(organizations.map(organization => ({
+      organization,
+      role: req.user.getOrganizationRole(organization._id)
+    })));
+  } catch (error) {
+    console.error('Get my organizations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Organizations waiting for verification
+router.get('/pending-verification', auth, requirePermission(PERMISSIONS.ORGANIZATIONS_VERIFY), async (req, res) => {
+  try {
+    const organizations = await Organization.find({ 'verification.status': 'pending' })
+      .populate('createdBy', 'username firstName lastName email')
+      .sort({ 'verification.submittedAt': 1 });
+
+    res.json(organizations);
+  } catch (error) {
+    console.error('Get pending organizations error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get organization details
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const organization = await Organization.findById(req.params.id)
+      .select('-verification.documents -verification.registrationNumber');
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const memberCount = await User.countDocuments({ 'roleAssignments.organization': organization._id });
+
+    res.json({ ...organization.toObject(), memberCount });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update organization details (org admins)
+router.put('/:id', auth, canManage, idempotent, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+    await organization.save();
+
+    res.json(organization);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update organization error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List members (members of the organization and org admins only)
+router.get('/:id/members', auth, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (!req.user.getOrganizationRole(organization._id) &&
+        !req.user.can(PERMISSIONS.ORGANIZATIONS_MANAGE, { organization: organization._id })) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await organization.getMembers());
+  } catch (error) {
+    console.error('Get organization members error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a member by user ID or email
+router.post('/:id/members', auth, canManage, async (req, res) => {
+  try {
+    const { userId, email, role = 'org_member' } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    if (!userId && !email) {
+      return res.status(400).json({ error: 'User ID or email is required' });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const user = await User.findOne(userId ? { _id: userId } : { email });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.getOrganizationRole(organization._id)) {
+      return res.status(400).json({ error: 'User is already a member' });
+    }
+
+    user.setOrganizationRole(organization._id, role, req.user._id);
+    await user.save();
+
+    res.status(201).json({ message: 'Member added successfully', userId: user._id, role });
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change a member's role
+router.put('/:id/members/:userId', auth, canManage, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.userId);
+    const currentRole = user && user.getOrganizationRole(req.params.id);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (currentRole === 'org_admin' && role !== 'org_admin' && await countAdmins(req.params.id) <= 1) {
+      return res.status(400).json({ error: 'An organization needs at least one admin' });
+    }
+
+    user.setOrganizationRole(req.params.id, role, req.user._id);
+    await user.save();
+
+    res.json({ message: 'Member role updated successfully', userId: user._id, role });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a member (org admins, or members leaving themselves)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+    if (!isSelf && !req.user.can(PERMISSIONS.ORGANIZATIONS_MANAGE, orgScope(req))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = isSelf ? req.user : await User.findById(req.params.userId);
+    const currentRole = user && user.getOrganizationRole(req.params.id);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (currentRole === 'org_admin' && await countAdmins(req.params.id) <= 1) {
+      return res.status(400).json({ error: 'An organization needs at least one admin' });
+    }
+
+    user.setOrganizationRole(req.params.id, null);
+    await user.save();
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request verification (org admins)
+router.post('/:id/verification', auth, canManage, async (req, res) => {
+  try {
+    const { registrationNumber, documents } = req.body;
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (['pending', 'verified'].includes(organization.verification.status)) {
+      return res.status(400).json({ error: `Organization is already ${organization.verification.status}` });
+    }
+
+    if (!registrationNumber) {
+      return res.status(400).json({ error: 'Registration number is required' });
+    }
+
+    await organization.submitForVerification({ registrationNumber, documents });
+
+    res.json({ message: 'Verification requested', verification: organization.verification });
+  } catch (error) {
+    console.error('Request organization verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve or reject a verification request (platform admins)
+router.post('/:id/verification/review', auth, requirePermission(PERMISSIONS.ORGANIZATIONS_VERIFY, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const { approved, notes } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (organization.verification.status !== 'pending') {
+      return res.status(400).json({ error: 'Organization has no pending verification request' });
+    }
+
+    await organization.reviewVerification(req.user._id, approved, notes);
+
+    res.json({ message: approved ? 'Organization verified' : 'Verification rejected', verification: organization.verification });
+  } catch (error) {
+    console.error('Review organization verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Public impact of the organization
+router.get('/:id/impact', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const { range, groupBy, error } = impactAnalytics.parseQuery(req.query, ['category', 'impactType', 'sdgGoal']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const report = await impactAnalytics.getOrganizationReport(req.params.id, range, groupBy);
+
+    res.json(report);
+  } catch (error) {
+    console.error('Get organization impact error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Org admin dashboard: impact (including private records), member activity and totals
+router.get('/:id/dashboard', auth, canManage, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    const { range, groupBy, error } = impactAnalytics.parseQuery(req.query, ['category', 'impactType', 'week']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(await getDashboard(organization, range, groupBy));
+  } catch (error) {
+    console.error('Get organization dashboard error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,20 @@ const express = require('express');
 const router = express.Router();
 const Resource = require('../models/Resource');
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const DropOffPoint = require('../models/DropOffPoint');
+const Review = require('../models/Review');
+const Dispute = require('../models/Dispute');
+const Chat = require('../models/Chat');
+const { EVENTS, publish } = require('../services/events');
+const { authenticate: auth, optionalAuthenticate, validateFileUpload, userRateLimit } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
+const { deleteMedia } = require('../services/storage');
+const { ACCEPTED_IMAGE_TYPES, processAndStoreImage, imageMedia } = require('../services/imageProcessing');
+const { PERMISSIONS } = require('../services/permissions');
+const { resolveActingOrganization } = require('../services/organizations');
+const { getTrustLevelName, requiredLevelForResource } = require('../services/trust');
+const { HELD_REASON, screenContent, resourceTarget, queueScreening, fileReport } = require('../services/moderation');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -14,31 +25,148 @@ const upload = multer({
   }
 });
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Owners manage their own resources, the owning organization's team its
+// resources, and moderators those in their area
+const canManageResource = (user, resource) => {
+  return resource.owner.toString() === user._id.toString() ||
+    (resource.organization && user.can(PERMISSIONS.ORGANIZATIONS_ACT, { organization: resource.organization })) ||
+    user.can(PERMISSIONS.RESOURCES_MODERATE, { coordinates: resource.location && resource.location.coordinates });
+};
+
+// Pre-screen a resource's text before saving. Content the AI check flags is
+// hidden until a moderator has looked at it.
+const screenResource = async (resource) => {
+  const screening = await screenContent(`${resource.title}\n${resource.description}`);
+  if (screening.held) {
+    resource.moderation = { hidden: true, reason: HELD_REASON, hiddenAt: new Date() };
+  }
+  return screening;
+};
+
+// Resize, strip metadata and store uploaded photos. Resolves to { images },
+// or { error } when a file is not a readable image (photos already stored
+// for the request are removed again). Storage failures skip the photo.
+const storeImages = async (files = []) => {
+  const images = [];
+  for (const file of files) {
+    try {
+      images.push(await processAndStoreImage(file, { folder: 'community-aid/resources' }));
+    } catch (uploadError) {
+      if (uploadError.invalidImage) {
+        await deleteMedia(images.flatMap(imageMedia));
+        return { error: `${file.originalname || 'An image'} could not be read as an image` };
+      }
+      console.error('Image upload error:', uploadError);
+    }
+  }
+  return { images };
+};
+
+// Tags arrive as an array, a JSON array (multipart forms) or a
+// comma-separated string. Returns null when they are malformed.
+const parseTags = (tags) => {
+  if (tags === undefined || tags === null || tags === '') return [];
+
+  let list = tags;
+  if (typeof tags === 'string') {
+    if (tags.trim().startsWith('[')) {
+      try {
+        list = JSON.parse(tags);
+      } catch (error) {
+        return null;
+      }
+    } else {
+      list = tags.split(',');
+    }
+  }
+
+  return Array.isArray(list) && list.every(tag => typeof tag === 'string') ? list : null;
+};
+
+// Lowercased, de-duplicated tags, or null when malformed
+const normalizeTags = (tags) => {
+  const list = parseTags(tags);
+  if (!list) return null;
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))].slice(0, 10);
+};
+
+const TAGS_ERROR = 'tags must be a list of strings';
+
+// JSON form fields (location, dropOffPoints) arrive as strings in multipart
+// forms and already parsed in JSON bodies. Returns undefined when malformed.
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// List filters that take a single value; repeated query params arrive as arrays
+const SINGLE_VALUE_FILTERS = ['category', 'subcategory', 'location', 'search', 'organization'];
+
+// Values of a list filter given comma-separated, repeated or both
+// (?condition=new,good&condition=fair). Returns null when malformed.
+const parseListFilter = (value) => {
+  const values = [].concat(value === undefined ? [] : value);
+  if (!values.every(item => typeof item === 'string')) return null;
+  return values.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // Get all resources with filters
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const {
       category,
+      subcategory,
+      tags,
+      condition,
+      urgency,
       location,
       radius = 10,
       available = 'true',
       search,
+      organization,
       page = 1,
       limit = 20
     } = req.query;
 
-    let query = {};
+    const repeated = SINGLE_VALUE_FILTERS.find(field =>
+      req.query[field] !== undefined && typeof req.query[field] !== 'string');
+    if (repeated) {
+      return res.status(400).json({ error: `${repeated} must be given once` });
+    }
+
+    const wantedTags = normalizeTags(tags);
+    if (!wantedTags) {
+      return res.status(400).json({ error: TAGS_ERROR });
+    }
+
+    const conditions = parseListFilter(condition);
+    const urgencyLevels = parseListFilter(urgency);
+    if (!conditions || !urgencyLevels) {
+      return res.status(400).json({ error: 'condition and urgency must be lists of values' });
+    }
+
+    let query = { 'moderation.hidden': { $ne: true } };
+
+    // Leave out resources of users on either side of a block
+    if (req.user) {
+      const blockedIds = await User.getBlockedIds(req.user._id);
+      if (blockedIds.length > 0) query.owner = { $nin: blockedIds };
+    }
+
+    // Filter by owning organization
+    if (organization) {
+      query.organization = organization;
+    }
 
     // Filter by availability
     if (available === 'true') {
-      query.available = true;
+      query.status = 'available';
     }
 
     // Filter by category
@@ -46,11 +174,31 @@ router.get('/', async (req, res) => {
       query.category = category;
     }
 
-    // Search in title and description
+    if (subcategory) {
+      query.subcategory = new RegExp(`^${escapeRegex(subcategory)}$`, 'i');
+    }
+
+    // Every listed tag must be present
+    if (wantedTags.length > 0) {
+      query.tags = { $all: wantedTags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) };
+    }
+
+    // Condition and urgency take a list of accepted values
+    if (conditions.length > 0) {
+      query.condition = { $in: conditions };
+    }
+
+    if (urgencyLevels.length > 0) {
+      query.urgencyLevel = { $in: urgencyLevels };
+    }
+
+    // Search in title, description and tags (as plain text, not a pattern)
     if (search) {
+      const pattern = escapeRegex(search);
       query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
+        { title: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
+        { tags: { $regex: pattern, $options: 'i' } }
       ];
     }
 
@@ -68,7 +216,8 @@ router.get('/', async (req, res) => {
 
     const skip = (page - 1) * limit;
     const resources = await Resource.find(query)
-      .populate('donor', 'name profilePicture')
+      .populate('owner', 'username firstName lastName profilePicture heroRating isLocalHero')
+      .populate('organization', 'name logo verification.status')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -90,13 +239,18 @@ router.get('/', async (req, res) => {
 });
 
 // Get resource by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id)
-      .populate('donor', 'name profilePicture phone email')
-      .populate('interestedUsers', 'name profilePicture');
+      .populate('owner', 'username firstName lastName profilePicture heroRating isLocalHero')
+      .populate('organization', 'name logo verification.status')
+      .populate('interestedUsers.user', 'username firstName lastName profilePicture');
 
-    if (!resource) {
+    if (!resource || resource.moderation.hidden) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (req.user && await User.isBlockedBetween(req.user._id, resource.owner._id)) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
@@ -108,134 +262,184 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new resource
-router.post('/', auth, upload.array('images', 5), async (req, res) => {
+router.post('/', auth, upload.array('images', 5), validateFileUpload(ACCEPTED_IMAGE_TYPES), idempotent, async (req, res) => {
   try {
     const {
       title,
       description,
       category,
+      subcategory,
+      tags,
+      type = 'donation',
       quantity,
       condition,
+      urgencyLevel,
+      estimatedValue,
       location,
       dropOffPoints,
-      voiceNote
+      voiceNote,
+      organization
     } = req.body;
 
-    const donor = await User.findById(req.user.id);
-    if (!donor) {
+    const tagList = normalizeTags(tags);
+    if (!tagList) {
+      return res.status(400).json({ error: TAGS_ERROR });
+    }
+
+    const parsedLocation = location ? parseJsonField(location) : undefined;
+    const parsedDropOffPoints = dropOffPoints ? parseJsonField(dropOffPoints) : [];
+    if (parsedLocation === undefined && location) {
+      return res.status(400).json({ error: 'location must be valid JSON' });
+    }
+    if (parsedDropOffPoints === undefined) {
+      return res.status(400).json({ error: 'dropOffPoints must be valid JSON' });
+    }
+
+    const owner = await User.findById(req.user.id);
+    if (!owner) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Upload images to Cloudinary
-    const imageUrls = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        try {
-          const result = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-              { resource_type: 'image', folder: 'community-aid/resources' },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            ).end(file.buffer);
-          });
-          imageUrls.push(result.secure_url);
-        } catch (uploadError) {
-          console.error('Image upload error:', uploadError);
-        }
+    // Posting on behalf of an organization
+    if (organization) {
+      const acting = await resolveActingOrganization(req.user, organization);
+      if (acting.error) {
+        return res.status(acting.status).json({ error: acting.error });
       }
     }
 
+    // Resize, strip metadata and store images
+    const { images, error: imageError } = await storeImages(req.files);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
+    }
+
     const resource = new Resource({
       title,
       description,
       category,
+      subcategory,
+      tags: tagList,
+      type,
       quantity: parseInt(quantity) || 1,
       condition,
-      location: location ? JSON.parse(location) : donor.location,
-      dropOffPoints: dropOffPoints ? JSON.parse(dropOffPoints) : [],
-      images: imageUrls,
+      urgencyLevel,
+      estimatedValue: parseFloat(estimatedValue) || undefined,
+      location: parsedLocation || owner.location,
+      dropOffPoints: parsedDropOffPoints,
+      images,
       voiceNote,
-      donor: req.user.id
+      owner: req.user.id,
+      organization: organization || undefined
     });
 
+    const screening = await screenResource(resource);
     await resource.save();
-    await resource.populate('donor', 'name profilePicture');
+    await queueScreening(resourceTarget(resource), screening);
+    await resource.populate('owner', 'username firstName lastName profilePicture');
+
+    await publish(EVENTS.RESOURCE_CREATED, { resource });
 
     res.status(201).json(resource);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Create resource error:', error);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Update resource
-router.put('/:id', auth, upload.array('images', 5), async (req, res) => {
+router.put('/:id', auth, upload.array('images', 5), validateFileUpload(ACCEPTED_IMAGE_TYPES), idempotent, async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
     if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
-    // Check if user owns the resource or is admin
-    const user = await User.findById(req.user.id);
-    if (resource.donor.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user owns the resource or can moderate resources in its area
+    if (!canManageResource(req.user, resource)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Status changes go through the reservation workflow endpoints
+    if (req.body.status !== undefined) {
+      return res.status(400).json({
+        error: 'Status cannot be changed directly. Use the reserve, release, confirm-pickup or cancel endpoints.'
+      });
+    }
+
     const {
       title,
       description,
       category,
+      subcategory,
+      tags,
       quantity,
       condition,
+      urgencyLevel,
+      estimatedValue,
       location,
       dropOffPoints,
-      available,
       voiceNote
     } = req.body;
 
-    // Upload new images if provided
-    const newImageUrls = [];
-    if (req.files && req.files.length > 0) {
-      for (const file of req.files) {
-        try {
-          const result = await new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-              { resource_type: 'image', folder: 'community-aid/resources' },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            ).end(file.buffer);
-          });
-          newImageUrls.push(result.secure_url);
-        } catch (uploadError) {
-          console.error('Image upload error:', uploadError);
-        }
-      }
+    const tagList = tags !== undefined ? normalizeTags(tags) : undefined;
+    if (tagList === null) {
+      return res.status(400).json({ error: TAGS_ERROR });
+    }
+
+    const parsedLocation = location ? parseJsonField(location) : undefined;
+    const parsedDropOffPoints = dropOffPoints ? parseJsonField(dropOffPoints) : undefined;
+    if (location && parsedLocation === undefined) {
+      return res.status(400).json({ error: 'location must be valid JSON' });
+    }
+    if (dropOffPoints && parsedDropOffPoints === undefined) {
+      return res.status(400).json({ error: 'dropOffPoints must be valid JSON' });
+    }
+
+    // Resize, strip metadata and store new images if provided
+    const { images: newImages, error: imageError } = await storeImages(req.files);
+    if (imageError) {
+      return res.status(400).json({ error: imageError });
     }
 
     // Update fields
     if (title) resource.title = title;
     if (description) resource.description = description;
     if (category) resource.category = category;
+    if (subcategory !== undefined) resource.subcategory = subcategory || undefined;
+    if (tagList) resource.tags = tagList;
     if (quantity) resource.quantity = parseInt(quantity);
     if (condition) resource.condition = condition;
-    if (location) resource.location = JSON.parse(location);
-    if (dropOffPoints) resource.dropOffPoints = JSON.parse(dropOffPoints);
-    if (available !== undefined) resource.available = available === 'true';
+    if (urgencyLevel) resource.urgencyLevel = urgencyLevel;
+    if (estimatedValue !== undefined) resource.estimatedValue = parseFloat(estimatedValue) || undefined;
+    if (parsedLocation) resource.location = parsedLocation;
+    if (parsedDropOffPoints) resource.dropOffPoints = parsedDropOffPoints;
     if (voiceNote) resource.voiceNote = voiceNote;
-    if (newImageUrls.length > 0) {
-      resource.images = [...resource.images, ...newImageUrls];
+    if (newImages.length > 0) {
+      resource.images = [...resource.images, ...newImages];
     }
 
+    // Screen the text again if it changed
+    const screening = (resource.isModified('title') || resource.isModified('description'))
+      ? await screenResource(resource)
+      : null;
+
     await resource.save();
-    await resource.populate('donor', 'name profilePicture');
+    if (screening) {
+      await queueScreening(resourceTarget(resource), screening);
+    }
+    await resource.populate('owner', 'username firstName lastName profilePicture');
+
+    await publish(EVENTS.RESOURCE_UPDATED, { resource });
 
     res.json(resource);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Update resource error:', error);
     res.status(500).json({ error: 'Server error' });
   }
@@ -249,13 +453,16 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
-    // Check if user owns the resource or is admin
-    const user = await User.findById(req.user.id);
-    if (resource.donor.toString() !== req.user.id && user.role !== 'admin') {
+    // Check if user owns the resource or can moderate resources in its area
+    if (!canManageResource(req.user, resource)) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
     await Resource.findByIdAndDelete(req.params.id);
+
+    // Clean up stored image variants and voice note
+    await deleteMedia(resource.getMedia());
+
     res.json({ message: 'Resource deleted successfully' });
   } catch (error) {
     console.error('Delete resource error:', error);
@@ -264,26 +471,41 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // Express interest in resource
-router.post('/:id/interest', auth, async (req, res) => {
+router.post('/:id/interest', auth, idempotent, async (req, res) => {
   try {
+    const { message } = req.body;
+
     const resource = await Resource.findById(req.params.id);
     if (!resource) {
       return res.status(404).json({ error: 'Resource not found' });
     }
 
-    if (!resource.available) {
-      return res.status(400).json({ error: 'Resource is no longer available' });
+    if (resource.status !== 'available') {
+      return res.status(409).json({ error: 'Resource is no longer available' });
     }
 
-    if (resource.donor.toString() === req.user.id) {
+    if (resource.owner.toString() === req.user.id) {
       return res.status(400).json({ error: 'Cannot express interest in your own resource' });
     }
 
-    if (resource.interestedUsers.includes(req.user.id)) {
-      return res.status(400).json({ error: 'Already expressed interest' });
+    if (resource.isInterested(req.user.id)) {
+      return res.status(409).json({ error: 'Already expressed interest' });
+    }
+
+    if (await User.isBlockedBetween(req.user._id, resource.owner)) {
+      return res.status(403).json({ error: 'You cannot request this resource' });
     }
 
-    resource.interestedUsers.push(req.user.id);
+    const requiredLevel = requiredLevelForResource(resource);
+    if (!req.user.hasTrustLevel(requiredLevel)) {
+      return res.status(403).json({
+        error: `This item requires ${getTrustLevelName(requiredLevel)} verification.`,
+        requiredTrustLevel: requiredLevel,
+        trustLevel: req.user.trust.level
+      });
+    }
+
+    resource.interestedUsers.push({ user: req.user.id, message });
     await resource.save();
 
     res.json({ message: 'Interest expressed successfully' });
@@ -302,7 +524,7 @@ router.delete('/:id/interest', auth, async (req, res) => {
     }
 
     resource.interestedUsers = resource.interestedUsers.filter(
-      userId => userId.toString() !== req.user.id
+      interest => interest.user.toString() !== req.user.id
     );
     await resource.save();
 
@@ -313,19 +535,445 @@ router.delete('/:id/interest', auth, async (req, res) => {
   }
 });
 
+// Reserve resource for an interested user (owner only)
+router.post('/:id/reserve', auth, idempotent, async (req, res) => {
+  try {
+    const { userId, holdHours } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID is required' });
+    }
+
+    const hold = holdHours === undefined || holdHours === null || holdHours === '' ? undefined : Number(holdHours);
+    if (hold !== undefined && !(hold >= Resource.MIN_RESERVATION_HOLD_HOURS && hold <= Resource.MAX_RESERVATION_HOLD_HOURS)) {
+      return res.status(400).json({
+        error: `holdHours must be between ${Resource.MIN_RESERVATION_HOLD_HOURS} and ${Resource.MAX_RESERVATION_HOLD_HOURS}`
+      });
+    }
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (resource.owner.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the resource owner can reserve it' });
+    }
+
+    if (!resource.canTransitionTo('reserved')) {
+      return res.status(409).json({ error: `Cannot reserve a resource that is ${resource.status}` });
+    }
+
+    if (!resource.isInterested(userId)) {
+      return res.status(400).json({ error: 'User has not expressed interest in this resource' });
+    }
+
+    // Interest may predate a change in value or the user's trust level
+    const requiredLevel = requiredLevelForResource(resource);
+    const receiver = await User.findById(userId);
+    if (!receiver || !receiver.hasTrustLevel(requiredLevel)) {
+      return res.status(403).json({
+        error: `This item can only be reserved for users with ${getTrustLevelName(requiredLevel)} verification.`,
+        requiredTrustLevel: requiredLevel
+      });
+    }
+
+    // Someone else may have reserved it since it was loaded
+    const reserved = await resource.reserveFor(userId, req.user.id, hold);
+    if (!reserved) {
+      return res.status(409).json({ error: 'This resource is no longer available' });
+    }
+    await publish(EVENTS.RESOURCE_RESERVED, { resource: reserved });
+    await reserved.populate('reservedBy', 'username firstName lastName profilePicture');
+
+    res.json({ message: 'Resource reserved successfully', resource: reserved });
+  } catch (error) {
+    console.error('Reserve resource error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Release a reservation (owner or reserved user)
+router.post('/:id/release', auth, idempotent, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const isOwner = resource.owner.toString() === req.user.id;
+    const isReserver = resource.reservedBy && resource.reservedBy.toString() === req.user.id;
+    if (!isOwner && !isReserver) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (resource.status !== 'reserved') {
+      return res.status(409).json({ error: `Cannot release a resource that is ${resource.status}` });
+    }
+
+    const receiver = resource.reservedBy;
+    const releaseReason = reason || (isOwner ? 'released_by_owner' : 'released_by_receiver');
+    const released = await resource.releaseReservation(req.user.id, releaseReason);
+    if (!released) {
+      return res.status(409).json({ error: 'This reservation has already changed' });
+    }
+    await publish(EVENTS.RESOURCE_RELEASED, { resource: released, receiver, reason: releaseReason });
+
+    res.json({ message: 'Reservation released successfully', resource: released });
+  } catch (error) {
+    console.error('Release reservation error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm pickup (owner and reserved user must both confirm)
+router.post('/:id/confirm-pickup', auth, idempotent, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const isOwner = resource.owner.toString() === req.user.id;
+    const isReserver = resource.reservedBy && resource.reservedBy.toString() === req.user.id;
+    if (!isOwner && !isReserver) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (resource.status !== 'reserved') {
+      return res.status(409).json({ error: `Cannot confirm pickup of a resource that is ${resource.status}` });
+    }
+
+    const confirmed = await resource.confirmPickup(req.user.id);
+    if (!confirmed) {
+      return res.status(409).json({ error: 'This reservation has already changed' });
+    }
+
+    if (confirmed.status === 'completed') {
+      await publish(EVENTS.RESOURCE_COMPLETED, { resource: confirmed, actor: req.user._id });
+    }
+
+    res.json({
+      message: confirmed.status === 'completed'
+        ? 'Handover completed successfully'
+        : 'Pickup confirmed. Waiting for the other party to confirm.',
+      resource: confirmed
+    });
+  } catch (error) {
+    console.error('Confirm pickup error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get pickup code and QR payload (reserved user only)
+router.get('/:id/pickup-code', auth, async (req, res) => {
+  try {
+    const resource = await Resource.findById(req.params.id).select('+pickupCode.code');
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (!resource.reservedBy || resource.reservedBy.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Only the reserved user can view the pickup code' });
+    }
+
+    if (resource.status !== 'reserved' || !resource.pickupCode || !resource.pickupCode.code) {
+      return res.status(409).json({ error: 'No active pickup code for this resource' });
+    }
+
+    res.json({
+      code: resource.pickupCode.code,
+      qrPayload: resource.getPickupQrPayload(),
+      expiresAt: resource.reservationExpiresAt
+    });
+  } catch (error) {
+    console.error('Get pickup code error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm handover with the receiver's pickup code (owner or drop-off staff)
+router.post('/:id/handover', auth, idempotent, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Pickup code is required' });
+    }
+
+    const resource = await Resource.findById(req.params.id).select('+pickupCode.code');
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    let isAllowed = resource.owner.toString() === req.user.id;
+    if (!isAllowed && resource.dropOffPoint) {
+      const dropOffPoint = await DropOffPoint.findById(resource.dropOffPoint);
+      isAllowed = !!dropOffPoint && dropOffPoint.isStaff(req.user.id);
+    }
+
+    if (!isAllowed) {
+      return res.status(403).json({ error: 'Only the owner or drop-off staff can confirm this handover' });
+    }
+
+    if (resource.status !== 'reserved') {
+      return res.status(409).json({ error: `Cannot hand over a resource that is ${resource.status}` });
+    }
+
+    if (resource.isPickupCodeLocked()) {
+      return res.status(423).json({ error: 'Pickup code locked after too many attempts. Release and reserve again to issue a new code.' });
+    }
+
+    if (!await resource.verifyPickupCode(code)) {
+      return res.status(400).json({ error: 'Invalid pickup code' });
+    }
+
+    const completed = await resource.completeHandover(req.user.id, 'pickup_code_confirmed');
+    if (!completed) {
+      return res.status(409).json({ error: 'This reservation has already changed' });
+    }
+    await publish(EVENTS.RESOURCE_COMPLETED, { resource: completed, actor: req.user._id });
+
+    res.json({
+      message: 'Handover completed successfully',
+      resource: completed
+    });
+  } catch (error) {
+    console.error('Confirm handover error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Users who held a reservation on the resource at some point
+const getReceivers = (resource) => {
+  const ids = resource.statusHistory.map(entry => entry.receiver);
+  ids.push(resource.reservedBy, resource.completedBy);
+  return [...new Set(ids.filter(Boolean).map(String))];
+};
+
+const ALREADY_REVIEWED = 'You have already reviewed this handover';
+
+// Review the other side of a completed handover (owner or receiver).
+// Reviews stay hidden until both sides have reviewed or the window closes.
+router.post('/:id/reviews', auth, idempotent, async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+    const value = parseInt(rating);
+
+    if (!(value >= 1 && value <= 5)) {
+      return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    }
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (resource.status !== 'completed' || !resource.completedBy) {
+      return res.status(409).json({ error: 'Only completed handovers can be reviewed' });
+    }
+
+    const isOwner = resource.owner.toString() === req.user.id;
+    const isReceiver = resource.completedBy.toString() === req.user.id;
+    if (!isOwner && !isReceiver) {
+      return res.status(403).json({ error: 'Only the donor and receiver can review this handover' });
+    }
+
+    const windowClosesAt = Review.windowClosesAt(resource.completedAt);
+    if (windowClosesAt < new Date()) {
+      return res.status(409).json({ error: 'The review period for this handover has ended' });
+    }
+
+    if (await Review.exists({ resource: resource._id, reviewer: req.user._id })) {
+      return res.status(409).json({ error: ALREADY_REVIEWED });
+    }
+
+    const review = await Review.create({
+      resource: resource._id,
+      reviewer: req.user._id,
+      reviewee: isOwner ? resource.completedBy : resource.owner,
+      reviewerRole: isOwner ? 'donor' : 'receiver',
+      rating: value,
+      comment,
+      windowClosesAt
+    });
+
+    const published = await Review.publishForResource(resource._id);
+    if (published.length > 0) {
+      await publish(EVENTS.REVIEWS_PUBLISHED, { reviews: published });
+    }
+
+    res.status(201).json({
+      message: published.length > 0
+        ? 'Review submitted. Both reviews are now visible.'
+        : 'Review submitted. It will be visible once the other side reviews or the review period ends.',
+      review: published.find(r => r._id.equals(review._id)) || review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    // A concurrent submit won the unique { resource, reviewer } index
+    if (error.code === 11000) {
+      return res.status(409).json({ error: ALREADY_REVIEWED });
+    }
+    console.error('Review handover error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Published reviews of a handover, plus the requester's own pending review
+router.get('/:id/reviews', auth, async (req, res) => {
+  try {
+    const reviews = await Review.find({
+      resource: req.params.id,
+      $or: [{ publishedAt: { $ne: null } }, { reviewer: req.user._id }]
+    }).populate('reviewer', 'username firstName lastName profilePicture');
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Get handover reviews error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Open a dispute against the other side of a handover
+router.post('/:id/disputes', auth, idempotent, async (req, res) => {
+  try {
+    const { reason, description } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const receivers = getReceivers(resource);
+    const isOwner = resource.owner.toString() === req.user.id;
+
+    let against;
+    if (isOwner) {
+      against = req.body.against || (resource.completedBy || resource.reservedBy || '').toString();
+      if (!receivers.includes(against)) {
+        return res.status(400).json({ error: 'Choose a user who held a reservation on this resource' });
+      }
+    } else if (receivers.includes(req.user.id)) {
+      against = resource.owner;
+    } else {
+      return res.status(403).json({ error: 'Only the donor and receivers of this resource can open a dispute' });
+    }
+
+    if (await Dispute.exists({ resource: resource._id, openedBy: req.user._id, against, status: { $ne: 'resolved' } })) {
+      return res.status(409).json({ error: 'You already have an open dispute about this resource' });
+    }
+
+    // Link the parties' conversations so moderators can read them
+    const chats = await Chat.find({
+      $and: [
+        { 'participants.user': req.user._id },
+        { 'participants.user': against }
+      ],
+      $or: [{ relatedResource: resource._id }, { chatType: 'direct' }]
+    }).select('_id');
+
+    const dispute = await Dispute.create({
+      resource: resource._id,
+      openedBy: req.user._id,
+      against,
+      reason,
+      description,
+      chats: chats.map(chat => chat._id)
+    });
+
+    await publish(EVENTS.DISPUTE_OPENED, { dispute, resource });
+
+    res.status(201).json(dispute);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Open dispute error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Cancel resource (owner or admin)
+router.post('/:id/cancel', auth, idempotent, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (!canManageResource(req.user, resource)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!resource.canTransitionTo('cancelled')) {
+      return res.status(409).json({ error: `Cannot cancel a resource that is ${resource.status}` });
+    }
+
+    const receiver = resource.status === 'reserved' ? resource.reservedBy : null;
+    resource.transitionTo('cancelled', req.user.id, reason || 'cancelled');
+    await resource.save();
+
+    if (receiver) {
+      await publish(EVENTS.RESOURCE_RELEASED, { resource, receiver, reason: 'resource_cancelled' });
+    }
+
+    res.json({ message: 'Resource cancelled successfully', resource });
+  } catch (error) {
+    console.error('Cancel resource error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Report a resource to the moderators
+router.post('/:id/report', auth, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+
+    const resource = await Resource.findById(req.params.id);
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    const result = await fileReport(resourceTarget(resource), req.user, reason, details);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Thank you. Our moderators will review this resource.' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Report resource error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user's resources
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', optionalAuthenticate, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (page - 1) * limit;
 
-    const resources = await Resource.find({ donor: req.params.userId })
-      .populate('donor', 'name profilePicture')
+    const blockedIds = req.user ? await User.getBlockedIds(req.user._id) : [];
+    const query = {
+      owner: { $eq: req.params.userId, $nin: blockedIds },
+      'moderation.hidden': { $ne: true }
+    };
+    const resources = await Resource.find(query)
+      .populate('owner', 'username firstName lastName profilePicture')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Resource.countDocuments({ donor: req.params.userId });
+    const total = await Resource.countDocuments(query);
 
     res.json({
       resources,
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { authenticate: auth } = require('../middleware/auth');
+
+// Saved resource searches. New and updated resources that match notify the
+// user through the 'saved_search' notification type (services/savedSearches).
+
+const TEXT_CRITERIA = ['category', 'subcategory', 'text'];
+const LIST_CRITERIA = ['tags', 'conditions', 'urgencyLevels', 'types'];
+
+// Copy the given fields of a request body onto a search. An area is
+// { coordinates: [lng, lat], radius (km) }; send coordinates: null to drop it.
+const applyFields = (search, body) => {
+  if (body.name !== undefined) search.name = body.name;
+  if (body.notify !== undefined) search.notify = !!body.notify;
+
+  // Empty values clear a criterion
+  TEXT_CRITERIA.forEach(field => {
+    if (body[field] !== undefined) search[field] = body[field] || undefined;
+  });
+  LIST_CRITERIA.forEach(field => {
+    if (body[field] !== undefined) search[field] = body[field] || [];
+  });
+
+  if (body.coordinates !== undefined) {
+    search.center = body.coordinates ? { type: 'Point', coordinates: body.coordinates } : undefined;
+    if (!body.coordinates) search.radius = undefined;
+  }
+  if (body.radius !== undefined && body.coordinates !== null) search.radius = body.radius;
+};
+
+const handleSaveError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({ error: 'You already have a saved search with this name' });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ error: error.message });
+  }
+  console.error(`${action} saved search error:`, error);
+  res.status(500).json({ error: 'Server error' });
+};
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .select('-notifiedResources')
+      .sort({ createdAt: 1 });
+    res.json({ searches, limit: SavedSearch.MAX_PER_USER });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a search: { name, category, subcategory, tags, text, conditions,
+// urgencyLevels, types, coordinates, radius, notify }
+router.post('/', auth, async (req, res) => {
+  try {
+    if (await SavedSearch.countDocuments({ user: req.user._id }) >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({ error: `You can save up to ${SavedSearch.MAX_PER_USER} searches` });
+    }
+
+    const search = new SavedSearch({ user: req.user._id });
+    applyFields(search, req.body);
+    await search.save();
+
+    res.status(201).json(search);
+  } catch (error) {
+    handleSaveError(res, error, 'Create');
+  }
+});
+
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    applyFields(search, req.body);
+    await search.save();
+
+    res.json(search);
+  } catch (error) {
+    handleSaveError(res, error, 'Update');
+  }
+});
+
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resources currently matching a search
+router.get('/:id/results', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user._id }).catch(() => null);
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const query = search.toResourceQuery();
+
+    // Leave out resources of users on either side of a block
+    const blockedIds = await User.getBlockedIds(req.user._id);
+    if (blockedIds.length > 0) {
+      query.owner = { $nin: [...blockedIds, req.user._id] };
+    }
+
+    const skip = (page - 1) * limit;
+    const resources = await Resource.find(query)
+      .populate('owner', 'username firstName lastName profilePicture heroRating isLocalHero')
+      .populate('organization', 'name logo verification.status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Resource.countDocuments(query);
+
+    res.json({
+      resources,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get saved search results error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
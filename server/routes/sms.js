@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const { getSmsProvider, getUssdGateway } = require('../services/sms');
+const { handleCommand, handleUssd } = require('../services/smsCommands');
+
+// Reject webhooks that are not signed by the configured provider or gateway
+const verifyWith = (getVerifier) => (req, res, next) => {
+  try {
+    if (!getVerifier().verifyRequest(req)) {
+      return res.status(403).json({ error: 'Invalid webhook signature' });
+    }
+    next();
+  } catch (error) {
+    console.error('SMS webhook verification error:', error);
+    res.status(403).json({ error: 'Invalid webhook signature' });
+  }
+};
+
+// Inbound SMS webhook (text commands)
+router.post('/inbound', verifyWith(getSmsProvider), async (req, res) => {
+  const provider = getSmsProvider();
+
+  try {
+    const { from, body } = provider.parseInbound(req);
+
+    if (!from) {
+      return res.status(400).json({ error: 'Sender is required' });
+    }
+
+    const reply = await handleCommand(from, body);
+    provider.reply(res, reply);
+  } catch (error) {
+    console.error('Inbound SMS error:', error);
+    provider.reply(res, 'Sorry, something went wrong. Please try again later.');
+  }
+});
+
+// USSD session callback (Africa's Talking style: sessionId, phoneNumber, text).
+// Replies are plain text starting with CON (continue) or END (close).
+router.post('/ussd', verifyWith(getUssdGateway), async (req, res) => {
+  try {
+    const { phoneNumber, text } = req.body;
+
+    if (!phoneNumber) {
+      return res.status(400).json({ error: 'Phone number is required' });
+    }
+
+    const result = await handleUssd(phoneNumber, text);
+    res.type('text/plain').send(`${result.end ? 'END' : 'CON'} ${result.text}`);
+  } catch (error) {
+    console.error('USSD error:', error);
+    res.type('text/plain').send('END Sorry, something went wrong. Please try again later.');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const auth = require('../middleware/auth');
+const Resource = require('../models/Resource');
+const DropOffPoint = require('../models/DropOffPoint');
+const Review = require('../models/Review');
+const multer = require('multer');
+const { authenticate: auth, requirePermission, requireTrustLevel, userRateLimit } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, ROLE_NAMES, SCOPED_ROLES, ORGANIZATION_ROLES, GLOBAL_ROLES } = require('../services/permissions');
+const trust = require('../services/trust');
+const { getStorage, uploadFile } = require('../services/storage');
+const { userTarget, fileReport, suspendUser, liftSuspension } = require('../services/moderation');
+const { CHANNELS, MODES, validateMatrix } = require('../services/notificationPreferences');
+const { revokeAllSessions } = require('../services/sessions');
+
+// Identity documents for trust verification
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    cb(null, ['image/jpeg', 'image/png', 'application/pdf'].includes(file.mimetype));
+  }
+});
 
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
@@ -45,14 +66,66 @@ router.put('/profile', auth, async (req, res) => {
   }
 });
 
-// Get all users (admin only)
-router.get('/', auth, async (req, res) => {
+const notificationSettings = (user) => ({
+  channels: {
+    email: user.notificationPreferences.email,
+    sms: user.notificationPreferences.sms,
+    push: user.notificationPreferences.push,
+    chat: user.notificationPreferences.chat,
+    digest: user.notificationPreferences.digest
+  },
+  matrix: user.getNotificationMatrix(),
+  availableChannels: CHANNELS,
+  modes: MODES,
+  quietHours: user.quietHours,
+  timezone: user.timezone,
+  preferredLanguage: user.preferredLanguage
+});
+
+const isValidTimezone = (timezone) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Notification settings: global channel switches, the per-event channel
+// matrix, quiet hours and time zone
+router.get('/profile/notifications', auth, (req, res) => {
+  res.json(notificationSettings(req.user));
+});
+
+router.put('/profile/notifications', auth, async (req, res) => {
+  try {
+    const { channels, events, quietHours, timezone } = req.body;
+
+    const invalid = events !== undefined && validateMatrix(events);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
     }
 
+    req.user.updateNotificationSettings({ channels, events, quietHours, timezone });
+    await req.user.save();
+
+    res.json(notificationSettings(req.user));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Update notification settings error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get all users (admin only)
+router.get('/', auth, requirePermission(PERMISSIONS.USERS_MANAGE, { requireTwoFactor: true }), async (req, res) => {
+  try {
     const users = await User.find().select('-password');
     res.json(users);
   } catch (error) {
@@ -61,10 +134,114 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// List roles and the permissions they grant
+router.get('/roles', auth, (req, res) => {
+  res.json({
+    roles: ROLE_NAMES.map(name => ({
+      name,
+      permissions: ROLES[name],
+      scopeable: SCOPED_ROLES.includes(name),
+      organizationRole: ORGANIZATION_ROLES.includes(name)
+    })),
+    permissions: Object.values(PERMISSIONS)
+  });
+});
+
+// Users the current user has blocked or muted
+router.get('/blocks', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('blockedUsers mutedUsers')
+      .populate('blockedUsers mutedUsers', 'username firstName lastName profilePicture');
+
+    res.json({ blocked: user.blockedUsers, muted: user.mutedUsers });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Submit an identity document for admin review
+router.post('/trust/document', auth, documentUpload.single('document'), async (req, res) => {
+  try {
+    const { documentType } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'A JPEG, PNG or PDF document is required' });
+    }
+
+    const user = await User.findById(req.user.id)
+      .select('+trust.document.filePublicId +trust.document.fileResourceType +trust.document.fileAccess');
+
+    if (['pending', 'approved'].includes(user.trust.document.status)) {
+      return res.status(400).json({ error: `Your document is already ${user.trust.document.status}` });
+    }
+
+    let file;
+    const resourceType = req.file.mimetype === 'application/pdf' ? 'raw' : 'image';
+    try {
+      // Identity documents are private: reviewers open them through signed links
+      file = await uploadFile(req.file, { folder: 'community-aid/trust-documents', resourceType, access: 'private' });
+    } catch (uploadError) {
+      console.error('File upload error:', uploadError);
+      return res.status(500).json({ error: 'File upload failed' });
+    }
+
+    user.trust.document = {
+      status: 'pending',
+      documentType,
+      fileUrl: file.url,
+      filePublicId: file.publicId,
+      fileResourceType: resourceType,
+      fileAccess: 'private',
+      submittedAt: new Date()
+    };
+    await user.save();
+
+    res.status(201).json({ message: 'Document submitted for review', trust: trust.getTrustSummary(user) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Submit trust document error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Documents waiting for review, with short-lived links to the files
+router.get('/trust/documents/pending', auth, requirePermission(PERMISSIONS.TRUST_REVIEW, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const users = await User.find({ 'trust.document.status': 'pending' })
+      .select('+trust.document.filePublicId +trust.document.fileResourceType +trust.document.fileAccess')
+      .sort({ 'trust.document.submittedAt': 1 });
+
+    const storage = getStorage();
+    res.json(users.map(user => ({
+      user: {
+        _id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName
+      },
+      documentType: user.trust.document.documentType,
+      submittedAt: user.trust.document.submittedAt,
+      fileUrl: storage.getSignedUrl(user.trust.document.filePublicId, {
+        resourceType: user.trust.document.fileResourceType,
+        access: user.trust.document.fileAccess,
+        expiresIn: 15 * 60
+      })
+    })));
+  } catch (error) {
+    console.error('Get pending trust documents error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user by ID
 router.get('/:id', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id).select('-password -email -phone');
+    const user = await User.findById(req.params.id)
+      .select('-password -email -phoneNumber -trust.phoneVerifiedNumber -trust.phoneCode -suspension -warnings -blockedUsers -mutedUsers');
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -75,22 +252,42 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Update user role (admin only)
-router.put('/:id/role', auth, async (req, res) => {
+// Report a profile to the moderators
+router.post('/:id/report', auth, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
   try {
-    const adminUser = await User.findById(req.user.id);
-    if (adminUser.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const { reason, details } = req.body;
+
+    const user = await User.findById(req.params.id).select('username bio');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const { role } = req.body;
-    if (!['donor', 'receiver', 'admin'].includes(role)) {
+    const result = await fileReport(userTarget(user), req.user, reason, details);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Thank you. Our moderators will review this profile.' });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Report user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Replace a user's global roles (admin only)
+router.put('/:id/role', auth, requirePermission(PERMISSIONS.ROLES_ASSIGN, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const roles = req.body.roles || (req.body.role ? [req.body.role] : []);
+    if (!Array.isArray(roles) || roles.length === 0 || !roles.every(r => GLOBAL_ROLES.includes(r))) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
     const user = await User.findByIdAndUpdate(
       req.params.id,
-      { role },
+      { roles: [...new Set(roles)] },
       { new: true }
     ).select('-password');
 
@@ -105,19 +302,349 @@ router.put('/:id/role', auth, async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// Grant a role limited to a drop-off point or a region
+// Body: { role, dropOffPoint } or { role, region: { name, center: [lng, lat], radiusKm } }
+router.post('/:id/role-assignments', auth, requirePermission(PERMISSIONS.ROLES_ASSIGN, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const { role, dropOffPoint, region } = req.body;
+
+    if (!SCOPED_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${SCOPED_ROLES.join(', ')}` });
+    }
+
+    if (!dropOffPoint === !region) {
+      return res.status(400).json({ error: 'Provide either a drop-off point or a region' });
+    }
+
+    if (dropOffPoint && !(await DropOffPoint.exists({ _id: dropOffPoint }))) {
+      return res.status(404).json({ error: 'Drop-off point not found' });
+    }
+
+    if (region) {
+      const { name, center, radiusKm } = region;
+      const validCenter = Array.isArray(center) && center.length === 2 &&
+        center.every(c => typeof c === 'number') &&
+        center[0] >= -180 && center[0] <= 180 && center[1] >= -90 && center[1] <= 90;
+
+      if (!name || !validCenter || !(radiusKm > 0)) {
+        return res.status(400).json({ error: 'Region needs a name, center [longitude, latitude] and positive radiusKm' });
+      }
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const assignment = user.grantScopedRole(role, {
+      dropOffPoint,
+      region: region && { name: region.name, center: region.center, radiusKm: region.radiusKm },
+      grantedBy: req.user._id
+    });
+    await user.save();
+
+    res.status(201).json({ message: 'Role granted successfully', assignment });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke a scoped role
+router.delete('/:id/role-assignments/:assignmentId', auth, requirePermission(PERMISSIONS.ROLES_ASSIGN, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const assignment = user.roleAssignments.id(req.params.assignmentId);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role assignment not found' });
+    }
+
+    user.roleAssignments.pull(assignment._id);
+    await user.save();
+
+    res.json({ message: 'Role revoked successfully' });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Trust level and how it was reached
+router.get('/:id/trust', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(trust.getTrustSummary(user));
+  } catch (error) {
+    console.error('Get trust error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Published handover reviews about a user
+router.get('/:id/reviews', auth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { reviewee: req.params.id, publishedAt: { $ne: null } };
+
+    const reviews = await Review.find(query)
+      .populate('reviewer', 'username firstName lastName profilePicture')
+      .populate('resource', 'title category')
+      .sort({ publishedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Vouch for a member (community-verified members only)
+router.post('/:id/vouch', auth, requireTrustLevel(trust.REQUIRED_TRUST.vouch), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { error } = await trust.vouch(req.user, user, req.body.note);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(201).json({ message: 'Vouch recorded', trust: trust.getTrustSummary(user) });
+  } catch (error) {
+    console.error('Vouch error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Withdraw a vouch
+router.delete('/:id/vouch', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!await trust.withdrawVouch(req.user, user)) {
+      return res.status(404).json({ error: 'You have not vouched for this member' });
+    }
+
+    res.json({ message: 'Vouch withdrawn', trust: trust.getTrustSummary(user) });
+  } catch (error) {
+    console.error('Withdraw vouch error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Approve or reject an identity document (admin only)
+router.post('/:id/trust/document/review', auth, requirePermission(PERMISSIONS.TRUST_REVIEW, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const { approved, notes } = req.body;
+
+    if (typeof approved !== 'boolean') {
+      return res.status(400).json({ error: 'approved must be true or false' });
+    }
+
+    const user = await User.findById(req.params.id)
+      .select('+trust.document.filePublicId +trust.document.fileResourceType +trust.document.fileAccess')
+      .catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(403).json({ error: 'You cannot review your own document' });
+    }
+
+    if (user.trust.document.status !== 'pending') {
+      return res.status(400).json({ error: 'User has no document waiting for review' });
+    }
+
+    await trust.reviewDocument(user, req.user, approved, notes);
+
+    res.json({
+      message: approved ? 'Document approved' : 'Document rejected',
+      trust: trust.getTrustSummary(user)
+    });
+  } catch (error) {
+    console.error('Review trust document error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Block a user. Pending interest either way between the two is withdrawn.
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id').catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { blockedUsers: user._id } });
+    await Promise.all([
+      Resource.updateMany(
+        { owner: req.user._id, status: 'available' },
+        { $pull: { interestedUsers: { user: user._id } } }
+      ),
+      Resource.updateMany(
+        { owner: user._id, status: 'available' },
+        { $pull: { interestedUsers: { user: req.user._id } } }
+      )
+    ]);
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id/block', auth, async (req, res) => {
   try {
-    const adminUser = await User.findById(req.user.id);
-    if (adminUser.role !== 'admin') {
-      return res.status(403).json({ error: 'Access denied' });
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: req.params.id } });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'User is not blocked' });
     }
 
-    const user = await User.findByIdAndDelete(req.params.id);
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mute a user: their messages still arrive, without notifications
+router.post('/:id/mute', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id').catch(() => null);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot mute yourself' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $addToSet: { mutedUsers: user._id } });
+
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    const result = await User.updateOne({ _id: req.user._id }, { $pull: { mutedUsers: req.params.id } });
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'User is not muted' });
+    }
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Suspend or ban a user (admin only). Without `until` a suspension lasts
+// until it is lifted.
+router.post('/:id/suspension', auth, requirePermission(PERMISSIONS.USERS_MANAGE, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const { reason, until, ban = false } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    if (until !== undefined && !(new Date(until) > new Date())) {
+      return res.status(400).json({ error: 'until must be a date in the future' });
+    }
+
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot suspend yourself' });
+    }
+
+    await suspendUser(user, req.user, {
+      ban: !!ban,
+      reason: reason.trim(),
+      until: until ? new Date(until) : undefined
+    });
+
+    res.json({
+      message: ban ? 'User banned' : 'User suspended',
+      accountStatus: user.accountStatus,
+      suspension: user.suspension
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lift a suspension or ban (admin only)
+router.delete('/:id/suspension', auth, requirePermission(PERMISSIONS.USERS_MANAGE, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.accountStatus === 'active') {
+      return res.status(400).json({ error: 'User is not suspended' });
+    }
+
+    await liftSuspension(user);
+
+    res.json({ message: 'Suspension lifted', accountStatus: user.accountStatus });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete user (admin only)
+router.delete('/:id', auth, requirePermission(PERMISSIONS.USERS_MANAGE, { requireTwoFactor: true }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).catch(() => null);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Sign the user out everywhere before the account goes
+    await revokeAllSessions(user._id, { reason: 'deleted' });
+    await user.deleteOne();
+
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -136,14 +663,16 @@ router.get('/nearby/:radius', auth, async (req, res) => {
     const radius = parseInt(req.params.radius) || 5; // Default 5km
     const radiusInRadians = radius / 6371; // Earth's radius in km
 
+    const blockedIds = await User.getBlockedIds(req.user._id);
+
     const nearbyUsers = await User.find({
-      _id: { $ne: req.user.id },
+      _id: { $nin: [req.user._id, ...blockedIds] },
       location: {
         $geoWithin: {
           $centerSphere: [user.location.coordinates, radiusInRadians]
         }
       }
-    }).select('-password -email -phone');
+    }).select('-password -email -phoneNumber -trust.phoneVerifiedNumber -trust.phoneCode -suspension -warnings -blockedUsers -mutedUsers');
 
     res.json(nearbyUsers);
   } catch (error) {
@@ -0,0 +1,69 @@
+// Rebuild the automatic impact ledger from existing platform data.
+// Safe to run repeatedly: entries are keyed by the event that produced them,
+// so only missing entries are written and counters only move for those.
+//
+// Usage: npm run backfill:impact
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Resource = require('../models/Resource');
+const Challenge = require('../models/Challenge');
+const DropOffPoint = require('../models/DropOffPoint');
+const {
+  recordResourceCompleted,
+  recordChallengeCompleted,
+  recordVolunteerShift,
+  recordDropOff
+} = require('../services/impactLedger');
+
+const backfill = async () => {
+  const counts = { resources: 0, challenges: 0, shifts: 0, dropOffs: 0 };
+
+  const completedResources = Resource.find({
+    status: 'completed',
+    completedBy: { $exists: true }
+  }).cursor();
+  for await (const resource of completedResources) {
+    await recordResourceCompleted(resource);
+    counts.resources++;
+  }
+
+  const challenges = Challenge.find({ 'participants.isCompleted': true }).cursor();
+  for await (const challenge of challenges) {
+    for (const participant of challenge.participants.filter(p => p.isCompleted)) {
+      await recordChallengeCompleted(challenge, participant);
+      counts.challenges++;
+    }
+  }
+
+  const dropOffPoints = DropOffPoint.find({}).cursor();
+  for await (const dropOffPoint of dropOffPoints) {
+    for (const shift of dropOffPoint.volunteerShifts) {
+      await recordVolunteerShift(dropOffPoint, shift);
+      counts.shifts++;
+    }
+
+    const droppedOff = await Resource.find({
+      dropOffPoint: dropOffPoint._id,
+      droppedOffAt: { $exists: true }
+    });
+    for (const resource of droppedOff) {
+      await recordDropOff(dropOffPoint, resource, resource.owner);
+      counts.dropOffs++;
+    }
+  }
+
+  return counts;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-aid')
+  .then(backfill)
+  .then(counts => {
+    console.log('Impact ledger backfill complete:', counts);
+  })
+  .catch(error => {
+    console.error('Impact ledger backfill error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,50 @@
+// Move users from the single `role` field to the `roles` array and give
+// every drop-off point manager a dropoff_manager role scoped to their point.
+// Safe to run repeatedly.
+//
+// Usage: npm run migrate:roles
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const DropOffPoint = require('../models/DropOffPoint');
+
+const migrate = async () => {
+  const counts = { users: 0, managers: 0 };
+
+  // `role` is no longer in the schema, so go through the raw collection
+  const result = await User.collection.updateMany(
+    { role: { $exists: true } },
+    [
+      { $set: { roles: ['$role'] } },
+      { $unset: 'role' }
+    ]
+  );
+  counts.users = result.modifiedCount;
+
+  const dropOffPoints = DropOffPoint.find({ manager: { $exists: true } }).cursor();
+  for await (const dropOffPoint of dropOffPoints) {
+    const update = await User.updateOne(
+      {
+        _id: dropOffPoint.manager,
+        roleAssignments: { $not: { $elemMatch: { role: 'dropoff_manager', dropOffPoint: dropOffPoint._id } } }
+      },
+      { $push: { roleAssignments: { role: 'dropoff_manager', dropOffPoint: dropOffPoint._id } } }
+    );
+    counts.managers += update.modifiedCount;
+  }
+
+  return counts;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-aid')
+  .then(migrate)
+  .then(counts => {
+    console.log('Role migration complete:', counts);
+  })
+  .catch(error => {
+    console.error('Role migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+// Compute every user's reputation, hero rating and local hero status.
+// Run once after upgrading; afterwards reputations update on events and a
+// nightly job. No-shows recorded before the upgrade cannot be attributed
+// to a receiver and are not counted.
+//
+// Usage: npm run reputation:recompute
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const { updateReputation } = require('../services/reputation');
+
+const recompute = async () => {
+  const counts = { users: 0, heroes: 0 };
+
+  const users = User.find({}).select('_id').cursor();
+  for await (const { _id } of users) {
+    const user = await updateReputation(_id);
+    counts.users++;
+    if (user && user.isLocalHero) counts.heroes++;
+  }
+
+  return counts;
+};
+
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/community-aid')
+  .then(recompute)
+  .then(counts => {
+    console.log('Reputation recompute complete:', counts);
+  })
+  .catch(error => {
+    console.error('Reputation recompute error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
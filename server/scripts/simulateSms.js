@@ -0,0 +1,50 @@
+// Send a signed text command to the local SMS webhook, as a provider would.
+// Works with SMS_PROVIDER=local (USSD_PROVIDER=local for --ussd).
+//
+// Usage: npm run sms:simulate -- <phone number> <message...>
+//        npm run sms:simulate -- --ussd <phone number> [menu input, e.g. 1*2]
+
+const axios = require('axios');
+require('dotenv').config();
+
+const { getSmsProvider, getUssdGateway } = require('../services/sms');
+
+const simulate = async () => {
+  const args = process.argv.slice(2);
+  const ussd = args[0] === '--ussd';
+  if (ussd) args.shift();
+
+  const [from, ...words] = args;
+  if (!from) {
+    console.error('Usage: npm run sms:simulate -- [--ussd] <phone number> <message...>');
+    process.exit(1);
+  }
+
+  const provider = ussd ? getUssdGateway() : getSmsProvider();
+  if (provider.name !== 'local') {
+    console.error(`The simulator only works with ${ussd ? 'USSD' : 'SMS'}_PROVIDER=local`);
+    process.exit(1);
+  }
+
+  const baseUrl = process.env.SMS_SIMULATOR_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const payload = ussd
+    ? { sessionId: `sim-${Date.now()}`, phoneNumber: from, text: words.join(' ') }
+    : { from, body: words.join(' ') };
+  const rawBody = JSON.stringify(payload);
+
+  const response = await axios.post(`${baseUrl}/api/sms/${ussd ? 'ussd' : 'inbound'}`, rawBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Sms-Signature': provider.sign(rawBody)
+    },
+    validateStatus: () => true
+  });
+
+  console.log(`HTTP ${response.status}`);
+  console.log(typeof response.data === 'string' ? response.data : response.data.reply || response.data);
+};
+
+simulate().catch(error => {
+  console.error('SMS simulation failed:', error.message);
+  process.exit(1);
+});
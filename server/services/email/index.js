@@ -0,0 +1,116 @@
+const path = require('path');
+const createSmtpDriver = require('./smtpDriver');
+const createLocalDriver = require('./localDriver');
+const { renderTemplate } = require('./templates');
+
+// Email driver selected by EMAIL_DRIVER (smtp | local).
+// Without an explicit driver, SMTP is used when SMTP_HOST is set,
+// otherwise messages go to the local outbox.
+//
+// Every driver implements:
+//   send({ from, to, subject, text, html }) -> { id }
+
+const createDriver = () => {
+  const driverName = process.env.EMAIL_DRIVER ||
+    (process.env.SMTP_HOST ? 'smtp' : 'local');
+
+  switch (driverName) {
+    case 'smtp':
+      return createSmtpDriver({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'local':
+      return createLocalDriver({
+        outboxDir: process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', '..', 'email-outbox')
+      });
+    default:
+      throw new Error(`Unknown email driver: ${driverName}`);
+  }
+};
+
+let driver = null;
+
+const getMailer = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+// Render a template in the user's language and send it
+const sendTemplate = (user, templateName, data = {}) => {
+  const { subject, text, html } = renderTemplate(templateName, user.preferredLanguage, {
+    firstName: user.firstName,
+    ...data
+  });
+
+  return getMailer().send({
+    from: process.env.EMAIL_FROM || 'Community Aid <no-reply@communityaid.org>',
+    to: user.email,
+    subject,
+    text,
+    html
+  });
+};
+
+const sendVerificationEmail = (user, token) => {
+  return sendTemplate(user, 'verification', {
+    url: clientUrl('/auth/verify-email', { token })
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  return sendTemplate(user, 'passwordReset', {
+    url: clientUrl('/auth/reset-password', { token })
+  });
+};
+
+// Weekly digest of new resources near the user
+const sendDigestEmail = (user, resources) => {
+  return sendTemplate(user, 'digest', {
+    url: clientUrl('/'),
+    items: resources.map(resource => ({
+      label: `${resource.title} (${resource.category})`,
+      url: clientUrl(`/resources/${resource._id}`)
+    }))
+  });
+};
+
+// One notification the user chose to receive by email
+const sendNotificationEmail = (user, notification) => {
+  return sendTemplate(user, 'notification', {
+    title: notification.title,
+    message: notification.message || notification.title,
+    url: clientUrl(notification.link || '/notifications')
+  });
+};
+
+// Notifications batched into one email
+const sendNotificationDigestEmail = (user, notifications) => {
+  return sendTemplate(user, 'notificationDigest', {
+    url: clientUrl('/notifications'),
+    items: notifications.map(notification => ({
+      label: notification.message ? `${notification.title}: ${notification.message}` : notification.title,
+      url: clientUrl(notification.link || '/notifications')
+    }))
+  });
+};
+
+module.exports = {
+  getMailer,
+  sendTemplate,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendDigestEmail,
+  sendNotificationEmail,
+  sendNotificationDigestEmail
+};
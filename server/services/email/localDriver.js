@@ -0,0 +1,33 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Email stand-in for development and tests. Messages are logged to the
+// console and, when config.outboxDir is set, written there as JSON files.
+const createLocalDriver = (config = {}) => {
+  const sent = [];
+
+  const send = async (message) => {
+    const id = `local-${crypto.randomUUID()}`;
+    const stored = { id, ...message, sentAt: new Date() };
+
+    sent.push(stored);
+    console.log(`[email] to ${message.to}: ${message.subject}`);
+
+    if (config.outboxDir) {
+      await fs.mkdir(config.outboxDir, { recursive: true });
+      await fs.writeFile(path.join(config.outboxDir, `${id}.json`), JSON.stringify(stored, null, 2));
+    }
+
+    return { id };
+  };
+
+  return {
+    name: 'local',
+    send,
+    // Messages sent by this process, newest last
+    sent
+  };
+};
+
+module.exports = createLocalDriver;
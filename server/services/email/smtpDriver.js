@@ -0,0 +1,23 @@
+const nodemailer = require('nodemailer');
+
+// Email delivery over SMTP
+const createSmtpDriver = (config = {}) => {
+  const transporter = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.port === 465,
+    auth: config.user ? { user: config.user, pass: config.pass } : undefined
+  });
+
+  const send = async (message) => {
+    const info = await transporter.sendMail(message);
+    return { id: info.messageId };
+  };
+
+  return {
+    name: 'smtp',
+    send
+  };
+};
+
+module.exports = createSmtpDriver;
@@ -0,0 +1,226 @@
+// Localized transactional email templates.
+// Strings may contain {{name}} placeholders filled from the template data.
+
+const SUPPORTED_LANGUAGES = ['en', 'sw', 'fr', 'ar'];
+const RTL_LANGUAGES = ['ar'];
+
+const TEMPLATES = {
+  verification: {
+    en: {
+      subject: 'Verify your Community Aid email',
+      greeting: 'Hi {{firstName}},',
+      body: 'Please confirm your email address to finish setting up your Community Aid account.',
+      action: 'Verify email',
+      footer: 'This link expires in 24 hours. If you did not create an account, you can ignore this email.'
+    },
+    sw: {
+      subject: 'Thibitisha barua pepe yako ya Community Aid',
+      greeting: 'Habari {{firstName}},',
+      body: 'Tafadhali thibitisha anwani yako ya barua pepe ili kukamilisha akaunti yako ya Community Aid.',
+      action: 'Thibitisha barua pepe',
+      footer: 'Kiungo hiki kitaisha baada ya saa 24. Ikiwa hukufungua akaunti, puuza barua pepe hii.'
+    },
+    fr: {
+      subject: 'Vérifiez votre adresse e-mail Community Aid',
+      greeting: 'Bonjour {{firstName}},',
+      body: 'Veuillez confirmer votre adresse e-mail pour finaliser votre compte Community Aid.',
+      action: "Vérifier l'adresse e-mail",
+      footer: "Ce lien expire dans 24 heures. Si vous n'avez pas créé de compte, ignorez cet e-mail."
+    },
+    ar: {
+      subject: 'تأكيد بريدك الإلكتروني في Community Aid',
+      greeting: 'مرحباً {{firstName}}،',
+      body: 'يرجى تأكيد عنوان بريدك الإلكتروني لإكمال إعداد حسابك في Community Aid.',
+      action: 'تأكيد البريد الإلكتروني',
+      footer: 'تنتهي صلاحية هذا الرابط خلال 24 ساعة. إذا لم تقم بإنشاء حساب، يمكنك تجاهل هذه الرسالة.'
+    }
+  },
+  passwordReset: {
+    en: {
+      subject: 'Reset your Community Aid password',
+      greeting: 'Hi {{firstName}},',
+      body: 'We received a request to reset your password. Use the link below to choose a new one.',
+      action: 'Reset password',
+      footer: 'This link expires in 1 hour. If you did not ask for a reset, you can ignore this email.'
+    },
+    sw: {
+      subject: 'Weka upya nenosiri lako la Community Aid',
+      greeting: 'Habari {{firstName}},',
+      body: 'Tumepokea ombi la kuweka upya nenosiri lako. Tumia kiungo hapa chini kuchagua jipya.',
+      action: 'Weka upya nenosiri',
+      footer: 'Kiungo hiki kitaisha baada ya saa 1. Ikiwa hukuomba, puuza barua pepe hii.'
+    },
+    fr: {
+      subject: 'Réinitialisez votre mot de passe Community Aid',
+      greeting: 'Bonjour {{firstName}},',
+      body: 'Nous avons reçu une demande de réinitialisation de votre mot de passe. Utilisez le lien ci-dessous pour en choisir un nouveau.',
+      action: 'Réinitialiser le mot de passe',
+      footer: "Ce lien expire dans 1 heure. Si vous n'avez rien demandé, ignorez cet e-mail."
+    },
+    ar: {
+      subject: 'إعادة تعيين كلمة المرور في Community Aid',
+      greeting: 'مرحباً {{firstName}}،',
+      body: 'تلقينا طلباً لإعادة تعيين كلمة المرور الخاصة بك. استخدم الرابط أدناه لاختيار كلمة مرور جديدة.',
+      action: 'إعادة تعيين كلمة المرور',
+      footer: 'تنتهي صلاحية هذا الرابط خلال ساعة واحدة. إذا لم تطلب ذلك، يمكنك تجاهل هذه الرسالة.'
+    }
+  },
+  digest: {
+    en: {
+      subject: 'Your weekly Community Aid digest',
+      greeting: 'Hi {{firstName}},',
+      body: 'Here is what was shared near you this week.',
+      empty: 'Nothing new was shared near you this week.',
+      action: 'Browse resources',
+      footer: 'You receive this digest because you turned it on. You can turn it off in your notification settings.'
+    },
+    sw: {
+      subject: 'Muhtasari wako wa wiki wa Community Aid',
+      greeting: 'Habari {{firstName}},',
+      body: 'Hivi ndivyo vilivyoshirikiwa karibu nawe wiki hii.',
+      empty: 'Hakuna kipya kilichoshirikiwa karibu nawe wiki hii.',
+      action: 'Tazama rasilimali',
+      footer: 'Unapokea muhtasari huu kwa sababu uliuwasha. Unaweza kuuzima kwenye mipangilio ya arifa.'
+    },
+    fr: {
+      subject: 'Votre résumé hebdomadaire Community Aid',
+      greeting: 'Bonjour {{firstName}},',
+      body: 'Voici ce qui a été partagé près de chez vous cette semaine.',
+      empty: "Rien de nouveau n'a été partagé près de chez vous cette semaine.",
+      action: 'Voir les ressources',
+      footer: 'Vous recevez ce résumé car vous l’avez activé. Vous pouvez le désactiver dans vos paramètres de notification.'
+    },
+    ar: {
+      subject: 'ملخصك الأسبوعي من Community Aid',
+      greeting: 'مرحباً {{firstName}}،',
+      body: 'إليك ما تمت مشاركته بالقرب منك هذا الأسبوع.',
+      empty: 'لم تتم مشاركة أي شيء جديد بالقرب منك هذا الأسبوع.',
+      action: 'تصفح الموارد',
+      footer: 'تتلقى هذا الملخص لأنك قمت بتفعيله. يمكنك إيقافه من إعدادات الإشعارات.'
+    }
+  },
+  notification: {
+    en: {
+      subject: '{{title}}',
+      greeting: 'Hi {{firstName}},',
+      body: '{{message}}',
+      action: 'Open Community Aid',
+      footer: 'You can choose which notifications reach you by email in your notification settings.'
+    },
+    sw: {
+      subject: '{{title}}',
+      greeting: 'Habari {{firstName}},',
+      body: '{{message}}',
+      action: 'Fungua Community Aid',
+      footer: 'Unaweza kuchagua arifa zinazokufikia kwa barua pepe kwenye mipangilio ya arifa.'
+    },
+    fr: {
+      subject: '{{title}}',
+      greeting: 'Bonjour {{firstName}},',
+      body: '{{message}}',
+      action: 'Ouvrir Community Aid',
+      footer: 'Vous pouvez choisir les notifications reçues par e-mail dans vos paramètres de notification.'
+    },
+    ar: {
+      subject: '{{title}}',
+      greeting: 'مرحباً {{firstName}}،',
+      body: '{{message}}',
+      action: 'افتح Community Aid',
+      footer: 'يمكنك اختيار الإشعارات التي تصلك عبر البريد الإلكتروني من إعدادات الإشعارات.'
+    }
+  },
+  notificationDigest: {
+    en: {
+      subject: 'Your Community Aid notifications',
+      greeting: 'Hi {{firstName}},',
+      body: 'Here is what happened since your last summary.',
+      empty: 'Nothing new since your last summary.',
+      action: 'Open notifications',
+      footer: 'You can choose which notifications are batched into this email in your notification settings.'
+    },
+    sw: {
+      subject: 'Arifa zako za Community Aid',
+      greeting: 'Habari {{firstName}},',
+      body: 'Haya ndiyo yaliyotokea tangu muhtasari wako uliopita.',
+      empty: 'Hakuna jipya tangu muhtasari wako uliopita.',
+      action: 'Fungua arifa',
+      footer: 'Unaweza kuchagua arifa zinazokusanywa kwenye barua pepe hii kwenye mipangilio ya arifa.'
+    },
+    fr: {
+      subject: 'Vos notifications Community Aid',
+      greeting: 'Bonjour {{firstName}},',
+      body: 'Voici ce qui s’est passé depuis votre dernier résumé.',
+      empty: 'Rien de nouveau depuis votre dernier résumé.',
+      action: 'Voir les notifications',
+      footer: 'Vous pouvez choisir les notifications regroupées dans cet e-mail dans vos paramètres de notification.'
+    },
+    ar: {
+      subject: 'إشعاراتك من Community Aid',
+      greeting: 'مرحباً {{firstName}}،',
+      body: 'إليك ما حدث منذ ملخصك الأخير.',
+      empty: 'لا جديد منذ ملخصك الأخير.',
+      action: 'افتح الإشعارات',
+      footer: 'يمكنك اختيار الإشعارات التي تُجمع في هذه الرسالة من إعدادات الإشعارات.'
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const interpolate = (template, data) =>
+  template.replace(/{{(\w+)}}/g, (match, key) => (data[key] !== undefined ? data[key] : ''));
+
+// Render a template as { subject, text, html } in the given language,
+// falling back to English
+const renderTemplate = (name, language, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const lang = SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+  const strings = template[lang];
+  const t = (key) => interpolate(strings[key], data);
+  const items = data.items || [];
+  const hasList = strings.empty !== undefined;
+  const intro = hasList && items.length === 0 ? t('empty') : t('body');
+
+  const text = [
+    t('greeting'),
+    '',
+    intro,
+    ...(items.length > 0 ? ['', ...items.map(item => `- ${item.label}: ${item.url}`)] : []),
+    '',
+    `${t('action')}: ${data.url}`,
+    '',
+    t('footer')
+  ].join('\n');
+
+  const list = items.length > 0
+    ? `<ul>${items.map(item => `<li><a href="${escapeHtml(item.url)}">${escapeHtml(item.label)}</a></li>`).join('')}</ul>`
+    : '';
+
+  const html = `<!DOCTYPE html>
+<html lang="${lang}" dir="${RTL_LANGUAGES.includes(lang) ? 'rtl' : 'ltr'}">
+<body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+  <p>${escapeHtml(t('greeting'))}</p>
+  <p>${escapeHtml(intro)}</p>
+  ${list}
+  <p><a href="${escapeHtml(data.url)}" style="display: inline-block; padding: 10px 16px; background: #2563eb; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(t('action'))}</a></p>
+  <p style="font-size: 12px; color: #6b7280;">${escapeHtml(t('footer'))}</p>
+</body>
+</html>`;
+
+  return { subject: t('subject'), text, html };
+};
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  interpolate,
+  renderTemplate
+};
@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const { sendDigestEmail } = require('./email');
+
+const DIGEST_RADIUS = 10000; // meters
+const DIGEST_ITEM_LIMIT = 5;
+const DIGEST_PERIOD = 7 * 24 * 60 * 60 * 1000;
+
+// Send the weekly digest to every verified user who turned it on and has
+// new resources nearby. Returns the number of emails sent.
+const sendWeeklyDigests = async () => {
+  const since = new Date(Date.now() - DIGEST_PERIOD);
+  const users = User.find({
+    isVerified: true,
+    'notificationPreferences.email': { $ne: false },
+    'notificationPreferences.digest': true
+  }).select('email firstName preferredLanguage location').cursor();
+
+  let sent = 0;
+  for await (const user of users) {
+    try {
+      const resources = await Resource.findNearby(user.location.coordinates, DIGEST_RADIUS)
+        .where('owner').ne(user._id)
+        .where('createdAt').gte(since)
+        .limit(DIGEST_ITEM_LIMIT)
+        .select('title category');
+
+      // Nothing new nearby: skip rather than send an empty email
+      if (resources.length === 0) continue;
+
+      await sendDigestEmail(user, resources);
+      sent++;
+    } catch (error) {
+      console.error(`Digest email error (${user._id}):`, error);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendWeeklyDigests
+};
@@ -0,0 +1,55 @@
+// Lightweight in-process domain event bus.
+// Routes publish events when something meaningful happens on the platform and
+// subscribers (impact ledger, notifications, ...) react to them.
+
+const EVENTS = {
+  RESOURCE_CREATED: 'resource.created',
+  RESOURCE_UPDATED: 'resource.updated',
+  RESOURCE_RESERVED: 'resource.reserved',
+  RESOURCE_RELEASED: 'resource.released',
+  RESOURCE_COMPLETED: 'resource.completed',
+  REVIEWS_PUBLISHED: 'reviews.published',
+  DISPUTE_OPENED: 'dispute.opened',
+  DISPUTE_RESOLVED: 'dispute.resolved',
+  CHALLENGE_COMPLETED: 'challenge.completed',
+  VOLUNTEER_SHIFT_FINISHED: 'volunteer.shift_finished',
+  DROPOFF_RECORDED: 'dropoff.recorded',
+  DROPOFF_REVIEWED: 'dropoff.reviewed',
+  IMPACT_VERIFIED: 'impact.verified',
+  MODERATION_ACTION: 'moderation.action',
+  SESSIONS_REVOKED: 'auth.sessions_revoked'
+};
+
+const subscribers = new Map();
+
+// Register a handler for an event
+const subscribe = (eventName, handler) => {
+  if (!subscribers.has(eventName)) {
+    subscribers.set(eventName, []);
+  }
+
+  subscribers.get(eventName).push(handler);
+};
+
+// Publish an event and wait for every handler to finish.
+// A failing handler is logged and does not affect the others.
+const publish = async (eventName, payload = {}) => {
+  const handlers = subscribers.get(eventName) || [];
+  const event = { name: eventName, payload, occurredAt: new Date() };
+
+  const results = await Promise.allSettled(handlers.map(handler => handler(event)));
+
+  results.forEach(result => {
+    if (result.status === 'rejected') {
+      console.error(`Event handler error (${eventName}):`, result.reason);
+    }
+  });
+
+  return results;
+};
+
+module.exports = {
+  EVENTS,
+  subscribe,
+  publish
+};
@@ -0,0 +1,114 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { getStorage } = require('./storage');
+
+// Longest edge in pixels for each stored variant
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 800,
+  full: 1600
+};
+
+const OUTPUT_FORMATS = {
+  webp: { extension: '.webp', options: { quality: 80 } },
+  jpeg: { extension: '.jpg', options: { quality: 80, mozjpeg: true } }
+};
+
+// HEIC/HEIF is left out: prebuilt sharp cannot decode it
+const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const getOutputFormat = () => {
+  const format = process.env.IMAGE_OUTPUT_FORMAT || 'webp';
+  return OUTPUT_FORMATS[format] ? format : 'webp';
+};
+
+// Small blurred placeholder string shown while the real image loads
+const createBlurhash = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .raw()
+    .ensureAlpha()
+    .resize(32, 32, { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true });
+
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+// Resize an uploaded photo into all variants.
+// The image is rotated according to its EXIF orientation and then written
+// without any metadata, so camera details and GPS tags never reach storage.
+const processImage = async (buffer) => {
+  const format = getOutputFormat();
+  const oriented = await sharp(buffer).rotate().toBuffer();
+  const { width, height } = await sharp(oriented).metadata();
+
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(oriented)
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(format, OUTPUT_FORMATS[format].options)
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, width: info.width, height: info.height };
+  }
+
+  return {
+    format,
+    width,
+    height,
+    variants,
+    blurhash: await createBlurhash(oriented)
+  };
+};
+
+// Process an uploaded file and store every variant.
+// Returns an entry for Resource.images. Files that cannot be decoded throw
+// an error with `invalidImage` set.
+const processAndStoreImage = async (file, { folder } = {}) => {
+  const storage = getStorage();
+
+  let processed;
+  try {
+    processed = await processImage(file.buffer);
+  } catch (error) {
+    error.invalidImage = true;
+    throw error;
+  }
+  const { extension } = OUTPUT_FORMATS[processed.format];
+
+  const variants = {};
+  for (const [name, variant] of Object.entries(processed.variants)) {
+    const stored = await storage.put(variant.buffer, { folder, extension });
+    variants[name] = {
+      url: stored.url,
+      publicId: stored.publicId,
+      width: variant.width,
+      height: variant.height
+    };
+  }
+
+  return {
+    url: variants.full.url,
+    publicId: variants.full.publicId,
+    variants,
+    width: processed.width,
+    height: processed.height,
+    format: processed.format,
+    blurhash: processed.blurhash
+  };
+};
+
+// Every stored file of an image entry (all variants)
+const imageMedia = (image) => {
+  const variants = image.variants ? Object.values(image.variants) : [];
+  return [...new Set([image.publicId, ...variants.map(v => v && v.publicId)])]
+    .filter(Boolean)
+    .map(publicId => ({ publicId, resourceType: 'image' }));
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  ACCEPTED_IMAGE_TYPES,
+  processImage,
+  processAndStoreImage,
+  imageMedia
+};
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Impact = require('../models/Impact');
+const User = require('../models/User');
+
+// Named timeframes accepted by the impact routes, in days
+const TIMEFRAMES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365
+};
+
+const GROUP_BY_OPTIONS = ['category', 'impactType', 'sdgGoal', 'geography', 'day', 'week', 'month'];
+
+// Impact types counted for each leaderboard
+const LEADERBOARD_TYPES = {
+  donors: ['donation_given', 'service_provided'],
+  receivers: ['donation_received', 'service_received'],
+  volunteers: ['volunteer_hours']
+};
+
+const EMPTY_TOTALS = {
+  count: 0,
+  totalQuantity: 0,
+  totalValue: 0,
+  uniqueUsersCount: 0
+};
+
+// Parse timeframe/from/to and groupBy query parameters.
+// Returns { range, groupBy } or { error }.
+const parseQuery = (query = {}, defaultGroupBy = []) => {
+  const { timeframe = '30d', from, to, groupBy } = query;
+  const range = { startDate: null, endDate: null };
+
+  if (from || to) {
+    range.startDate = from ? new Date(from) : null;
+    range.endDate = to ? new Date(to) : null;
+
+    if ((range.startDate && isNaN(range.startDate)) || (range.endDate && isNaN(range.endDate))) {
+      return { error: 'Invalid from/to date.' };
+    }
+  } else if (timeframe !== 'all') {
+    if (!TIMEFRAMES[timeframe]) {
+      return { error: `Invalid timeframe. Must be one of: ${Object.keys(TIMEFRAMES).join(', ')}, all` };
+    }
+
+    range.startDate = new Date(Date.now() - TIMEFRAMES[timeframe] * 24 * 60 * 60 * 1000);
+  }
+
+  const groups = groupBy ? String(groupBy).split(',').map(g => g.trim()).filter(Boolean) : defaultGroupBy;
+  const invalid = groups.filter(g => !GROUP_BY_OPTIONS.includes(g));
+  if (invalid.length > 0) {
+    return { error: `Invalid groupBy: ${invalid.join(', ')}. Must be one of: ${GROUP_BY_OPTIONS.join(', ')}` };
+  }
+
+  return { range, groupBy: groups };
+};
+
+const formatRange = (range) => ({
+  from: range.startDate,
+  to: range.endDate || new Date()
+});
+
+const toTotals = (rows) => {
+  const { key, ...totals } = rows[0] || EMPTY_TOTALS;
+  return totals;
+};
+
+// Run the shared report shape: totals plus one list per requested grouping
+const buildReport = async (range, groupBy, runAggregation) => {
+  const [totals, ...groupResults] = await Promise.all([
+    runAggregation('total'),
+    ...groupBy.map(group => runAggregation(group))
+  ]);
+
+  const groups = {};
+  groupBy.forEach((group, index) => {
+    groups[group] = groupResults[index];
+  });
+
+  return {
+    range: formatRange(range),
+    totals: toTotals(totals),
+    groups
+  };
+};
+
+// Impact report for one user (public records only unless includePrivate)
+const getUserReport = (userId, range, groupBy, options = {}) => {
+  return buildReport(range, groupBy, group =>
+    Impact.calculateUserImpact(userId, { ...range, ...options, groupBy: group }));
+};
+
+// Impact report for the whole community (public records only unless includePrivate)
+const getCommunityReport = (range, groupBy, options = {}) => {
+  return buildReport(range, groupBy, group =>
+    Impact.getCommunityImpact(range, { ...options, groupBy: group }));
+};
+
+// Impact report for one organization (public records only unless includePrivate)
+const getOrganizationReport = (organizationId, range, groupBy, options = {}) => {
+  const match = { organization: new mongoose.Types.ObjectId(organizationId) };
+
+  return buildReport(range, groupBy, group =>
+    Impact.getCommunityImpact(range, { ...options, match, groupBy: group }));
+};
+
+// Ranked users for a leaderboard type
+const getLeaderboard = async (type, range, limit = 10) => {
+  const rows = await Impact.getCommunityImpact(range, {
+    groupBy: 'user',
+    match: { impactType: { $in: LEADERBOARD_TYPES[type] } },
+    limit
+  });
+
+  const users = await User.find({ _id: { $in: rows.map(row => row.key) } })
+    .select('username firstName lastName profilePicture isLocalHero heroRating');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  return {
+    range: formatRange(range),
+    type,
+    leaderboard: rows
+      .filter(row => usersById.has(row.key.toString()))
+      .map((row, index) => ({
+        rank: index + 1,
+        user: usersById.get(row.key.toString()),
+        count: row.count,
+        totalQuantity: row.totalQuantity,
+        totalValue: row.totalValue
+      }))
+  };
+};
+
+const isValidUserId = (userId) => mongoose.Types.ObjectId.isValid(userId);
+
+module.exports = {
+  TIMEFRAMES,
+  GROUP_BY_OPTIONS,
+  LEADERBOARD_TYPES,
+  parseQuery,
+  getUserReport,
+  getCommunityReport,
+  getOrganizationReport,
+  getLeaderboard,
+  isValidUserId
+};
@@ -0,0 +1,211 @@
+const Impact = require('../models/Impact');
+const User = require('../models/User');
+const { EVENTS, subscribe } = require('./events');
+
+// Impact category for each resource category
+const RESOURCE_IMPACT_CATEGORIES = {
+  food: 'food_security',
+  clothing: 'community_building',
+  books: 'education',
+  educational: 'education',
+  electronics: 'skills_development',
+  furniture: 'housing',
+  medical: 'health',
+  tools: 'employment',
+  toys: 'community_building',
+  services: 'community_building',
+  other: 'other'
+};
+
+// Impact category for each challenge category
+const CHALLENGE_IMPACT_CATEGORIES = {
+  food_security: 'food_security',
+  education: 'education',
+  health: 'health',
+  environment: 'environment',
+  community_building: 'community_building',
+  skills_development: 'skills_development'
+};
+
+// SDG goals each impact category contributes to
+const CATEGORY_SDG_GOALS = {
+  food_security: ['zero_hunger', 'no_poverty'],
+  education: ['quality_education'],
+  health: ['good_health'],
+  housing: ['sustainable_cities', 'no_poverty'],
+  employment: ['decent_work'],
+  environment: ['responsible_consumption', 'climate_action'],
+  community_building: ['reduced_inequalities', 'partnerships'],
+  skills_development: ['quality_education', 'decent_work'],
+  other: []
+};
+
+const toLocation = (location) => {
+  if (!location || !location.coordinates || location.coordinates.length !== 2) {
+    return undefined;
+  }
+
+  return {
+    type: 'Point',
+    coordinates: location.coordinates,
+    address: location.address
+  };
+};
+
+// Both sides of a completed resource handover
+const recordResourceCompleted = async (resource) => {
+  if (!resource.completedBy) return [];
+
+  const isService = resource.type === 'service';
+  const category = RESOURCE_IMPACT_CATEGORIES[resource.category] || 'other';
+  const common = {
+    relatedResource: resource._id,
+    quantitativeValue: isService ? 1 : resource.quantity || 1,
+    unit: isService ? 'sessions' : 'items',
+    category,
+    sdgGoals: CATEGORY_SDG_GOALS[category],
+    description: resource.title,
+    location: toLocation(resource.location),
+    startDate: resource.completedAt || new Date()
+  };
+
+  const given = await Impact.recordOnce(`${EVENTS.RESOURCE_COMPLETED}:${resource._id}:given`, {
+    ...common,
+    user: resource.owner,
+    organization: resource.organization,
+    relatedUser: resource.completedBy,
+    impactType: isService ? 'service_provided' : 'donation_given'
+  });
+
+  const received = await Impact.recordOnce(`${EVENTS.RESOURCE_COMPLETED}:${resource._id}:received`, {
+    ...common,
+    user: resource.completedBy,
+    relatedUser: resource.owner,
+    impactType: isService ? 'service_received' : 'donation_received'
+  });
+
+  // Counters move only when the ledger entry is new, and count donations only
+  if (given.created && !isService) {
+    await User.updateOne({ _id: resource.owner }, { $inc: { donationsGiven: 1 } });
+  }
+  if (received.created && !isService) {
+    await User.updateOne({ _id: resource.completedBy }, { $inc: { donationsReceived: 1 } });
+  }
+
+  return [given.impact, received.impact];
+};
+
+// A participant finishing a challenge
+const recordChallengeCompleted = async (challenge, participant) => {
+  const userId = participant.user._id || participant.user;
+  const category = (challenge.categories || [])
+    .map(c => CHALLENGE_IMPACT_CATEGORIES[c])
+    .find(Boolean) || 'community_building';
+
+  const { impact, created } = await Impact.recordOnce(
+    `${EVENTS.CHALLENGE_COMPLETED}:${challenge._id}:${userId}`,
+    {
+      user: userId,
+      organization: challenge.organization,
+      impactType: 'challenge_completed',
+      relatedChallenge: challenge._id,
+      quantitativeValue: 1,
+      unit: 'items',
+      category,
+      sdgGoals: CATEGORY_SDG_GOALS[category],
+      description: challenge.title,
+      location: toLocation(challenge.location),
+      startDate: participant.completedAt || new Date()
+    }
+  );
+
+  if (created) {
+    await User.updateOne(
+      { _id: userId, 'challengesCompleted.challenge': { $ne: challenge._id } },
+      {
+        $push: {
+          challengesCompleted: {
+            challenge: challenge._id,
+            completedAt: participant.completedAt || new Date()
+          }
+        }
+      }
+    );
+  }
+
+  return [impact];
+};
+
+// A volunteer shift at a drop-off point
+const recordVolunteerShift = async (dropOffPoint, shift) => {
+  const { impact, created } = await Impact.recordOnce(
+    `${EVENTS.VOLUNTEER_SHIFT_FINISHED}:${shift._id}`,
+    {
+      user: shift.user,
+      organization: dropOffPoint.organization,
+      impactType: 'volunteer_hours',
+      quantitativeValue: shift.hours,
+      unit: 'hours',
+      category: 'community_building',
+      sdgGoals: CATEGORY_SDG_GOALS.community_building,
+      description: `Volunteer shift at ${dropOffPoint.name}`,
+      location: toLocation(dropOffPoint.location),
+      startDate: shift.startedAt,
+      endDate: shift.endedAt
+    }
+  );
+
+  if (created) {
+    await User.updateOne({ _id: shift.user }, { $inc: { volunteersHours: shift.hours } });
+  }
+
+  return [impact];
+};
+
+// A donor leaving a resource at a drop-off point
+const recordDropOff = async (dropOffPoint, resource, donorId) => {
+  const category = RESOURCE_IMPACT_CATEGORIES[resource.category] || 'other';
+  const { impact } = await Impact.recordOnce(
+    `${EVENTS.DROPOFF_RECORDED}:${dropOffPoint._id}:${resource._id}`,
+    {
+      user: donorId,
+      organization: dropOffPoint.organization,
+      impactType: 'resource_shared',
+      relatedResource: resource._id,
+      quantitativeValue: resource.quantity || 1,
+      unit: 'items',
+      category,
+      sdgGoals: CATEGORY_SDG_GOALS[category],
+      description: `${resource.title} dropped off at ${dropOffPoint.name}`,
+      location: toLocation(dropOffPoint.location),
+      startDate: resource.droppedOffAt || new Date()
+    }
+  );
+
+  return [impact];
+};
+
+// Subscribe the ledger to platform events
+const registerImpactLedger = () => {
+  subscribe(EVENTS.RESOURCE_COMPLETED, ({ payload }) =>
+    recordResourceCompleted(payload.resource));
+
+  subscribe(EVENTS.CHALLENGE_COMPLETED, ({ payload }) =>
+    recordChallengeCompleted(payload.challenge, payload.participant));
+
+  subscribe(EVENTS.VOLUNTEER_SHIFT_FINISHED, ({ payload }) =>
+    recordVolunteerShift(payload.dropOffPoint, payload.shift));
+
+  subscribe(EVENTS.DROPOFF_RECORDED, ({ payload }) =>
+    recordDropOff(payload.dropOffPoint, payload.resource, payload.donor));
+};
+
+module.exports = {
+  RESOURCE_IMPACT_CATEGORIES,
+  CATEGORY_SDG_GOALS,
+  registerImpactLedger,
+  recordResourceCompleted,
+  recordChallengeCompleted,
+  recordVolunteerShift,
+  recordDropOff
+};
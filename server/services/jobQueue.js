@@ -0,0 +1,39 @@
+// In-process background work. Jobs run one at a time after the caller has
+// moved on, so fan-out (notifying many users, matching saved searches) does
+// not hold up a request or socket handler, and bursts do not run side by
+// side. Jobs are not persisted: work still queued when the process stops is
+// lost.
+
+const jobs = [];
+let running = false;
+
+const runJobs = async () => {
+  running = true;
+
+  while (jobs.length > 0) {
+    const { name, run } = jobs.shift();
+    try {
+      await run();
+    } catch (error) {
+      console.error(`Background job error (${name}):`, error);
+    }
+  }
+
+  running = false;
+};
+
+// Queue a job (an async function). Returns the number of jobs waiting.
+const enqueueJob = (name, run) => {
+  jobs.push({ name, run });
+
+  if (!running) {
+    running = true;
+    setImmediate(runJobs);
+  }
+
+  return jobs.length;
+};
+
+module.exports = {
+  enqueueJob
+};
@@ -0,0 +1,333 @@
+const { OpenAI } = require('openai');
+const ModerationCase = require('../models/ModerationCase');
+const Resource = require('../models/Resource');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const { revokeAllSessions } = require('./sessions');
+const { EVENTS, publish } = require('./events');
+
+// Words that often show up in spam and scam posts
+const FLAGGED_WORDS = ['spam', 'scam', 'fake', 'fraud'];
+
+const PHONE_REGEX = /\b\d{3}[-.]?\d{3}[-.]?\d{4}\b/;
+const EMAIL_REGEX = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/;
+
+const SEVERITY_PRIORITY = { low: 1, medium: 2, high: 3 };
+
+// Reports on one target before it jumps to the top of the queue
+const HIGH_PRIORITY_REPORTS = 3;
+
+// moderation.reason of content hidden by pre-screening until reviewed
+const HELD_REASON = 'Held for review';
+
+let openai = null;
+const getOpenAI = () => {
+  if (!openai && process.env.OPENAI_API_KEY) {
+    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openai;
+};
+
+// Keyword and personal-information rules
+const checkRules = (content) => {
+  const flags = [];
+  const lowercaseContent = content.toLowerCase();
+
+  FLAGGED_WORDS.forEach(word => {
+    if (lowercaseContent.includes(word)) {
+      flags.push({ type: 'inappropriate_language', severity: 'medium', match: word });
+    }
+  });
+
+  if (PHONE_REGEX.test(content)) {
+    flags.push({ type: 'personal_info', severity: 'low', match: 'phone_number' });
+  }
+
+  if (EMAIL_REGEX.test(content)) {
+    flags.push({ type: 'personal_info', severity: 'low', match: 'email_address' });
+  }
+
+  return flags;
+};
+
+// OpenAI moderation, when configured. Failures are logged and ignored.
+const checkWithAi = async (content) => {
+  const client = getOpenAI();
+  if (!client) return null;
+
+  try {
+    const moderation = await client.moderations.create({ input: content });
+    const result = moderation.results[0];
+
+    return result.flagged
+      ? { flagged: true, categories: result.categories, category_scores: result.category_scores }
+      : null;
+  } catch (error) {
+    console.error('OpenAI moderation error:', error);
+    return null;
+  }
+};
+
+// Check a piece of text. `priority` is 0 when nothing matched; content
+// flagged by the AI check (priority 3) is held until a moderator reviews it.
+const screenContent = async (content, { useAi = true } = {}) => {
+  const text = String(content || '');
+  const flags = checkRules(text);
+  const aiModeration = useAi && text.trim() ? await checkWithAi(text) : null;
+
+  const aiCategories = aiModeration
+    ? Object.keys(aiModeration.categories).filter(category => aiModeration.categories[category])
+    : [];
+  if (aiModeration) {
+    flags.push({ type: 'ai_flagged', severity: 'high', match: aiCategories.join(', ') });
+  }
+
+  const priority = Math.max(0, ...flags.map(flag => SEVERITY_PRIORITY[flag.severity]));
+
+  return {
+    flags,
+    aiModeration,
+    aiCategories,
+    priority,
+    held: priority >= SEVERITY_PRIORITY.high,
+    recommendation: flags.length > 0 ? 'review' : 'approve'
+  };
+};
+
+// Case targets
+const resourceTarget = (resource) => ({
+  targetType: 'resource',
+  resource: resource._id,
+  user: resource.owner._id || resource.owner,
+  snapshot: { title: resource.title, content: resource.description }
+});
+
+const messageTarget = (chat, message) => ({
+  targetType: 'message',
+  chat: chat._id,
+  message: message._id,
+  user: message.sender._id || message.sender,
+  snapshot: { content: message.content }
+});
+
+const userTarget = (user) => ({
+  targetType: 'user',
+  user: user._id,
+  snapshot: { title: user.username, content: user.bio }
+});
+
+// The open case for a target, or a new one
+const findOrCreateCase = async (target) => {
+  const query = {
+    targetType: target.targetType,
+    user: target.user,
+    status: { $in: ['open', 'in_review'] }
+  };
+  if (target.resource) query.resource = target.resource;
+  if (target.message) query.message = target.message;
+
+  return await ModerationCase.findOne(query) || new ModerationCase(target);
+};
+
+// Queue content that automatic screening flagged
+const queueScreening = async (target, screening) => {
+  if (screening.flags.length === 0) return null;
+
+  const moderationCase = await findOrCreateCase(target);
+  // Content screened again (e.g. an edit) replaces the snapshot under review
+  moderationCase.snapshot = target.snapshot;
+  moderationCase.screening = {
+    flags: screening.flags,
+    aiCategories: screening.aiCategories,
+    screenedAt: new Date()
+  };
+  moderationCase.priority = Math.max(moderationCase.priority, screening.priority);
+  await moderationCase.save();
+
+  return moderationCase;
+};
+
+// Add a user report to the target's case. Returns { case } or { status, error }.
+const fileReport = async (target, reporter, reason, details) => {
+  if (!ModerationCase.REPORT_REASONS.includes(reason)) {
+    return { status: 400, error: `Reason must be one of: ${ModerationCase.REPORT_REASONS.join(', ')}` };
+  }
+
+  if (target.user.toString() === reporter._id.toString()) {
+    return { status: 400, error: 'You cannot report yourself' };
+  }
+
+  const moderationCase = await findOrCreateCase(target);
+  if (moderationCase.hasReportFrom(reporter._id)) {
+    return { status: 409, error: 'You have already reported this' };
+  }
+
+  moderationCase.reports.push({ reporter: reporter._id, reason, details });
+  const reportPriority = moderationCase.reports.length >= HIGH_PRIORITY_REPORTS ? 3 : 2;
+  moderationCase.priority = Math.max(moderationCase.priority, reportPriority);
+  await moderationCase.save();
+
+  return { case: moderationCase };
+};
+
+// Hide or show the target content. With `onlyReason`, content is left alone
+// unless it is currently hidden for that reason.
+const setHidden = async (moderationCase, hidden, reason, { onlyReason } = {}) => {
+  const moderation = hidden ? { hidden: true, reason, hiddenAt: new Date() } : { hidden: false };
+  const skip = (current) => onlyReason && !(current && current.hidden && current.reason === onlyReason);
+
+  if (moderationCase.targetType === 'resource') {
+    const resource = await Resource.findById(moderationCase.resource);
+    if (!resource) return { status: 404, error: 'Resource no longer exists' };
+    if (skip(resource.moderation)) return {};
+    resource.moderation = moderation;
+    await resource.save();
+    await publish(EVENTS.RESOURCE_UPDATED, { resource });
+    return {};
+  }
+
+  if (moderationCase.targetType === 'message') {
+    const chat = await Chat.findById(moderationCase.chat);
+    const message = chat && chat.messages.id(moderationCase.message);
+    if (!message) return { status: 404, error: 'Message no longer exists' };
+    if (skip(message.moderation)) return {};
+    message.moderation = moderation;
+    await chat.save();
+    return {};
+  }
+
+  return { status: 400, error: 'Only resources and messages can be hidden' };
+};
+
+// Suspend (until a date, or open-ended) or ban a user and sign them out everywhere
+const suspendUser = async (user, moderator, { ban = false, reason, until, moderationAction } = {}) => {
+  user.accountStatus = ban ? 'banned' : 'suspended';
+  user.suspension = {
+    reason,
+    until: ban ? undefined : until,
+    by: moderator._id,
+    at: new Date(),
+    moderationAction
+  };
+  await user.save();
+
+  await revokeAllSessions(user._id, { reason: ban ? 'banned' : 'suspended' });
+};
+
+const liftSuspension = async (user) => {
+  user.accountStatus = 'active';
+  user.suspension = undefined;
+  await user.save();
+};
+
+// Apply a moderator action to the case target or its author.
+// Returns { action } or { status, error }.
+const applyAction = async (moderationCase, moderator, { action, reason, expiresAt }) => {
+  if (!ModerationCase.MODERATION_ACTIONS.includes(action)) {
+    return { status: 400, error: `Action must be one of: ${ModerationCase.MODERATION_ACTIONS.join(', ')}` };
+  }
+
+  if (moderationCase.user.toString() === moderator._id.toString()) {
+    return { status: 403, error: 'You cannot moderate your own content' };
+  }
+
+  moderationCase.actions.push({ action, moderator: moderator._id, reason, expiresAt });
+  const entry = moderationCase.actions[moderationCase.actions.length - 1];
+
+  if (action === 'hide') {
+    const result = await setHidden(moderationCase, true, reason);
+    if (result.error) return result;
+  } else {
+    const user = await User.findById(moderationCase.user);
+    if (!user) return { status: 404, error: 'User no longer exists' };
+
+    if (action === 'warn') {
+      user.warnings.push({ reason, by: moderator._id, moderationAction: entry._id });
+      await user.save();
+    } else {
+      await suspendUser(user, moderator, {
+        ban: action === 'ban',
+        reason,
+        until: expiresAt,
+        moderationAction: entry._id
+      });
+    }
+  }
+
+  moderationCase.status = 'actioned';
+  moderationCase.resolvedAt = new Date();
+  moderationCase.resolvedBy = moderator._id;
+  await moderationCase.save();
+
+  await publish(EVENTS.MODERATION_ACTION, { moderationCase, action: entry });
+
+  return { action: entry };
+};
+
+// Undo an earlier action. The record is kept, marked as reversed.
+const reverseAction = async (moderationCase, actionId, moderator, reason) => {
+  const entry = moderationCase.actions.id(actionId);
+  if (!entry) {
+    return { status: 404, error: 'Action not found' };
+  }
+
+  if (entry.reversedAt) {
+    return { status: 409, error: 'This action has already been reversed' };
+  }
+
+  if (entry.action === 'hide') {
+    const result = await setHidden(moderationCase, false);
+    if (result.error) return result;
+  } else {
+    const user = await User.findById(moderationCase.user);
+    if (user) {
+      if (entry.action === 'warn') {
+        user.warnings = user.warnings.filter(warning =>
+          !warning.moderationAction || !warning.moderationAction.equals(entry._id));
+        await user.save();
+      } else if (user.suspension && user.suspension.moderationAction &&
+                 user.suspension.moderationAction.equals(entry._id)) {
+        // Only lift the suspension if a later action has not replaced it
+        await liftSuspension(user);
+      }
+    }
+  }
+
+  entry.reversedAt = new Date();
+  entry.reversedBy = moderator._id;
+  entry.reverseReason = reason;
+  await moderationCase.save();
+
+  return { action: entry };
+};
+
+// Close a case without action. Content this case's pre-screening held is
+// released; content hidden by a moderator (here or in an earlier case) stays
+// hidden.
+const dismissCase = async (moderationCase, moderator) => {
+  const hiddenByModerator = moderationCase.actions.some(entry => entry.action === 'hide' && !entry.reversedAt);
+  const screened = !!(moderationCase.screening && moderationCase.screening.screenedAt);
+  if (moderationCase.targetType !== 'user' && screened && !hiddenByModerator) {
+    await setHidden(moderationCase, false, undefined, { onlyReason: HELD_REASON });
+  }
+
+  moderationCase.status = 'dismissed';
+  moderationCase.resolvedAt = new Date();
+  moderationCase.resolvedBy = moderator._id;
+  await moderationCase.save();
+};
+
+module.exports = {
+  HELD_REASON,
+  screenContent,
+  resourceTarget,
+  messageTarget,
+  userTarget,
+  queueScreening,
+  fileReport,
+  suspendUser,
+  liftSuspension,
+  applyAction,
+  reverseAction,
+  dismissCase
+};
@@ -0,0 +1,75 @@
+// Per-event notification channels.
+// Each notification type maps every channel to a mode: 'instant', 'off' or,
+// for email only, 'digest' (batched into one email). Users override single
+// cells (User.notificationPreferences.events); the global switches in
+// User.notificationPreferences still turn a whole channel off.
+
+const CHANNELS = ['inApp', 'push', 'email', 'sms'];
+const MODES = ['instant', 'digest', 'off'];
+
+const DEFAULT_MATRIX = {
+  new_message: { inApp: 'instant', push: 'instant', email: 'off', sms: 'off' },
+  resource_notification: { inApp: 'instant', push: 'instant', email: 'digest', sms: 'off' },
+  reservation: { inApp: 'instant', push: 'instant', email: 'instant', sms: 'instant' },
+  challenge_invitation: { inApp: 'instant', push: 'instant', email: 'digest', sms: 'off' },
+  hero_nomination: { inApp: 'instant', push: 'instant', email: 'instant', sms: 'off' },
+  emergency_alert: { inApp: 'instant', push: 'instant', email: 'off', sms: 'instant' },
+  need_prediction: { inApp: 'instant', push: 'instant', email: 'off', sms: 'instant' },
+  saved_search: { inApp: 'instant', push: 'instant', email: 'digest', sms: 'off' }
+};
+
+const EVENT_TYPES = Object.keys(DEFAULT_MATRIX);
+
+// Merge a user's overrides (a Map or plain object) into the defaults
+const resolveMatrix = (overrides) => {
+  const entries = overrides instanceof Map ? Object.fromEntries(overrides) : (overrides || {});
+  const matrix = {};
+
+  EVENT_TYPES.forEach(type => {
+    const override = entries[type] || {};
+    matrix[type] = {};
+    CHANNELS.forEach(channel => {
+      matrix[type][channel] = override[channel] || DEFAULT_MATRIX[type][channel];
+    });
+  });
+
+  return matrix;
+};
+
+// Check a matrix update. Returns an error message, or null if it is valid.
+const validateMatrix = (matrix) => {
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    return 'events must be an object';
+  }
+
+  for (const [type, channels] of Object.entries(matrix)) {
+    if (!EVENT_TYPES.includes(type)) {
+      return `Unknown notification type: ${type}`;
+    }
+    if (!channels || typeof channels !== 'object') {
+      return `Channels for ${type} must be an object`;
+    }
+    for (const [channel, mode] of Object.entries(channels)) {
+      if (!CHANNELS.includes(channel)) {
+        return `Unknown channel: ${channel}`;
+      }
+      if (!MODES.includes(mode)) {
+        return `Invalid mode for ${type}.${channel}: ${mode}`;
+      }
+      if (mode === 'digest' && channel !== 'email') {
+        return 'Only email can be delivered as a digest';
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  CHANNELS,
+  MODES,
+  DEFAULT_MATRIX,
+  EVENT_TYPES,
+  resolveMatrix,
+  validateMatrix
+};
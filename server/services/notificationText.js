@@ -0,0 +1,176 @@
+const { SUPPORTED_LANGUAGES, interpolate } = require('./email/templates');
+
+// Localized notification titles and messages. Strings may contain
+// {{name}} placeholders filled from the notification's params; Date params
+// are formatted in the user's language and time zone.
+const TEXT = {
+  new_message: {
+    en: { title: 'New message from {{sender}}', message: '{{preview}}' },
+    sw: { title: 'Ujumbe mpya kutoka kwa {{sender}}', message: '{{preview}}' },
+    fr: { title: 'Nouveau message de {{sender}}', message: '{{preview}}' },
+    ar: { title: 'رسالة جديدة من {{sender}}', message: '{{preview}}' }
+  },
+  resource_interest_available: {
+    en: { title: '{{category}} available', message: '{{title}} you were interested in is now available' },
+    sw: { title: '{{category}} inapatikana', message: 'Ulichokipenda, {{title}}, sasa kinapatikana' },
+    fr: { title: '{{category}} disponible', message: '{{title}}, qui vous intéressait, est maintenant disponible' },
+    ar: { title: '{{category}} متاح', message: '{{title}} الذي اهتممت به متاح الآن' }
+  },
+  challenge_invitation: {
+    en: { title: 'Invitation to join challenge', message: '{{inviter}} invited you to join "{{challenge}}"' },
+    sw: { title: 'Mwaliko wa kujiunga na changamoto', message: '{{inviter}} amekualika kujiunga na "{{challenge}}"' },
+    fr: { title: 'Invitation à rejoindre un défi', message: '{{inviter}} vous invite à rejoindre « {{challenge}} »' },
+    ar: { title: 'دعوة للانضمام إلى تحدٍ', message: 'دعاك {{inviter}} للانضمام إلى "{{challenge}}"' }
+  },
+  hero_nomination: {
+    en: { title: 'Local Hero Nomination!', message: "You've been nominated as a local hero!" },
+    sw: { title: 'Uteuzi wa Shujaa wa Mtaa!', message: 'Umeteuliwa kuwa shujaa wa mtaa!' },
+    fr: { title: 'Nomination de héros local !', message: 'Vous avez été nommé héros local !' },
+    ar: { title: 'ترشيح بطل محلي!', message: 'لقد تم ترشيحك كبطل محلي!' }
+  },
+  emergency_alert: {
+    en: { title: 'EMERGENCY: {{title}}', message: '{{message}}' },
+    sw: { title: 'DHARURA: {{title}}', message: '{{message}}' },
+    fr: { title: 'URGENCE : {{title}}', message: '{{message}}' },
+    ar: { title: 'طوارئ: {{title}}', message: '{{message}}' }
+  },
+  need_prediction: {
+    en: { title: 'Critical need expected', message: 'Critical need for {{category}} expected near you.' },
+    sw: { title: 'Uhitaji mkubwa unatarajiwa', message: 'Uhitaji mkubwa wa {{category}} unatarajiwa karibu nawe.' },
+    fr: { title: 'Besoin critique prévu', message: 'Un besoin critique de {{category}} est prévu près de chez vous.' },
+    ar: { title: 'حاجة حرجة متوقعة', message: 'من المتوقع حاجة حرجة إلى {{category}} بالقرب منك.' }
+  },
+  need_prediction_increase: {
+    en: { title: 'Need expected near you', message: 'Increased demand for {{category}} is expected near you.' },
+    sw: { title: 'Uhitaji unatarajiwa karibu nawe', message: 'Mahitaji ya {{category}} yanatarajiwa kuongezeka karibu nawe.' },
+    fr: { title: 'Besoin prévu près de chez vous', message: 'Une hausse de la demande de {{category}} est prévue près de chez vous.' },
+    ar: { title: 'حاجة متوقعة بالقرب منك', message: 'من المتوقع زيادة الطلب على {{category}} بالقرب منك.' }
+  },
+  saved_search_match: {
+    en: { title: 'New match for "{{search}}"', message: '{{title}} matches your saved search.' },
+    sw: { title: 'Kinacholingana na "{{search}}"', message: '{{title}} kinalingana na utafutaji wako uliohifadhiwa.' },
+    fr: { title: 'Nouveau résultat pour « {{search}} »', message: '{{title}} correspond à votre recherche enregistrée.' },
+    ar: { title: 'نتيجة جديدة لـ "{{search}}"', message: '{{title}} يطابق بحثك المحفوظ.' }
+  },
+  saved_search_matches: {
+    en: { title: '{{count}} new matches for "{{search}}"', message: 'Latest: {{title}}' },
+    sw: { title: 'Vinavyolingana vipya {{count}} kwa "{{search}}"', message: 'Cha karibuni: {{title}}' },
+    fr: { title: '{{count}} nouveaux résultats pour « {{search}} »', message: 'Le plus récent : {{title}}' },
+    ar: { title: '{{count}} نتائج جديدة لـ "{{search}}"', message: 'الأحدث: {{title}}' }
+  },
+  reservation_reserved: {
+    en: {
+      title: 'Reserved for you',
+      message: '"{{title}}" has been reserved for you.',
+      deadline: 'Pick it up before {{expiresAt}}.'
+    },
+    sw: {
+      title: 'Imehifadhiwa kwa ajili yako',
+      message: '"{{title}}" imehifadhiwa kwa ajili yako.',
+      deadline: 'Ichukue kabla ya {{expiresAt}}.'
+    },
+    fr: {
+      title: 'Réservé pour vous',
+      message: '« {{title}} » a été réservé pour vous.',
+      deadline: 'Récupérez-le avant le {{expiresAt}}.'
+    },
+    ar: {
+      title: 'محجوز لك',
+      message: 'تم حجز "{{title}}" لك.',
+      deadline: 'استلمه قبل {{expiresAt}}.'
+    }
+  },
+  reservation_released: {
+    en: {
+      title: 'Reservation released',
+      message: 'Your reservation for "{{title}}" was released.',
+      reasonMessage: 'Your reservation for "{{title}}" was released because {{reason}}.',
+      reasons: {
+        reservation_expired: 'the pickup window expired',
+        released_by_owner: 'the owner released it',
+        released_by_receiver: 'you released it',
+        resource_cancelled: 'the owner cancelled the listing'
+      }
+    },
+    sw: {
+      title: 'Uhifadhi umeondolewa',
+      message: 'Uhifadhi wako wa "{{title}}" umeondolewa.',
+      reasonMessage: 'Uhifadhi wako wa "{{title}}" umeondolewa kwa sababu {{reason}}.',
+      reasons: {
+        reservation_expired: 'muda wa kuchukua uliisha',
+        released_by_owner: 'mmiliki aliuondoa',
+        released_by_receiver: 'uliuondoa',
+        resource_cancelled: 'mmiliki alifuta tangazo'
+      }
+    },
+    fr: {
+      title: 'Réservation libérée',
+      message: 'Votre réservation pour « {{title}} » a été libérée.',
+      reasonMessage: 'Votre réservation pour « {{title}} » a été libérée car {{reason}}.',
+      reasons: {
+        reservation_expired: 'le délai de retrait a expiré',
+        released_by_owner: 'le propriétaire l’a libérée',
+        released_by_receiver: 'vous l’avez libérée',
+        resource_cancelled: 'le propriétaire a retiré l’annonce'
+      }
+    },
+    ar: {
+      title: 'تم إلغاء الحجز',
+      message: 'تم إلغاء حجزك لـ "{{title}}".',
+      reasonMessage: 'تم إلغاء حجزك لـ "{{title}}" لأن {{reason}}.',
+      reasons: {
+        reservation_expired: 'انتهت مهلة الاستلام',
+        released_by_owner: 'ألغاه المالك',
+        released_by_receiver: 'ألغيته أنت',
+        resource_cancelled: 'ألغى المالك الإعلان'
+      }
+    }
+  },
+  reservation_expired_owner: {
+    en: { title: 'Reservation expired', message: 'The reservation for "{{title}}" expired. It is available again.' },
+    sw: { title: 'Uhifadhi umeisha', message: 'Uhifadhi wa "{{title}}" umeisha. Kinapatikana tena.' },
+    fr: { title: 'Réservation expirée', message: 'La réservation pour « {{title}} » a expiré. Il est de nouveau disponible.' },
+    ar: { title: 'انتهى الحجز', message: 'انتهى حجز "{{title}}". أصبح متاحاً مرة أخرى.' }
+  }
+};
+
+const formatDate = (date, language, timezone) => {
+  try {
+    return new Intl.DateTimeFormat(language, {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: timezone || 'UTC'
+    }).format(date);
+  } catch (error) {
+    return date.toUTCString();
+  }
+};
+
+// Render { title, message } for a text key in the user's language, falling
+// back to English. Returns null for unknown keys.
+const renderNotificationText = (key, language, params = {}, { timezone } = {}) => {
+  const text = TEXT[key];
+  if (!text) return null;
+
+  const lang = SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+  const strings = text[lang];
+
+  const data = {};
+  Object.entries(params).forEach(([name, value]) => {
+    data[name] = value instanceof Date ? formatDate(value, lang, timezone) : value;
+  });
+
+  let message = interpolate(strings.message, data);
+  if (strings.reasons && strings.reasons[params.reason]) {
+    message = interpolate(strings.reasonMessage, { ...data, reason: strings.reasons[params.reason] });
+  }
+  if (strings.deadline && params.expiresAt) {
+    message = `${message} ${interpolate(strings.deadline, data)}`;
+  }
+
+  return { title: interpolate(strings.title, data), message };
+};
+
+module.exports = {
+  renderNotificationText
+};
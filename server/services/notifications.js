@@ -0,0 +1,473 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AlertArea = require('../models/AlertArea');
+const SavedSearch = require('../models/SavedSearch');
+const { sendSms } = require('./sms');
+const { sendPush } = require('./push');
+const { sendNotificationEmail, sendNotificationDigestEmail } = require('./email');
+const { renderNotificationText } = require('./notificationText');
+const { EVENTS, subscribe } = require('./events');
+
+// Every notification goes through notifyUsers: it is stored in the user's
+// inbox, sent to their connected clients, and fanned out to push, email and
+// SMS according to their per-event channel choices (User.getChannelMode),
+// quiet hours and language.
+
+// Socket.io server, set by registerNotifications
+let io = null;
+
+// Failed sends are retried after these delays (minutes), up to MAX_ATTEMPTS
+const RETRY_MINUTES = [1, 5, 15, 60];
+const MAX_ATTEMPTS = 5;
+const DUE_BATCH_SIZE = 200;
+
+// Digest emails go out at this local hour, or sooner once an item has
+// waited DIGEST_MAX_WAIT_HOURS
+const DIGEST_HOUR = 18;
+const DIGEST_MAX_WAIT_HOURS = 24;
+
+// Push messages are cut to this length and dropped by the push service
+// if the browser stays unreachable for PUSH_TTL_SECONDS
+const PUSH_BODY_LENGTH = 300;
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Radius of alerts sent without one, in meters
+const ALERT_RADIUS = 10000;
+
+const RECIPIENT_FIELDS = 'firstName username email phoneNumber preferredLanguage accessibilityNeeds ' +
+  'notificationPreferences quietHours timezone isOnline';
+
+const userRoom = (userId) => `notifications:${userId}`;
+
+// Push the unread badge count to a user's connected clients
+const emitUnreadCount = async (userId) => {
+  if (!io) return;
+  const count = await Notification.countUnread(userId);
+  io.to(userRoom(userId)).emit('unread_count', { count });
+};
+
+// Presentation hints for clients, from the user's accessibility needs
+const accessibilityHints = (user) => {
+  const needs = user.accessibilityNeeds || {};
+  return {
+    screenReader: !!needs.visualImpairment,
+    visualAlert: !!needs.hearingImpairment,
+    simpleLanguage: !!needs.cognitiveImpairment
+  };
+};
+
+// Title and message in the user's language. Notifications with a textKey
+// are rendered from services/notificationText; others are sent as given.
+const localize = (user, { textKey, params, title, message }) => {
+  if (!textKey) return { title, message };
+  return renderNotificationText(textKey, user.preferredLanguage, params, { timezone: user.timezone });
+};
+
+const localHour = (date, timezone) => {
+  try {
+    return parseInt(new Intl.DateTimeFormat('en-GB', {
+      hour: '2-digit',
+      hourCycle: 'h23',
+      timeZone: timezone || 'UTC'
+    }).format(date));
+  } catch (error) {
+    return date.getUTCHours();
+  }
+};
+
+// Plan the push, email and SMS sends for one user. Push is skipped when the
+// user is connected and sees the notification in the app; push and SMS wait
+// for quiet hours to end unless the notification is critical.
+const planDeliveries = (user, notification, now) => {
+  const quietUntil = notification.priority === 'critical' ? null : user.getQuietHoursEnd(now);
+  const seesInApp = user.isOnline && user.getChannelMode(notification.type, 'inApp') === 'instant';
+
+  return Notification.DELIVERY_CHANNELS.reduce((deliveries, channel) => {
+    const mode = user.getChannelMode(notification.type, channel);
+
+    if (mode === 'off' || (channel === 'push' && seesInApp)) {
+      return deliveries;
+    }
+
+    if (mode === 'digest') {
+      deliveries.push({ channel, status: 'digest' });
+    } else if (quietUntil && channel !== 'email') {
+      deliveries.push({ channel, status: 'deferred', nextAttemptAt: quietUntil });
+    } else {
+      deliveries.push({ channel, status: 'pending', nextAttemptAt: now });
+    }
+    return deliveries;
+  }, []);
+};
+
+const FINISHED_STATUSES = ['sent', 'failed', 'skipped'];
+
+// Store one user's notification, merging it into an unread one with the same
+// groupKey. Sends still waiting on the merged notification pick up its new
+// content; finished ones are planned again.
+const saveNotification = async (userId, fields, deliveries, { read = false } = {}) => {
+  const expiresAt = Notification.expiresAtFor(fields.type);
+
+  if (fields.groupKey && !read) {
+    const existing = await Notification.findOne({ user: userId, groupKey: fields.groupKey, readAt: null });
+    if (existing) {
+      Object.assign(existing, fields, { latestAt: new Date(), expiresAt });
+      existing.count += 1;
+
+      deliveries.forEach(delivery => {
+        const index = existing.deliveries.findIndex(d => d.channel === delivery.channel);
+        if (index === -1) {
+          existing.deliveries.push(delivery);
+        } else if (FINISHED_STATUSES.includes(existing.deliveries[index].status)) {
+          existing.deliveries.splice(index, 1, delivery);
+        }
+      });
+
+      return existing.save();
+    }
+  }
+
+  const stored = await Notification.create({ ...fields, user: userId, expiresAt, deliveries });
+
+  // In-app turned off: keep the entry for history without counting it as unread
+  return read ? stored.markRead() : stored;
+};
+
+const smsText = (notification) => (notification.message
+  ? `${notification.title}: ${notification.message}`
+  : notification.title);
+
+const truncate = (text, length) => {
+  const value = text || '';
+  return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+};
+
+// Channel senders. Each throws when the provider fails; returning 0 means
+// there was nowhere to deliver (e.g. no browser subscribed to push).
+const CHANNEL_SENDERS = {
+  // The service worker shows the notification and opens `url` when clicked
+  // (client/worker/index.js)
+  push: (user, notification) => sendPush(user._id, {
+    notificationId: notification._id,
+    type: notification.type,
+    title: notification.title,
+    body: truncate(notification.message, PUSH_BODY_LENGTH),
+    url: notification.link || '/notifications',
+    tag: notification.groupKey || notification._id.toString(),
+    count: notification.count,
+    priority: notification.priority,
+    accessibility: accessibilityHints(user)
+  }, {
+    ttl: PUSH_TTL_SECONDS,
+    urgency: notification.priority === 'normal' ? 'normal' : 'high'
+  }),
+  email: (user, notification) => sendNotificationEmail(user, notification),
+  sms: (user, notification) => sendSms(user.phoneNumber, smsText(notification))
+};
+
+// Send the notification's pending and deferred deliveries that are due,
+// re-checking preferences and quiet hours, and schedule retries for failures
+const attemptDeliveries = async (notification, user, now = new Date()) => {
+  let changed = false;
+
+  for (const delivery of notification.deliveries) {
+    if (!['pending', 'deferred'].includes(delivery.status)) continue;
+    if (delivery.nextAttemptAt && delivery.nextAttemptAt > now) continue;
+    changed = true;
+
+    // Preferences may have changed since the send was planned, and a push
+    // is pointless once the notification has been read
+    if (user.getChannelMode(notification.type, delivery.channel) === 'off' ||
+        (delivery.channel === 'push' && notification.readAt)) {
+      delivery.status = 'skipped';
+      delivery.nextAttemptAt = undefined;
+      continue;
+    }
+
+    const quietUntil = notification.priority !== 'critical' && delivery.channel !== 'email' &&
+      user.getQuietHoursEnd(now);
+    if (quietUntil) {
+      delivery.status = 'deferred';
+      delivery.nextAttemptAt = quietUntil;
+      continue;
+    }
+
+    delivery.attempts += 1;
+    try {
+      const result = await CHANNEL_SENDERS[delivery.channel](user, notification);
+      delivery.status = result === 0 ? 'skipped' : 'sent';
+      delivery.sentAt = result === 0 ? undefined : new Date();
+      delivery.nextAttemptAt = undefined;
+    } catch (error) {
+      console.error(`Notification ${delivery.channel} error (${user._id}):`, error);
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+      } else {
+        const delay = RETRY_MINUTES[Math.min(delivery.attempts, RETRY_MINUTES.length) - 1];
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(now.getTime() + delay * 60000);
+      }
+    }
+  }
+
+  if (changed) await notification.save();
+  return notification;
+};
+
+// Notify users of something. `notification` holds the inbox fields (type,
+// title, message, data, link, priority, groupKey), or a textKey and params
+// to render the title and message in each user's language.
+// Connected clients receive `event` (the type by default; null to only
+// update the badge) with `payload` as the body, plus the stored
+// notification's id and accessibility hints.
+const notifyUsers = async (userIds, notification, { event = notification.type, payload } = {}) => {
+  const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return [];
+
+  const { textKey, params, ...fields } = notification;
+  const users = await User.find({ _id: { $in: ids } }).select(RECIPIENT_FIELDS);
+  const saved = [];
+
+  for (const user of users) {
+    try {
+      const now = new Date();
+      const text = localize(user, notification);
+      const inApp = user.getChannelMode(fields.type, 'inApp') === 'instant';
+
+      const stored = await saveNotification(
+        user._id,
+        { ...fields, ...text },
+        planDeliveries(user, fields, now),
+        { read: !inApp }
+      );
+      saved.push(stored);
+
+      if (io && event && inApp) {
+        io.to(userRoom(user._id)).emit(event, {
+          ...(payload || stored.toObject()),
+          ...(textKey && text),
+          notificationId: stored._id,
+          accessibility: accessibilityHints(user)
+        });
+      }
+      await emitUnreadCount(user._id);
+
+      await attemptDeliveries(stored, user, now);
+    } catch (error) {
+      console.error(`Notification error (${user._id}):`, error);
+    }
+  }
+
+  return saved;
+};
+
+// Notify the other participants of a chat about a new message, one inbox
+// entry per chat. Participants who muted the sender are skipped. Open chats
+// already receive the message itself, so only the badge is updated.
+const notifyChatMessage = async (chat, sender, message) => {
+  const participants = await User.find({
+    _id: { $in: chat.participants.map(p => p.user).filter(id => !id.equals(sender._id)) }
+  }).select('mutedUsers');
+
+  const recipients = participants.filter(user => !user.hasMuted(sender._id));
+
+  await notifyUsers(recipients.map(user => user._id), {
+    type: 'new_message',
+    textKey: 'new_message',
+    params: {
+      sender: sender.username,
+      preview: message.content || `${message.messageType} message`
+    },
+    data: { chatId: chat._id, messageId: message._id, senderId: sender._id },
+    link: `/chat/${chat._id}`,
+    groupKey: `chat:${chat._id}`
+  }, { event: null });
+};
+
+// Ids of users with a socket in any of the rooms, or of every connected
+// user without rooms
+const getUsersInRooms = async (rooms) => {
+  if (!io || (rooms && rooms.length === 0)) return [];
+  const sockets = await (rooms ? io.in(rooms) : io).fetchSockets();
+  return sockets.map(socket => socket.data.userId).filter(Boolean);
+};
+
+// Ids of users living near a point
+const findNearbyUserIds = async (coordinates, radius) => {
+  const users = await User.find({
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: radius
+      }
+    }
+  }).select('_id');
+
+  return users.map(user => user._id.toString());
+};
+
+// Ids of users an alert around a point should reach, connected or not:
+// everyone whose saved alert area overlaps it, with `residents` users whose
+// home location is inside it, and with `category` users whose notifying
+// saved search in that category covers part of it
+const findAlertRecipientIds = async (coordinates, radius = ALERT_RADIUS, { residents = true, category } = {}) => {
+  if (!coordinates) return [];
+
+  const alertRadius = Math.min(Math.max(Number(radius) || ALERT_RADIUS, AlertArea.MIN_RADIUS), AlertArea.MAX_RADIUS);
+  const [subscribed, nearby, searching] = await Promise.all([
+    AlertArea.findUserIdsIntersecting(coordinates, alertRadius),
+    residents ? findNearbyUserIds(coordinates, alertRadius) : [],
+    category ? SavedSearch.findUserIdsIntersecting(coordinates, alertRadius, { notify: true, category }) : []
+  ]);
+
+  return [...new Set([...subscribed, ...nearby, ...searching])];
+};
+
+const idOf = (value) => (value && value._id) || value;
+
+const notifyReservation = (resource) => {
+  return notifyUsers([idOf(resource.reservedBy)], {
+    type: 'reservation',
+    textKey: 'reservation_reserved',
+    params: { title: resource.title, expiresAt: resource.reservationExpiresAt },
+    data: { resourceId: resource._id },
+    link: `/resources/${resource._id}`,
+    priority: 'high'
+  });
+};
+
+const notifyRelease = async (resource, receiverId, reason) => {
+  if (!receiverId) return;
+
+  const base = {
+    type: 'reservation',
+    data: { resourceId: resource._id, reason },
+    link: `/resources/${resource._id}`
+  };
+
+  await notifyUsers([idOf(receiverId)], {
+    ...base,
+    textKey: 'reservation_released',
+    params: { title: resource.title, reason }
+  });
+
+  if (reason === 'reservation_expired') {
+    await notifyUsers([idOf(resource.owner)], {
+      ...base,
+      textKey: 'reservation_expired_owner',
+      params: { title: resource.title }
+    });
+  }
+};
+
+// Retry failed sends and release sends held for quiet hours. Returns the
+// number of notifications processed.
+const processDueDeliveries = async (now = new Date()) => {
+  const notifications = await Notification.find({
+    deliveries: {
+      $elemMatch: {
+        status: { $in: ['pending', 'deferred'] },
+        nextAttemptAt: { $lte: now }
+      }
+    }
+  }).limit(DUE_BATCH_SIZE);
+
+  const users = await User.find({ _id: { $in: notifications.map(n => n.user) } }).select(RECIPIENT_FIELDS);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const notification of notifications) {
+    try {
+      const user = usersById.get(notification.user.toString());
+      if (user) {
+        await attemptDeliveries(notification, user, now);
+        continue;
+      }
+
+      // The user is gone; nothing left to send
+      notification.deliveries.forEach(delivery => {
+        if (['pending', 'deferred'].includes(delivery.status)) delivery.status = 'skipped';
+      });
+      await notification.save();
+    } catch (error) {
+      console.error(`Notification delivery error (${notification._id}):`, error);
+    }
+  }
+
+  return notifications.length;
+};
+
+const setDigestStatus = (notificationIds, status, now) => {
+  if (notificationIds.length === 0) return null;
+
+  return Notification.updateMany(
+    { _id: { $in: notificationIds } },
+    { $set: { 'deliveries.$[delivery].status': status, 'deliveries.$[delivery].sentAt': now } },
+    { arrayFilters: [{ 'delivery.channel': 'email', 'delivery.status': 'digest' }] }
+  );
+};
+
+// Email each user their batched notifications once the digest is due.
+// Items read in the meantime are left out. Returns the number of emails sent.
+const sendNotificationDigests = async (now = new Date()) => {
+  const pendingDigest = { deliveries: { $elemMatch: { channel: 'email', status: 'digest' } } };
+  const userIds = await Notification.distinct('user', pendingDigest);
+  let sent = 0;
+
+  for (const userId of userIds) {
+    try {
+      const [user, notifications] = await Promise.all([
+        User.findById(userId).select(RECIPIENT_FIELDS),
+        Notification.find({ ...pendingDigest, user: userId }).sort({ createdAt: 1 })
+      ]);
+      if (notifications.length === 0) continue;
+
+      const waitedTooLong = now - notifications[0].createdAt >= DIGEST_MAX_WAIT_HOURS * 60 * 60 * 1000;
+      if (user && localHour(now, user.timezone) !== DIGEST_HOUR && !waitedTooLong) continue;
+
+      const emailOn = user && user.notificationPreferences.email !== false;
+      const items = emailOn ? notifications.filter(notification => !notification.readAt) : [];
+
+      if (items.length > 0) {
+        await sendNotificationDigestEmail(user, items);
+        sent += 1;
+      }
+
+      const included = items.map(item => item._id.toString());
+      await setDigestStatus(items.map(item => item._id), 'sent', now);
+      await setDigestStatus(
+        notifications.filter(notification => !included.includes(notification._id.toString())).map(n => n._id),
+        'skipped',
+        now
+      );
+    } catch (error) {
+      console.error(`Notification digest error (${userId}):`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Attach the socket server and subscribe to platform events
+const registerNotifications = (socketServer) => {
+  io = socketServer;
+
+  subscribe(EVENTS.RESOURCE_RESERVED, ({ payload }) =>
+    notifyReservation(payload.resource));
+
+  subscribe(EVENTS.RESOURCE_RELEASED, ({ payload }) =>
+    notifyRelease(payload.resource, payload.receiver, payload.reason));
+};
+
+module.exports = {
+  notifyUsers,
+  notifyChatMessage,
+  emitUnreadCount,
+  getUsersInRooms,
+  findAlertRecipientIds,
+  processDueDeliveries,
+  sendNotificationDigests,
+  registerNotifications
+};
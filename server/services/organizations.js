@@ -0,0 +1,112 @@
+const Impact = require('../models/Impact');
+const Resource = require('../models/Resource');
+const DropOffPoint = require('../models/DropOffPoint');
+const Challenge = require('../models/Challenge');
+const Organization = require('../models/Organization');
+const { PERMISSIONS } = require('./permissions');
+const { getOrganizationReport } = require('./impactAnalytics');
+
+// Check that a user may create something on behalf of an organization.
+// Returns { organization } or { status, error }.
+const resolveActingOrganization = async (user, organizationId, permission = PERMISSIONS.ORGANIZATIONS_ACT) => {
+  const organization = await Organization.findById(organizationId).catch(() => null);
+  if (!organization) {
+    return { status: 404, error: 'Organization not found' };
+  }
+
+  if (!user.can(permission, { organization: organization._id })) {
+    return { status: 403, error: 'You cannot act on behalf of this organization' };
+  }
+
+  if (!organization.isVerified()) {
+    return { status: 403, error: 'Organization must be verified first' };
+  }
+
+  return { organization };
+};
+
+const toMap = (rows) => new Map(rows.map(row => [row.key ? row.key.toString() : String(row._id), row]));
+
+// Activity of each member on behalf of the organization within a range
+const getMemberActivity = async (organization, range) => {
+  const match = { organization: organization._id };
+  const createdAt = {};
+  if (range.startDate) createdAt.$gte = range.startDate;
+  if (range.endDate) createdAt.$lte = range.endDate;
+
+  const [members, impactRows, volunteerRows, resourceRows] = await Promise.all([
+    organization.getMembers(),
+    Impact.getCommunityImpact(range, { includePrivate: true, match, groupBy: 'user' }),
+    Impact.getCommunityImpact(range, {
+      includePrivate: true,
+      match: { ...match, impactType: 'volunteer_hours' },
+      groupBy: 'user'
+    }),
+    Resource.aggregate([
+      { $match: { ...match, ...(Object.keys(createdAt).length > 0 ? { createdAt } : {}) } },
+      {
+        $group: {
+          _id: '$owner',
+          posted: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const impactByUser = toMap(impactRows);
+  const hoursByUser = toMap(volunteerRows);
+  const resourcesByUser = toMap(resourceRows);
+
+  return members.map(member => {
+    const id = member.user._id.toString();
+    const impact = impactByUser.get(id);
+    const resources = resourcesByUser.get(id);
+
+    return {
+      ...member,
+      impactCount: impact ? impact.count : 0,
+      volunteerHours: hoursByUser.has(id) ? hoursByUser.get(id).totalQuantity : 0,
+      resourcesPosted: resources ? resources.posted : 0,
+      resourcesCompleted: resources ? resources.completed : 0
+    };
+  }).sort((a, b) => b.impactCount - a.impactCount);
+};
+
+// Everything shown on an org admin's dashboard
+const getDashboard = async (organization, range, groupBy) => {
+  const [impact, members, resourcesByStatus, dropOffPoints, activeChallenges] = await Promise.all([
+    getOrganizationReport(organization._id, range, groupBy, { includePrivate: true }),
+    getMemberActivity(organization, range),
+    Resource.aggregate([
+      { $match: { organization: organization._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    DropOffPoint.countDocuments({ organization: organization._id }),
+    Challenge.countDocuments({ organization: organization._id, status: 'active' })
+  ]);
+
+  const resources = {};
+  resourcesByStatus.forEach(row => {
+    resources[row._id] = row.count;
+  });
+
+  return {
+    organization: {
+      _id: organization._id,
+      name: organization.name,
+      verification: organization.verification.status
+    },
+    impact,
+    members,
+    resources,
+    dropOffPoints,
+    activeChallenges
+  };
+};
+
+module.exports = {
+  resolveActingOrganization,
+  getMemberActivity,
+  getDashboard
+};
@@ -0,0 +1,189 @@
+// Named permissions and the roles that grant them.
+// Users hold global roles (User.roles) and roles limited to a scope
+// (User.roleAssignments: one drop-off point, a geographic region or an
+// organization).
+
+const PERMISSIONS = {
+  USERS_MANAGE: 'users.manage',
+  ROLES_ASSIGN: 'roles.assign',
+  RESOURCES_MODERATE: 'resources.moderate',
+  CHAT_MODERATE: 'chat.moderate',
+  CONTENT_MODERATE: 'content.moderate',
+  DROPOFF_CREATE: 'dropoff.create',
+  DROPOFF_MANAGE: 'dropoff.manage',
+  DROPOFF_OPERATE: 'dropoff.operate',
+  IMPACT_VERIFY: 'impact.verify',
+  IMPACT_ANALYTICS: 'impact.analytics',
+  CHALLENGES_MANAGE: 'challenges.manage',
+  ALERTS_EMERGENCY_SEND: 'alerts.emergency.send',
+  FORECASTS_MANAGE: 'forecasts.manage',
+  ORGANIZATIONS_MANAGE: 'organizations.manage',
+  ORGANIZATIONS_ACT: 'organizations.act',
+  ORGANIZATIONS_VERIFY: 'organizations.verify',
+  TRUST_REVIEW: 'trust.review',
+  DISPUTES_RESOLVE: 'disputes.resolve'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLES = {
+  donor: [],
+  receiver: [],
+  volunteer: [
+    PERMISSIONS.DROPOFF_OPERATE
+  ],
+  dropoff_manager: [
+    PERMISSIONS.DROPOFF_MANAGE,
+    PERMISSIONS.DROPOFF_OPERATE
+  ],
+  coordinator: [
+    PERMISSIONS.RESOURCES_MODERATE,
+    PERMISSIONS.CHAT_MODERATE,
+    PERMISSIONS.CONTENT_MODERATE,
+    PERMISSIONS.DROPOFF_CREATE,
+    PERMISSIONS.DROPOFF_MANAGE,
+    PERMISSIONS.DROPOFF_OPERATE,
+    PERMISSIONS.IMPACT_VERIFY,
+    PERMISSIONS.CHALLENGES_MANAGE,
+    PERMISSIONS.ALERTS_EMERGENCY_SEND,
+    PERMISSIONS.DISPUTES_RESOLVE
+  ],
+  // Organization roles are only granted scoped to an organization
+  org_admin: [
+    PERMISSIONS.ORGANIZATIONS_MANAGE,
+    PERMISSIONS.ORGANIZATIONS_ACT,
+    PERMISSIONS.DROPOFF_CREATE,
+    PERMISSIONS.DROPOFF_MANAGE,
+    PERMISSIONS.DROPOFF_OPERATE,
+    PERMISSIONS.IMPACT_VERIFY,
+    PERMISSIONS.CHALLENGES_MANAGE
+  ],
+  org_coordinator: [
+    PERMISSIONS.ORGANIZATIONS_ACT,
+    PERMISSIONS.DROPOFF_CREATE,
+    PERMISSIONS.DROPOFF_MANAGE,
+    PERMISSIONS.DROPOFF_OPERATE,
+    PERMISSIONS.CHALLENGES_MANAGE
+  ],
+  org_volunteer: [
+    PERMISSIONS.DROPOFF_OPERATE
+  ],
+  org_member: [],
+  admin: ALL_PERMISSIONS
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Roles users may pick for themselves at registration
+const SELF_ASSIGNABLE_ROLES = ['donor', 'receiver'];
+
+// Roles that can be limited to a drop-off point or region
+const SCOPED_ROLES = ['volunteer', 'dropoff_manager', 'coordinator'];
+
+// Roles a member can hold within an organization
+const ORGANIZATION_ROLES = ['org_admin', 'org_coordinator', 'org_volunteer', 'org_member'];
+
+// Roles that can be held platform-wide
+const GLOBAL_ROLES = ROLE_NAMES.filter(role => !ORGANIZATION_ROLES.includes(role));
+
+const isValidRole = (role) => ROLE_NAMES.includes(role);
+
+const getRolePermissions = (role) => ROLES[role] || [];
+
+// Permissions granted by a list of roles
+const getPermissionsForRoles = (roles = []) => {
+  return [...new Set(roles.flatMap(getRolePermissions))];
+};
+
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Whether a scoped role assignment covers the target of a check.
+// scope: { dropOffPoint, organization, coordinates: [lng, lat] }
+const assignmentCovers = (assignment, scope = {}) => {
+  if (assignment.organization) {
+    return !!scope.organization &&
+      assignment.organization.toString() === scope.organization.toString();
+  }
+
+  if (assignment.dropOffPoint) {
+    return !!scope.dropOffPoint &&
+      assignment.dropOffPoint.toString() === scope.dropOffPoint.toString();
+  }
+
+  const region = assignment.region;
+  if (region && region.center && region.center.length === 2) {
+    return !!scope.coordinates && scope.coordinates.length === 2 &&
+      distanceKm(region.center, scope.coordinates) <= region.radiusKm;
+  }
+
+  return false;
+};
+
+// Check a user's global roles, then any scoped assignments covering the scope
+const userHasPermission = (user, permission, scope) => {
+  if (getPermissionsForRoles(user.roles).includes(permission)) {
+    return true;
+  }
+
+  if (!scope) return false;
+
+  return (user.roleAssignments || []).some(assignment =>
+    getRolePermissions(assignment.role).includes(permission) &&
+    assignmentCovers(assignment, scope));
+};
+
+// The scoped assignments through which a user holds a permission, for
+// building list queries. Returns null when a global role grants it.
+const permissionScopes = (user, permission) => {
+  if (getPermissionsForRoles(user.roles).includes(permission)) {
+    return null;
+  }
+
+  return (user.roleAssignments || [])
+    .filter(assignment => getRolePermissions(assignment.role).includes(permission))
+    .reduce((scopes, assignment) => {
+      const region = assignment.region;
+      if (assignment.organization) {
+        scopes.organizations.push(assignment.organization);
+      } else if (assignment.dropOffPoint) {
+        scopes.dropOffPoints.push(assignment.dropOffPoint);
+      } else if (region && region.center && region.center.length === 2) {
+        scopes.regions.push({ center: region.center, radiusKm: region.radiusKm });
+      }
+      return scopes;
+    }, { organizations: [], dropOffPoints: [], regions: [] });
+};
+
+// Scope used for checks on a drop-off point
+const dropOffScope = (dropOffPoint) => ({
+  dropOffPoint: dropOffPoint._id,
+  organization: dropOffPoint.organization,
+  coordinates: dropOffPoint.location && dropOffPoint.location.coordinates
+});
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  SELF_ASSIGNABLE_ROLES,
+  SCOPED_ROLES,
+  ORGANIZATION_ROLES,
+  GLOBAL_ROLES,
+  isValidRole,
+  getRolePermissions,
+  getPermissionsForRoles,
+  userHasPermission,
+  permissionScopes,
+  dropOffScope,
+  distanceKm
+};
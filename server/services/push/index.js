@@ -0,0 +1,117 @@
+const PushSubscription = require('../../models/PushSubscription');
+const createWebPushDriver = require('./webPushDriver');
+const createLocalDriver = require('./localDriver');
+
+// Push driver selected by PUSH_DRIVER (webpush | local).
+// Without an explicit driver, Web Push is used when VAPID keys are set,
+// otherwise notifications go to the local stand-in.
+//
+// Every driver implements:
+//   send(subscription, payload, { ttl, urgency }) -> { status }
+//     (errors for subscriptions the browser dropped have `expired` set)
+//   publicKey (VAPID application server key for PushManager.subscribe)
+
+const createDriver = () => {
+  const driverName = process.env.PUSH_DRIVER ||
+    (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? 'webpush' : 'local');
+
+  switch (driverName) {
+    case 'webpush':
+      return createWebPushDriver({
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        privateKey: process.env.VAPID_PRIVATE_KEY,
+        subject: process.env.VAPID_SUBJECT || 'mailto:no-reply@communityaid.org'
+      });
+    case 'local':
+      return createLocalDriver({
+        publicKey: process.env.VAPID_PUBLIC_KEY,
+        file: process.env.PUSH_LOCAL_FILE
+      });
+    default:
+      throw new Error(`Unknown push driver: ${driverName}`);
+  }
+};
+
+// Browser push services (Chrome, Firefox, Safari, Edge). Subscriptions may
+// only point at these, or at hosts listed in PUSH_ENDPOINT_HOSTS, so the
+// server never posts to an arbitrary URL. A leading "." matches subdomains.
+const PUSH_SERVICE_HOSTS = [
+  'fcm.googleapis.com',
+  'updates.push.services.mozilla.com',
+  '.push.apple.com',
+  '.notify.windows.com'
+];
+
+const allowedHosts = () => [
+  ...PUSH_SERVICE_HOSTS,
+  ...(process.env.PUSH_ENDPOINT_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+];
+
+const isAllowedEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) return false;
+
+  return allowedHosts().some(host => host.startsWith('.')
+    ? url.hostname.endsWith(host)
+    : url.hostname === host);
+};
+
+let driver = null;
+
+const getPushDriver = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+const getPublicKey = () => getPushDriver().publicKey;
+
+// Send a notification to every browser the user subscribed from. Dropped
+// and expired subscriptions are removed. Returns the number of browsers
+// reached; throws when every other subscription failed, so the caller can
+// retry.
+const sendPush = async (userId, payload, options = {}) => {
+  const subscriptions = await PushSubscription.find({ user: userId });
+  const now = new Date();
+  let delivered = 0;
+  let lastError = null;
+
+  for (const subscription of subscriptions) {
+    if ((subscription.expirationTime && subscription.expirationTime <= now) ||
+        !isAllowedEndpoint(subscription.endpoint)) {
+      await subscription.deleteOne();
+      continue;
+    }
+
+    try {
+      await getPushDriver().send(subscription.toWebPush(), payload, options);
+      subscription.lastUsedAt = now;
+      await subscription.save();
+      delivered += 1;
+    } catch (error) {
+      if (error.expired) {
+        await subscription.deleteOne();
+      } else {
+        lastError = error;
+      }
+    }
+  }
+
+  if (delivered === 0 && lastError) {
+    throw lastError;
+  }
+  return delivered;
+};
+
+module.exports = {
+  isAllowedEndpoint,
+  getPushDriver,
+  getPublicKey,
+  sendPush
+};
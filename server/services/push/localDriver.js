@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Push stand-in for development and tests. Notifications are logged to the
+// console and, when config.file is set, appended to that file as JSON lines.
+const createLocalDriver = (config = {}) => {
+  const sent = [];
+
+  const send = async (subscription, payload, options = {}) => {
+    const message = {
+      endpoint: subscription.endpoint,
+      payload,
+      options,
+      sentAt: new Date()
+    };
+
+    sent.push(message);
+    console.log(`[push] to ${subscription.endpoint}: ${payload.title}`);
+
+    if (config.file) {
+      await fs.mkdir(path.dirname(config.file), { recursive: true });
+      await fs.appendFile(config.file, `${JSON.stringify(message)}\n`);
+    }
+
+    return { status: 201 };
+  };
+
+  return {
+    name: 'local',
+    publicKey: config.publicKey || null,
+    send,
+    // Notifications sent by this process, newest last
+    sent
+  };
+};
+
+module.exports = createLocalDriver;
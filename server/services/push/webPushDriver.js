@@ -0,0 +1,30 @@
+const webPush = require('web-push');
+
+// Web Push delivery signed with the server's VAPID keys
+const createWebPushDriver = (config = {}) => {
+  webPush.setVapidDetails(config.subject, config.publicKey, config.privateKey);
+
+  const send = async (subscription, payload, options = {}) => {
+    try {
+      const response = await webPush.sendNotification(subscription, JSON.stringify(payload), {
+        TTL: options.ttl,
+        urgency: options.urgency
+      });
+      return { status: response.statusCode };
+    } catch (error) {
+      // 404 and 410 mean the browser dropped the subscription
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        error.expired = true;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'webpush',
+    publicKey: config.publicKey,
+    send
+  };
+};
+
+module.exports = createWebPushDriver;
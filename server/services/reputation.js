@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const Impact = require('../models/Impact');
+const DropOffPoint = require('../models/DropOffPoint');
+const Review = require('../models/Review');
+const Dispute = require('../models/Dispute');
+const { EVENTS, subscribe } = require('./events');
+
+// Reputation is a 0-5 score built from what happened on the platform:
+// published handover reviews and reviews of drop-off points the user staffs,
+// minus no-shows, backed-out reservations and disputes upheld against them,
+// plus a small bonus for verified impact. Every input counts less as it gets
+// older.
+
+const HALF_LIFE_DAYS = 180;
+
+// Ratings are averaged together with a neutral prior so one review cannot
+// make or break a new member
+const PRIOR_RATING = 3;
+const PRIOR_WEIGHT = 2;
+
+// Reviews of a drop-off point are shared by its staff
+const DROPOFF_REVIEW_WEIGHT = 0.5;
+
+const NO_SHOW_PENALTY = 0.4;
+const CANCELLATION_PENALTY = 0.15;
+const DISPUTE_PENALTY = 0.5;
+const IMPACT_BONUS = 0.05;
+const MAX_IMPACT_BONUS = 0.5;
+
+// Local hero status is granted (and withdrawn) automatically
+const HERO_CRITERIA = {
+  minScore: 4.5,
+  minReviews: 5,
+  minVerifiedImpact: 3,
+  maxNoShows: 1
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Weight of something that happened at `date`: 1 now, 0.5 after HALF_LIFE_DAYS
+const decay = (date, now = Date.now()) => {
+  const ageDays = Math.max(0, (now - new Date(date).getTime()) / DAY);
+  return Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Ratings the user received from handover partners and as drop-off point staff
+const getReviews = async (userId) => {
+  const [handovers, dropOffPoints] = await Promise.all([
+    Review.find({ reviewee: userId, publishedAt: { $ne: null } }).select('rating publishedAt'),
+    DropOffPoint.find({
+      $or: [
+        { manager: userId },
+        { volunteers: { $elemMatch: { user: userId, isActive: true } } }
+      ],
+      'reviews.0': { $exists: true }
+    }).select('reviews')
+  ]);
+
+  return [
+    ...handovers.map(review => ({ rating: review.rating, at: review.publishedAt, weight: 1 })),
+    ...dropOffPoints.flatMap(point => point.reviews
+      .filter(review => !review.user || !review.user.equals(userId))
+      .map(review => ({ rating: review.rating, at: review.createdAt, weight: DROPOFF_REVIEW_WEIGHT })))
+  ];
+};
+
+// Reservations that fell through because of the user: pickups they missed
+// and reservations they released or cancelled themselves
+const getBrokenReservations = async (userId) => {
+  const resources = await Resource.find({
+    $or: [{ 'statusHistory.receiver': userId }, { 'statusHistory.changedBy': userId }]
+  }).select('statusHistory');
+
+  const noShows = [];
+  const cancellations = [];
+
+  resources.forEach(resource => {
+    resource.statusHistory.forEach(entry => {
+      if (entry.from !== 'reserved' || entry.to === 'completed') return;
+
+      if (entry.reason === 'reservation_expired') {
+        if (entry.receiver && entry.receiver.equals(userId)) noShows.push(entry.changedAt);
+      } else if (entry.changedBy && entry.changedBy.equals(userId)) {
+        cancellations.push(entry.changedAt);
+      }
+    });
+  });
+
+  return { noShows, cancellations };
+};
+
+// Work out a user's reputation without saving it
+const computeReputation = async (userId, now = Date.now()) => {
+  const [reviews, { noShows, cancellations }, disputes, verifiedImpact, completedHandovers] = await Promise.all([
+    getReviews(userId),
+    getBrokenReservations(userId),
+    Dispute.find({ against: userId, 'resolution.outcome': 'upheld' }).select('resolution.resolvedAt'),
+    Impact.find({ user: userId, isVerified: true }).select('verifiedAt createdAt'),
+    Resource.countDocuments({ status: 'completed', $or: [{ owner: userId }, { completedBy: userId }] })
+  ]);
+
+  let ratingSum = PRIOR_RATING * PRIOR_WEIGHT;
+  let ratingWeight = PRIOR_WEIGHT;
+  reviews.forEach(review => {
+    const weight = review.weight * decay(review.at, now);
+    ratingSum += review.rating * weight;
+    ratingWeight += weight;
+  });
+
+  const decayedNoShows = noShows.reduce((sum, at) => sum + decay(at, now), 0);
+  const decayedCancellations = cancellations.reduce((sum, at) => sum + decay(at, now), 0);
+  const decayedDisputes = disputes.reduce((sum, dispute) => sum + decay(dispute.resolution.resolvedAt, now), 0);
+  const decayedImpact = verifiedImpact.reduce((sum, impact) =>
+    sum + decay(impact.verifiedAt || impact.createdAt, now), 0);
+
+  const averageRating = ratingSum / ratingWeight;
+  const penalty = decayedNoShows * NO_SHOW_PENALTY +
+    decayedCancellations * CANCELLATION_PENALTY +
+    decayedDisputes * DISPUTE_PENALTY;
+  const bonus = Math.min(decayedImpact * IMPACT_BONUS, MAX_IMPACT_BONUS);
+  const score = Math.min(5, Math.max(0, averageRating - penalty + bonus));
+
+  return {
+    score: round(score, 1),
+    reviewCount: reviews.length,
+    averageRating: reviews.length > 0 ? round(averageRating) : undefined,
+    completedHandovers,
+    noShows: round(decayedNoShows),
+    cancellations: round(decayedCancellations),
+    upheldDisputes: disputes.length,
+    verifiedImpact: verifiedImpact.length
+  };
+};
+
+const meetsHeroCriteria = (reputation) => {
+  return reputation.score >= HERO_CRITERIA.minScore &&
+    reputation.reviewCount >= HERO_CRITERIA.minReviews &&
+    reputation.verifiedImpact >= HERO_CRITERIA.minVerifiedImpact &&
+    reputation.noShows < HERO_CRITERIA.maxNoShows;
+};
+
+// Recompute and store a user's reputation, hero rating and hero status
+const updateReputation = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const { score, ...reputation } = await computeReputation(user._id);
+  const isHero = meetsHeroCriteria({ score, ...reputation });
+
+  user.heroRating = score;
+  user.reputation = {
+    ...reputation,
+    heroSince: isHero ? (user.isLocalHero && user.reputation.heroSince) || new Date() : undefined,
+    computedAt: new Date()
+  };
+  user.isLocalHero = isHero;
+  await user.save();
+
+  return user;
+};
+
+// Score used to rank a user against others; unrated users sit at the prior
+const getRankingScore = (user) => {
+  if (!user || !user.reputation || !user.reputation.computedAt) return PRIOR_RATING;
+  return user.heroRating;
+};
+
+// Re-apply decay to reputations not recomputed in the last day
+const refreshStaleReputations = async () => {
+  const cutoff = new Date(Date.now() - DAY);
+  const users = User.find({ 'reputation.computedAt': { $lt: cutoff } }).select('_id').cursor();
+
+  let updated = 0;
+  for await (const user of users) {
+    try {
+      await updateReputation(user._id);
+      updated += 1;
+    } catch (error) {
+      console.error(`Reputation refresh error (${user._id}):`, error);
+    }
+  }
+
+  return updated;
+};
+
+const updateAll = (userIds) => Promise.all(
+  [...new Set(userIds.filter(Boolean).map(id => (id._id || id).toString()))].map(updateReputation)
+);
+
+// Recompute reputations when something that feeds them happens
+const registerReputation = () => {
+  subscribe(EVENTS.RESOURCE_COMPLETED, ({ payload }) =>
+    updateAll([payload.resource.owner, payload.resource.completedBy]));
+
+  subscribe(EVENTS.RESOURCE_RELEASED, ({ payload }) =>
+    updateAll([payload.resource.owner, payload.receiver]));
+
+  subscribe(EVENTS.REVIEWS_PUBLISHED, ({ payload }) =>
+    updateAll(payload.reviews.map(review => review.reviewee)));
+
+  subscribe(EVENTS.DISPUTE_RESOLVED, ({ payload }) =>
+    updateAll([payload.dispute.against]));
+
+  subscribe(EVENTS.IMPACT_VERIFIED, ({ payload }) =>
+    updateAll([payload.impact.user]));
+
+  subscribe(EVENTS.DROPOFF_REVIEWED, ({ payload }) =>
+    updateAll([
+      payload.dropOffPoint.manager,
+      ...payload.dropOffPoint.volunteers.filter(v => v.isActive).map(v => v.user)
+    ]));
+};
+
+module.exports = {
+  HERO_CRITERIA,
+  computeReputation,
+  updateReputation,
+  getRankingScore,
+  refreshStaleReputations,
+  registerReputation
+};
@@ -0,0 +1,143 @@
+const SavedSearch = require('../models/SavedSearch');
+const Resource = require('../models/Resource');
+const User = require('../models/User');
+const { notifyUsers } = require('./notifications');
+const { EVENTS, subscribe } = require('./events');
+const { enqueueJob } = require('./jobQueue');
+
+// Saved searches are matched against every resource that is created,
+// updated or released, in the background so the request that changed the
+// resource does not wait. A resource that stops being listed (reserved,
+// completed, hidden) is forgotten, so it is reported again if it comes back. The first match notifies the user right away; further matches of
+// the same search within THROTTLE_MINUTES are collected and sent together by
+// flushPendingMatches.
+
+const THROTTLE_MINUTES = 60;
+const THROTTLE_MS = THROTTLE_MINUTES * 60 * 1000;
+const FLUSH_BATCH_SIZE = 200;
+
+const idOf = (value) => (value && value._id) || value;
+
+const isListed = (resource) =>
+  resource.status === 'available' && !(resource.moderation && resource.moderation.hidden);
+
+const notifyMatch = (search, resource) => {
+  return notifyUsers([search.user], {
+    type: 'saved_search',
+    textKey: 'saved_search_match',
+    params: { search: search.name, title: resource.title },
+    data: { savedSearchId: search._id, resourceIds: [resource._id] },
+    link: `/resources/${resource._id}`,
+    groupKey: `saved_search:${search._id}`
+  }, { event: 'saved_search_match' });
+};
+
+// Saved searches of other users that a resource matches, leaving out users
+// on either side of a block with the owner
+const findMatchingSearches = async (resource) => {
+  const ownerId = idOf(resource.owner);
+  const [candidates, blockedIds] = await Promise.all([
+    SavedSearch.findCandidates(resource, ownerId),
+    User.getBlockedIds(ownerId)
+  ]);
+
+  const blocked = new Set(blockedIds.map(id => id.toString()));
+  return candidates.filter(search => !blocked.has(search.user.toString()) && search.matches(resource));
+};
+
+// Notify (or queue) every saved search a new or updated resource matches.
+// A resource is reported at most once per search. Returns the number of
+// searches matched.
+const notifyMatches = async (resource) => {
+  if (!isListed(resource)) return 0;
+
+  const searches = await findMatchingSearches(resource);
+
+  for (const search of searches) {
+    try {
+      const outcome = await SavedSearch.recordMatch(search._id, resource._id, THROTTLE_MS);
+      if (outcome === 'notify') {
+        await notifyMatch(search, resource);
+      }
+    } catch (error) {
+      console.error(`Saved search match error (${search._id}):`, error);
+    }
+  }
+
+  return searches.length;
+};
+
+// Send the matches held back by throttling once a search's window has
+// passed. Returns the number of notifications sent.
+const flushPendingMatches = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - THROTTLE_MS);
+  const due = await SavedSearch.find({
+    'pendingMatches.0': { $exists: true },
+    lastNotifiedAt: { $lte: cutoff }
+  }).limit(FLUSH_BATCH_SIZE);
+
+  let sent = 0;
+  for (const search of due) {
+    try {
+      // Claim the pending matches so a concurrent run cannot send them twice
+      const claimed = await SavedSearch.findOneAndUpdate(
+        { _id: search._id, lastNotifiedAt: search.lastNotifiedAt },
+        { $set: { pendingMatches: [], lastNotifiedAt: now } }
+      );
+      if (!claimed || !claimed.notify) continue;
+
+      // Resources taken or hidden in the meantime are no longer news
+      const resources = await Resource.find({
+        _id: { $in: claimed.pendingMatches },
+        status: 'available',
+        'moderation.hidden': { $ne: true }
+      }).select('title').sort({ createdAt: -1 });
+      if (resources.length === 0) continue;
+
+      if (resources.length === 1) {
+        await notifyMatch(claimed, resources[0]);
+      } else {
+        await notifyUsers([claimed.user], {
+          type: 'saved_search',
+          textKey: 'saved_search_matches',
+          params: { search: claimed.name, count: resources.length, title: resources[0].title },
+          data: { savedSearchId: claimed._id, resourceIds: resources.map(resource => resource._id) },
+          link: `/resources/${resources[0]._id}`,
+          groupKey: `saved_search:${claimed._id}`
+        }, { event: 'saved_search_match' });
+      }
+      sent++;
+    } catch (error) {
+      console.error(`Saved search flush error (${search._id}):`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Ids of users with a notifying saved search in a category
+const findCategorySubscriberIds = async (category) => {
+  const userIds = await SavedSearch.distinct('user', { notify: true, category });
+  return userIds.map(id => id.toString());
+};
+
+const registerSavedSearches = () => {
+  const queueMatches = ({ payload }) => {
+    const { resource } = payload;
+    enqueueJob('saved_search_matches', () =>
+      isListed(resource) ? notifyMatches(resource) : SavedSearch.forgetResource(resource._id));
+  };
+  subscribe(EVENTS.RESOURCE_CREATED, queueMatches);
+  subscribe(EVENTS.RESOURCE_UPDATED, queueMatches);
+  subscribe(EVENTS.RESOURCE_RELEASED, queueMatches);
+  subscribe(EVENTS.RESOURCE_RESERVED, queueMatches);
+  subscribe(EVENTS.RESOURCE_COMPLETED, queueMatches);
+};
+
+module.exports = {
+  THROTTLE_MINUTES,
+  notifyMatches,
+  flushPendingMatches,
+  findCategorySubscriberIds,
+  registerSavedSearches
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { EVENTS, publish } = require('./events');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, jwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const issueTokens = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id
+});
+
+const describeRequest = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+// Start a session for a user signing in from a device
+const createSession = async (user, req, { deviceName, twoFactorVerified = false } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName,
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : undefined,
+    ...describeRequest(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return issueTokens(session, refreshToken);
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Returns null when the token is unknown, expired or revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    // A rotated-out token being replayed: revoke the session it belonged to
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash });
+    if (reused && reused.isActive()) {
+      await revokeSession(reused, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  if (!session.isActive()) {
+    return null;
+  }
+
+  // Swap the token only if it is still the current one, so of two
+  // concurrent refreshes with the same token exactly one succeeds
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        previousRefreshTokenHash: tokenHash,
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ...describeRequest(req)
+      }
+    },
+    { new: true }
+  );
+
+  // Lost the race: the token was used twice, so treat it as reuse
+  if (!rotated) {
+    await revokeSession(session, 'refresh_token_reuse');
+    return null;
+  }
+
+  return issueTokens(rotated, nextToken);
+};
+
+// Resolve an access token to { user, session }.
+// Throws if the JWT is invalid; returns null if the session or user is gone.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, jwtSecret());
+
+  // Tokens issued before sessions existed carry no session id
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) return null;
+
+  return { user, session };
+};
+
+// Revoke one session and tell connected sockets to drop it
+const revokeSession = async (session, reason = 'logout') => {
+  if (session.revokedAt) return session;
+
+  await session.revoke(reason);
+  await publish(EVENTS.SESSIONS_REVOKED, {
+    userId: session.user,
+    sessionIds: [session._id],
+    reason
+  });
+
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (userId, { except, reason = 'logout_all' } = {}) => {
+  const sessions = await Session.findActiveForUser(userId);
+  const revoked = sessions.filter(session => !except || session._id.toString() !== except.toString());
+
+  if (revoked.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: revoked.map(session => session._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  await publish(EVENTS.SESSIONS_REVOKED, {
+    userId,
+    sessionIds: revoked.map(session => session._id),
+    reason
+  });
+
+  return revoked.length;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+
+// USSD callbacks from Africa's Talking. The gateway does not sign its
+// callbacks, so the callback URL registered with it carries a shared secret:
+// https://your-domain.com/api/sms/ussd?token=<USSD_WEBHOOK_SECRET>
+const createAfricasTalkingUssd = (config = {}) => {
+  const verifyRequest = (req) => {
+    const token = req.query.token;
+    if (!config.webhookSecret || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(config.webhookSecret);
+    const provided = Buffer.from(token);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  };
+
+  return {
+    name: 'africastalking',
+    verifyRequest
+  };
+};
+
+module.exports = createAfricasTalkingUssd;
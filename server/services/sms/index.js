@@ -0,0 +1,91 @@
+const createTwilioDriver = require('./twilioDriver');
+const createLocalDriver = require('./localDriver');
+const createAfricasTalkingUssd = require('./africasTalkingUssd');
+
+// SMS provider selected by SMS_PROVIDER (twilio | local).
+// Without an explicit provider, Twilio is used when credentials are set,
+// otherwise messages go to the local stand-in.
+//
+// Every provider implements:
+//   send(to, body) -> { id, status }
+//   verifyRequest(req) -> boolean (inbound webhook signature)
+//   parseInbound(req) -> { from, body }
+//   reply(res, text) (responds to an inbound webhook)
+
+// Three concatenated SMS segments
+const SMS_MAX_LENGTH = 459;
+
+const createProvider = () => {
+  const providerName = process.env.SMS_PROVIDER ||
+    (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'local');
+
+  switch (providerName) {
+    case 'twilio':
+      return createTwilioDriver({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        webhookUrl: process.env.SMS_WEBHOOK_URL
+      });
+    case 'local':
+      return createLocalDriver({
+        file: process.env.SMS_LOCAL_FILE,
+        webhookSecret: process.env.SMS_WEBHOOK_SECRET || process.env.JWT_SECRET || 'your-secret-key'
+      });
+    default:
+      throw new Error(`Unknown SMS provider: ${providerName}`);
+  }
+};
+
+// USSD gateway selected by USSD_PROVIDER (africastalking | local), configured
+// apart from SMS since the callbacks come from a different service.
+// Every gateway implements verifyRequest(req) -> boolean.
+const createUssdGateway = () => {
+  const gatewayName = process.env.USSD_PROVIDER || 'local';
+
+  switch (gatewayName) {
+    case 'africastalking':
+      return createAfricasTalkingUssd({
+        webhookSecret: process.env.USSD_WEBHOOK_SECRET
+      });
+    case 'local':
+      return createLocalDriver({
+        webhookSecret: process.env.USSD_WEBHOOK_SECRET || process.env.JWT_SECRET || 'your-secret-key'
+      });
+    default:
+      throw new Error(`Unknown USSD provider: ${gatewayName}`);
+  }
+};
+
+let provider = null;
+let ussdGateway = null;
+
+const getSmsProvider = () => {
+  if (!provider) {
+    provider = createProvider();
+  }
+  return provider;
+};
+
+const getUssdGateway = () => {
+  if (!ussdGateway) {
+    ussdGateway = createUssdGateway();
+  }
+  return ussdGateway;
+};
+
+const truncate = (body) => {
+  return body.length > SMS_MAX_LENGTH ? `${body.slice(0, SMS_MAX_LENGTH - 3)}...` : body;
+};
+
+// Send a text message to a phone number
+const sendSms = (to, body) => {
+  return getSmsProvider().send(to, truncate(body));
+};
+
+module.exports = {
+  SMS_MAX_LENGTH,
+  getSmsProvider,
+  getUssdGateway,
+  sendSms
+};
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// SMS stand-in for development and tests. Messages are logged to the console
+// and, when config.file is set, appended to that file as JSON lines.
+// Inbound webhooks are signed with an HMAC of the raw body (see
+// scripts/simulateSms.js).
+const createLocalDriver = (config = {}) => {
+  const sent = [];
+
+  const send = async (to, body) => {
+    const message = {
+      id: `local-${crypto.randomUUID()}`,
+      to,
+      body,
+      sentAt: new Date()
+    };
+
+    sent.push(message);
+    console.log(`[sms] to ${to}: ${body}`);
+
+    if (config.file) {
+      await fs.mkdir(path.dirname(config.file), { recursive: true });
+      await fs.appendFile(config.file, `${JSON.stringify(message)}\n`);
+    }
+
+    return { id: message.id, status: 'sent' };
+  };
+
+  const sign = (rawBody) => {
+    return crypto
+      .createHmac('sha256', config.webhookSecret)
+      .update(rawBody)
+      .digest('hex');
+  };
+
+  const verifyRequest = (req) => {
+    const signature = req.header('X-Sms-Signature');
+    if (!signature || !req.rawBody) return false;
+
+    const expected = Buffer.from(sign(req.rawBody));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  };
+
+  const parseInbound = (req) => ({
+    from: req.body.from,
+    body: req.body.body || ''
+  });
+
+  const reply = (res, text) => {
+    res.json({ reply: text });
+  };
+
+  return {
+    name: 'local',
+    send,
+    sign,
+    verifyRequest,
+    parseInbound,
+    reply,
+    // Messages sent by this process, newest last
+    sent
+  };
+};
+
+module.exports = createLocalDriver;
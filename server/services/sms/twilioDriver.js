@@ -0,0 +1,46 @@
+const twilio = require('twilio');
+
+// SMS delivery through Twilio
+const createTwilioDriver = (config = {}) => {
+  const client = twilio(config.accountSid, config.authToken);
+
+  const send = async (to, body) => {
+    const message = await client.messages.create({
+      to,
+      from: config.from,
+      body
+    });
+
+    return { id: message.sid, status: message.status };
+  };
+
+  // Twilio signs the full webhook URL plus the posted parameters
+  const verifyRequest = (req) => {
+    const signature = req.header('X-Twilio-Signature');
+    if (!signature) return false;
+
+    const url = config.webhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    return twilio.validateRequest(config.authToken, signature, url, req.body || {});
+  };
+
+  const parseInbound = (req) => ({
+    from: req.body.From,
+    body: req.body.Body || ''
+  });
+
+  const reply = (res, text) => {
+    const response = new twilio.twiml.MessagingResponse();
+    response.message(text);
+    res.type('text/xml').send(response.toString());
+  };
+
+  return {
+    name: 'twilio',
+    send,
+    verifyRequest,
+    parseInbound,
+    reply
+  };
+};
+
+module.exports = createTwilioDriver;
@@ -0,0 +1,230 @@
+const User = require('../models/User');
+const Resource = require('../models/Resource');
+const SmsSession = require('../models/SmsSession');
+const { getTrustLevelName, requiredLevelForResource } = require('./trust');
+const { EVENTS, publish } = require('./events');
+
+// Text-command interface for feature phones:
+//   NEED <category> [quantity]   post a request at the user's location
+//   OFFER <category> [quantity]  post a donation at the user's location
+//   LIST                         nearby available items, numbered
+//   YES <n>                      express interest in item n from the last LIST
+//   HELP                         command summary
+
+const LIST_LIMIT = 5;
+const LIST_RADIUS = 10000; // meters
+
+const CATEGORIES = Resource.schema.path('category').enumValues;
+
+// Common words people text instead of the category name
+const CATEGORY_ALIASES = {
+  book: 'books',
+  clothes: 'clothing',
+  medicine: 'medical',
+  tool: 'tools',
+  toy: 'toys',
+  service: 'services',
+  education: 'educational'
+};
+
+const HELP_TEXT = 'Commands: NEED <item> [qty], OFFER <item> [qty], LIST, YES <number>. ' +
+  `Items: ${CATEGORIES.join(', ')}.`;
+
+// Strip formatting so "+254 700-000 000" matches "+254700000000"
+const normalizePhone = (phoneNumber = '') => phoneNumber.replace(/[^\d+]/g, '');
+
+// Only a number confirmed through the phone verification code identifies an
+// account. Returns null when no account, or more than one, has verified it.
+const findUserByPhone = async (phoneNumber) => {
+  const normalized = normalizePhone(phoneNumber);
+  const users = await User.find({
+    'trust.phoneVerifiedNumber': { $in: [...new Set([phoneNumber, normalized])] }
+  }).limit(2);
+
+  return users.length === 1 ? users[0] : null;
+};
+
+const parseCategory = (word = '') => {
+  const value = word.toLowerCase();
+  if (CATEGORIES.includes(value)) return value;
+  return CATEGORY_ALIASES[value] || null;
+};
+
+const postResource = async (user, type, args) => {
+  const [word, quantityArg] = args;
+  const category = parseCategory(word);
+  const verb = type === 'request' ? 'NEED' : 'OFFER';
+
+  if (!category) {
+    return `Unknown item "${word || ''}". Try: ${verb} ${CATEGORIES.slice(0, 3).join('/')} [qty]. Text HELP for all items.`;
+  }
+
+  const quantity = Math.max(parseInt(quantityArg) || 1, 1);
+  const resource = await Resource.create({
+    title: `${type === 'request' ? 'Needed' : 'Offered'}: ${category}`,
+    description: `Posted by SMS (${verb} ${category} ${quantity}).`,
+    category,
+    type,
+    quantity,
+    location: {
+      type: 'Point',
+      coordinates: user.location.coordinates,
+      address: user.location.address
+    },
+    owner: user._id
+  });
+  await publish(EVENTS.RESOURCE_CREATED, { resource });
+
+  return type === 'request'
+    ? `Your request for ${quantity} ${category} is posted (ref ${resource._id.toString().slice(-6)}).`
+    : `Your offer of ${quantity} ${category} is posted (ref ${resource._id.toString().slice(-6)}). Thank you!`;
+};
+
+const NOTHING_NEARBY = 'No items available near you right now. Text NEED <item> to post a request.';
+
+// Nearby offers, numbered and remembered for YES <n>
+const findListing = async (user, phoneNumber) => {
+  const blockedIds = await User.getBlockedIds(user._id);
+  const resources = await Resource.findNearby(user.location.coordinates, LIST_RADIUS)
+    .where('owner').nin([user._id, ...blockedIds])
+    .where('type').in(['donation', 'service', 'mystery_drop'])
+    .limit(LIST_LIMIT)
+    .select('title category quantity');
+
+  if (resources.length > 0) {
+    await SmsSession.saveListing(phoneNumber, user._id, resources.map(r => r._id));
+  }
+
+  return resources;
+};
+
+const formatListing = (resources) => resources
+  .map((resource, index) => `${index + 1}. ${resource.title} (${resource.category}, qty ${resource.quantity || 1})`)
+  .join('\n');
+
+const listNearby = async (user, phoneNumber) => {
+  const resources = await findListing(user, phoneNumber);
+  if (resources.length === 0) return NOTHING_NEARBY;
+
+  return `${formatListing(resources)}\nReply YES <number> to ask for an item.`;
+};
+
+const expressInterest = async (user, phoneNumber, args) => {
+  const index = parseInt(args[0]) - 1;
+  const session = await SmsSession.findOne({ phoneNumber });
+
+  if (!session || session.lastListing.length === 0) {
+    return 'Text LIST first to see nearby items.';
+  }
+
+  if (isNaN(index) || index < 0 || index >= session.lastListing.length) {
+    return `Reply YES 1 to YES ${session.lastListing.length}.`;
+  }
+
+  const resource = await Resource.findById(session.lastListing[index]);
+  if (!resource || resource.status !== 'available') {
+    return 'Sorry, that item is no longer available. Text LIST for an updated list.';
+  }
+
+  if (resource.owner.toString() === user._id.toString()) {
+    return 'That item is your own.';
+  }
+
+  if (resource.isInterested(user._id)) {
+    return `You already asked for "${resource.title}". The owner will contact you.`;
+  }
+
+  if (await User.isBlockedBetween(user._id, resource.owner)) {
+    return 'Sorry, you cannot ask for that item.';
+  }
+
+  const requiredLevel = requiredLevelForResource(resource);
+  if (!user.hasTrustLevel(requiredLevel)) {
+    return `"${resource.title}" needs ${getTrustLevelName(requiredLevel)} verification. Verify on the website or ask a volunteer.`;
+  }
+
+  resource.interestedUsers.push({ user: user._id, message: 'Interested via SMS' });
+  await resource.save();
+
+  return `We told the owner you want "${resource.title}". You will get a text if it is reserved for you.`;
+};
+
+// Run one inbound text and return the reply
+const handleCommand = async (phoneNumber, text) => {
+  const [command = '', ...args] = String(text || '').trim().split(/\s+/);
+
+  const user = await findUserByPhone(phoneNumber);
+  if (!user) {
+    return 'This phone number is not registered or not verified. Please verify it on the Community Aid website or ask a volunteer.';
+  }
+
+  if (user.isSuspended()) {
+    return 'This account is suspended.';
+  }
+
+  switch (command.toUpperCase()) {
+    case 'NEED':
+      return postResource(user, 'request', args);
+    case 'OFFER':
+      return postResource(user, 'donation', args);
+    case 'LIST':
+      return listNearby(user, phoneNumber);
+    case 'YES':
+      return expressInterest(user, phoneNumber, args);
+    case 'HELP':
+    case '':
+      return HELP_TEXT;
+    default:
+      return `Unknown command "${command}". ${HELP_TEXT}`;
+  }
+};
+
+const USSD_MENU = 'Community Aid\n1. Items near me\n2. I need something\n3. I can offer something';
+
+// Walk a USSD menu session. Gateways send every input so far joined by "*"
+// (e.g. "1*2"). Returns { text, end } where end closes the session.
+const handleUssd = async (phoneNumber, text) => {
+  const user = await findUserByPhone(phoneNumber);
+  if (!user) {
+    return { text: 'This phone number is not registered or not verified with Community Aid.', end: true };
+  }
+
+  if (user.isSuspended()) {
+    return { text: 'This account is suspended.', end: true };
+  }
+
+  const [choice, input] = String(text || '').split('*');
+
+  switch (choice) {
+    case '':
+    case undefined:
+      return { text: USSD_MENU, end: false };
+    case '1':
+      if (input === undefined) {
+        const resources = await findListing(user, phoneNumber);
+        if (resources.length === 0) {
+          return { text: NOTHING_NEARBY, end: true };
+        }
+        return { text: `${formatListing(resources)}\nEnter a number to ask for an item`, end: false };
+      }
+      return { text: await expressInterest(user, phoneNumber, [input]), end: true };
+    case '2':
+    case '3':
+      if (input === undefined) {
+        return { text: 'Enter item and quantity, e.g. food 3', end: false };
+      }
+      return {
+        text: await postResource(user, choice === '2' ? 'request' : 'donation', input.trim().split(/\s+/)),
+        end: true
+      };
+    default:
+      return { text: `Invalid choice.\n${USSD_MENU}`, end: false };
+  }
+};
+
+module.exports = {
+  HELP_TEXT,
+  handleCommand,
+  handleUssd,
+  normalizePhone
+};
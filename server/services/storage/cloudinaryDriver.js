@@ -0,0 +1,60 @@
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+
+// Private files are uploaded as 'authenticated' assets, which Cloudinary
+// only delivers through signed URLs
+const deliveryType = (access) => (access === 'private' ? 'authenticated' : 'upload');
+
+// Media storage backed by Cloudinary
+const createCloudinaryDriver = (config = {}) => {
+  cloudinary.config({
+    cloud_name: config.cloudName,
+    api_key: config.apiKey,
+    api_secret: config.apiSecret
+  });
+
+  const put = (buffer, { folder, resourceType = 'image', access = 'public' } = {}) => {
+    return new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        { resource_type: resourceType, folder, type: deliveryType(access) },
+        (error, result) => {
+          if (error) reject(error);
+          else resolve({ url: access === 'private' ? null : result.secure_url, publicId: result.public_id });
+        }
+      ).end(buffer);
+    });
+  };
+
+  const get = async (publicId, { resourceType = 'image', access = 'public' } = {}) => {
+    const url = cloudinary.url(publicId, {
+      resource_type: resourceType,
+      type: deliveryType(access),
+      sign_url: access === 'private',
+      secure: true
+    });
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  };
+
+  const remove = async (publicId, { resourceType = 'image', access = 'public' } = {}) => {
+    await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type: deliveryType(access) });
+  };
+
+  const getSignedUrl = (publicId, { resourceType = 'image', access = 'public', expiresIn = 3600 } = {}) => {
+    return cloudinary.utils.private_download_url(publicId, '', {
+      resource_type: resourceType,
+      type: deliveryType(access),
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn
+    });
+  };
+
+  return {
+    name: 'cloudinary',
+    put,
+    get,
+    delete: remove,
+    getSignedUrl
+  };
+};
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,101 @@
+const path = require('path');
+const createCloudinaryDriver = require('./cloudinaryDriver');
+const createLocalDriver = require('./localDriver');
+
+// Media storage selected by STORAGE_DRIVER (cloudinary | local).
+// Without an explicit driver, Cloudinary is used when credentials are set,
+// otherwise files are kept on the local disk.
+//
+// Every driver implements:
+//   put(buffer, { folder, resourceType, extension, access }) -> { url, publicId }
+//   get(publicId, { resourceType, access }) -> Buffer
+//   delete(publicId, { resourceType, access })
+//   getSignedUrl(publicId, { resourceType, access, expiresIn }) -> url
+//
+// Files stored with access 'private' have no public URL (url is null) and
+// can only be fetched through getSignedUrl.
+
+const createDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER ||
+    (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+  switch (driverName) {
+    case 'cloudinary':
+      return createCloudinaryDriver({
+        cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+        apiKey: process.env.CLOUDINARY_API_KEY,
+        apiSecret: process.env.CLOUDINARY_API_SECRET
+      });
+    case 'local':
+      return createLocalDriver({
+        rootDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'),
+        publicUrl: process.env.STORAGE_PUBLIC_URL || '/uploads',
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key'
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${driverName}`);
+  }
+};
+
+// File extensions for the MIME types uploads are accepted as. The extension
+// decides how a stored file is served, so it is never taken from the
+// client's file name.
+const MIME_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'audio/aac': '.aac',
+  'audio/ogg': '.ogg',
+  'audio/webm': '.weba',
+  'audio/wav': '.wav',
+  'application/pdf': '.pdf'
+};
+
+let driver = null;
+
+const getStorage = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// Store a multer file and return { url, publicId }. Validate file.mimetype
+// before calling; unknown types are stored without an extension.
+const uploadFile = (file, { folder, resourceType = 'image', access = 'public' } = {}) => {
+  return getStorage().put(file.buffer, {
+    folder,
+    resourceType,
+    access,
+    extension: MIME_EXTENSIONS[file.mimetype] || ''
+  });
+};
+
+// Delete stored media, logging failures instead of throwing.
+// Accepts items shaped like { publicId, resourceType?, access? } (images,
+// voice notes, documents).
+const deleteMedia = async (items, { resourceType = 'image' } = {}) => {
+  const storage = getStorage();
+
+  for (const item of items) {
+    if (!item || !item.publicId) continue;
+
+    try {
+      await storage.delete(item.publicId, {
+        resourceType: item.resourceType || resourceType,
+        access: item.access
+      });
+    } catch (error) {
+      console.error(`Media delete error (${item.publicId}):`, error);
+    }
+  }
+};
+
+module.exports = {
+  getStorage,
+  uploadFile,
+  deleteMedia
+};
@@ -0,0 +1,108 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Private files (identity documents) are kept under this prefix and only
+// served through signed URLs
+const PRIVATE_PREFIX = 'private';
+
+// Media shown inline. Anything else (PDFs, files stored under an unexpected
+// extension) is served as a download so it never runs on the API origin.
+const INLINE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif',
+  '.mp3', '.m4a', '.aac', '.ogg', '.weba', '.wav', '.mp4', '.webm'];
+
+// Media storage on the local filesystem, for self-hosted deployments and tests.
+// Files are served by the handler returned from serve() under config.publicUrl.
+const createLocalDriver = (config = {}) => {
+  const rootDir = path.resolve(config.rootDir);
+  const publicUrl = config.publicUrl.replace(/\/$/, '');
+
+  // Resolve a publicId to a path inside rootDir, rejecting traversal
+  const resolvePath = (publicId) => {
+    const filePath = path.resolve(rootDir, publicId);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  const sign = (publicId, expires) => {
+    return crypto
+      .createHmac('sha256', config.signingSecret)
+      .update(`${publicId}:${expires}`)
+      .digest('hex');
+  };
+
+  const isPrivate = (publicId) => publicId.split('/')[0] === PRIVATE_PREFIX;
+
+  const put = async (buffer, { folder = '', extension = '', access = 'public' } = {}) => {
+    const prefix = access === 'private' ? PRIVATE_PREFIX : '';
+    const publicId = path.posix.join(prefix, folder, `${crypto.randomUUID()}${extension}`);
+    const filePath = resolvePath(publicId);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { url: access === 'private' ? null : `${publicUrl}/${publicId}`, publicId };
+  };
+
+  const get = (publicId) => fs.readFile(resolvePath(publicId));
+
+  const remove = async (publicId) => {
+    try {
+      await fs.unlink(resolvePath(publicId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  };
+
+  const getSignedUrl = (publicId, { expiresIn = 3600 } = {}) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${publicUrl}/${publicId}?expires=${expires}&signature=${sign(publicId, expires)}`;
+  };
+
+  // Express handler serving stored files. Private files need a valid,
+  // unexpired signature; signatures on other files are checked when present.
+  const serve = () => async (req, res) => {
+    try {
+      // Normalized so that e.g. "a/../private/x" cannot skip the check
+      const publicId = path.posix.normalize(decodeURIComponent(req.path.replace(/^\//, '')));
+      const { expires, signature } = req.query;
+
+      if (isPrivate(publicId) || signature) {
+        const expected = Buffer.from(sign(publicId, expires));
+        const actual = Buffer.from(String(signature || ''));
+        const isValid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+        if (!isValid || !(Number(expires) >= Date.now() / 1000)) {
+          return res.status(403).json({ error: 'Invalid or expired link' });
+        }
+      }
+
+      // Allow the client app on another origin to embed stored media
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.set('X-Content-Type-Options', 'nosniff');
+      if (!INLINE_EXTENSIONS.includes(path.posix.extname(publicId).toLowerCase())) {
+        res.attachment(path.posix.basename(publicId));
+      }
+      res.sendFile(resolvePath(publicId), error => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ error: 'File not found' });
+        }
+      });
+    } catch (error) {
+      res.status(400).json({ error: 'Invalid file path' });
+    }
+  };
+
+  return {
+    name: 'local',
+    put,
+    get,
+    delete: remove,
+    getSignedUrl,
+    serve
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { sendSms } = require('./sms');
+const { deleteMedia } = require('./storage');
+
+// Identity and trust tiers, lowest to highest. A user's level is the highest
+// tier they meet (see User.computeTrustLevel).
+const TRUST_LEVELS = {
+  NONE: 0,
+  EMAIL: 1, // clicked the email verification link
+  PHONE: 2, // confirmed their phone number with a one-time code
+  COMMUNITY: 3, // phone verified and vouched for by trusted members
+  DOCUMENT: 4 // identity document reviewed by an admin
+};
+
+// Minimum levels for sensitive actions
+const REQUIRED_TRUST = {
+  emergencyAlert: TRUST_LEVELS.COMMUNITY,
+  highValueReservation: TRUST_LEVELS.PHONE,
+  createDropOffPoint: TRUST_LEVELS.PHONE,
+  vouch: TRUST_LEVELS.COMMUNITY
+};
+
+const REQUIRED_VOUCHES = 2;
+
+const PHONE_CODE_TTL = 10 * 60 * 1000;
+const MAX_PHONE_CODE_ATTEMPTS = 5;
+
+// Resources worth at least this much (in the platform currency) are high value
+const HIGH_VALUE_THRESHOLD = () => parseFloat(process.env.HIGH_VALUE_RESOURCE_THRESHOLD) || 10000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const getTrustLevelName = (level) =>
+  Object.keys(TRUST_LEVELS).find(name => TRUST_LEVELS[name] === level).toLowerCase();
+
+// Trust level a user needs to reserve a resource (or ask for it)
+const requiredLevelForResource = (resource) => {
+  return resource.estimatedValue >= HIGH_VALUE_THRESHOLD()
+    ? REQUIRED_TRUST.highValueReservation
+    : TRUST_LEVELS.NONE;
+};
+
+// Text a one-time code to the user's phone number
+const sendPhoneCode = async (user) => {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  user.trust.phoneCode = {
+    hash: hashCode(code),
+    expiresAt: new Date(Date.now() + PHONE_CODE_TTL),
+    attempts: 0
+  };
+  await user.save();
+
+  await sendSms(user.phoneNumber, `Your Community Aid verification code is ${code}. It expires in 10 minutes.`);
+};
+
+// Check a phone code; user must be loaded with +trust.phoneCode.hash.
+// Returns { verified } or { error }.
+const verifyPhoneCode = async (user, code) => {
+  const phoneCode = user.trust.phoneCode;
+
+  if (!phoneCode || !phoneCode.hash || phoneCode.expiresAt < new Date()) {
+    return { error: 'Verification code expired. Please request a new one.' };
+  }
+
+  // Each check takes one of the attempts up front, so parallel guesses
+  // cannot get past the limit
+  const claimed = phoneCode.attempts < MAX_PHONE_CODE_ATTEMPTS && await user.constructor.findOneAndUpdate(
+    {
+      _id: user._id,
+      'trust.phoneCode.expiresAt': phoneCode.expiresAt,
+      'trust.phoneCode.attempts': { $lt: MAX_PHONE_CODE_ATTEMPTS }
+    },
+    { $inc: { 'trust.phoneCode.attempts': 1 } },
+    { new: true, projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    return { error: 'Too many attempts. Please request a new code.' };
+  }
+
+  if (phoneCode.hash !== hashCode(String(code).trim())) {
+    return { error: 'Invalid verification code.' };
+  }
+
+  user.trust.phoneCode = undefined;
+  user.trust.phoneVerifiedAt = new Date();
+  user.trust.phoneVerifiedNumber = user.phoneNumber;
+  await user.save();
+
+  return { verified: true };
+};
+
+// Record a vouch from one member for another. Returns { error } on failure.
+const vouch = async (voucher, user, note) => {
+  if (voucher._id.equals(user._id)) {
+    return { error: 'You cannot vouch for yourself.' };
+  }
+
+  if (voucher.trust.level < REQUIRED_TRUST.vouch) {
+    return { error: 'Only community-verified members can vouch for others.' };
+  }
+
+  if (user.trust.vouches.some(v => v.by.equals(voucher._id))) {
+    return { error: 'You have already vouched for this member.' };
+  }
+
+  user.trust.vouches.push({ by: voucher._id, note });
+  await user.save();
+
+  return {};
+};
+
+const withdrawVouch = async (voucher, user) => {
+  const before = user.trust.vouches.length;
+  user.trust.vouches = user.trust.vouches.filter(v => !v.by.equals(voucher._id));
+
+  if (user.trust.vouches.length === before) return false;
+
+  await user.save();
+  return true;
+};
+
+// Approve or reject a submitted identity document. The stored file is
+// deleted after review; only the outcome and reviewer are kept.
+const reviewDocument = async (user, reviewer, approved, notes) => {
+  const document = user.trust.document;
+
+  if (document.filePublicId) {
+    await deleteMedia([{
+      publicId: document.filePublicId,
+      resourceType: document.fileResourceType,
+      access: document.fileAccess
+    }]);
+  }
+
+  document.status = approved ? 'approved' : 'rejected';
+  document.reviewedAt = new Date();
+  document.reviewedBy = reviewer._id;
+  document.notes = notes;
+  document.fileUrl = undefined;
+  document.filePublicId = undefined;
+  document.fileResourceType = undefined;
+  document.fileAccess = undefined;
+  await user.save();
+};
+
+// Public summary of a user's verification
+const getTrustSummary = (user) => ({
+  level: user.trust.level,
+  levelName: getTrustLevelName(user.trust.level),
+  emailVerified: user.isVerified,
+  phoneVerified: !!user.trust.phoneVerifiedAt,
+  vouchCount: user.trust.vouches.length,
+  documentVerified: user.trust.document.status === 'approved'
+});
+
+module.exports = {
+  TRUST_LEVELS,
+  REQUIRED_TRUST,
+  REQUIRED_VOUCHES,
+  getTrustLevelName,
+  requiredLevelForResource,
+  sendPhoneCode,
+  verifyPhoneCode,
+  vouch,
+  withdrawVouch,
+  reviewDocument,
+  getTrustSummary
+};
@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendSms } = require('./sms');
+
+// TOTP (RFC 6238): 6 digits, 30 second steps, one step of clock drift allowed
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_WINDOW = 1;
+
+const SMS_CODE_TTL = 5 * 60 * 1000;
+const SMS_RESEND_INTERVAL = 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const CHALLENGE_TTL = '5m';
+const ISSUER = 'Community Aid';
+
+// Secret fields excluded from normal user queries
+const SECRET_FIELDS = [
+  '+twoFactor.secret',
+  '+twoFactor.pendingSecret',
+  '+twoFactor.lastUsedStep',
+  '+twoFactor.recoveryCodes',
+  '+twoFactor.smsCode.hash'
+].join(' ');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// TOTP secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-secret-key')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// TOTP code for a base32 secret at a time step
+const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_PERIOD)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep
+// are rejected so a code cannot be replayed.
+const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (step > lastUsedStep && safeEqual(generateTotp(secret, step), code)) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const otpauthUrl = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+    `&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD}`;
+};
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const findUserWithSecrets = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const isLocked = (user) => !!user.twoFactor.lockedUntil && user.twoFactor.lockedUntil > new Date();
+
+// Text a one-time login code to the user's phone. At most one code is sent
+// per SMS_RESEND_INTERVAL (the previous one stays valid); resolves to false
+// when it is too soon.
+const sendSmsCode = async (user) => {
+  const code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  const now = new Date();
+  const smsCode = {
+    hash: hashCode(code),
+    expiresAt: new Date(now.getTime() + SMS_CODE_TTL),
+    sentAt: now
+  };
+
+  const claimed = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.smsCode.sentAt': null },
+        { 'twoFactor.smsCode.sentAt': { $lte: new Date(now.getTime() - SMS_RESEND_INTERVAL) } }
+      ]
+    },
+    { $set: { 'twoFactor.smsCode': smsCode } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  await sendSms(user.phoneNumber, `Your Community Aid login code is ${code}. It expires in 5 minutes.`);
+  return true;
+};
+
+const checkSmsCode = (user, code) => {
+  const smsCode = user.twoFactor.smsCode;
+  if (!smsCode || !smsCode.hash || smsCode.expiresAt < new Date()) return false;
+  return safeEqual(smsCode.hash, hashCode(code));
+};
+
+// Begin enrolment. TOTP returns a secret for an authenticator app; SMS texts
+// a code to the registered phone number (`sent` is false when one was sent
+// less than a minute ago). Either is confirmed with enable().
+const startSetup = async (user, method) => {
+  user.twoFactor.method = method;
+
+  if (method === 'sms') {
+    user.twoFactor.pendingSecret = undefined;
+    await user.save();
+    return { method, sent: await sendSmsCode(user) };
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    method,
+    secret,
+    otpauthUrl: otpauthUrl(secret, user.email)
+  };
+};
+
+// Take one of the attempts left before a code is checked, so parallel
+// guesses cannot get past MAX_FAILED_ATTEMPTS. Resolves to the attempt
+// number, or null when 2FA is locked.
+const claimAttempt = async (user) => {
+  const now = new Date();
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      'twoFactor.failedAttempts': { $lt: MAX_FAILED_ATTEMPTS },
+      $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: now } }]
+    },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true, projection: { 'twoFactor.failedAttempts': 1 } }
+  );
+
+  return claimed ? claimed.twoFactor.failedAttempts : null;
+};
+
+// Settle a claimed attempt. A valid code clears the count; the last allowed
+// failure locks 2FA for a while.
+const recordAttempt = async (user, valid, attempt) => {
+  if (valid) {
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.failedAttempts': 0 },
+      $unset: { 'twoFactor.lockedUntil': '' }
+    });
+    return;
+  }
+
+  if (attempt >= MAX_FAILED_ATTEMPTS) {
+    user.twoFactor.lockedUntil = new Date(Date.now() + LOCKOUT_DURATION);
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': user.twoFactor.lockedUntil }
+    });
+  }
+};
+
+// Confirm enrolment with a first code. Failures count towards the same
+// lockout as login codes. Returns { recoveryCodes, locked }; recoveryCodes
+// is null if the code is wrong.
+const enable = async (user, code) => {
+  const attempt = isLocked(user) ? null : await claimAttempt(user);
+  if (attempt === null) return { recoveryCodes: null, locked: true };
+
+  const { method } = user.twoFactor;
+  const normalized = String(code || '').trim();
+  let valid = false;
+
+  if (method === 'totp' && user.twoFactor.pendingSecret) {
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, normalized);
+    if (step !== null) {
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.lastUsedStep = step;
+      valid = true;
+    }
+  } else if (method === 'sms' && checkSmsCode(user, normalized)) {
+    user.twoFactor.smsCode = undefined;
+    valid = true;
+  }
+
+  await recordAttempt(user, valid, attempt);
+
+  if (!valid) {
+    return { recoveryCodes: null, locked: isLocked(user) };
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashCode);
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return { recoveryCodes, locked: false };
+};
+
+// Check a login code (TOTP or SMS, per the user's method) or a recovery code.
+// Recovery codes work once. Too many failures lock 2FA for a while.
+// Returns { valid, locked }.
+const verify = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactor.enabled) return { valid: false, locked: false };
+  const attempt = isLocked(user) ? null : await claimAttempt(user);
+  if (attempt === null) return { valid: false, locked: true };
+
+  let valid = false;
+
+  if (recoveryCode) {
+    const hash = hashCode(String(recoveryCode).trim().toLowerCase());
+    const index = (user.twoFactor.recoveryCodes || []).findIndex(stored => safeEqual(stored, hash));
+    if (index !== -1) {
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      valid = true;
+    }
+  } else if (code) {
+    const normalized = String(code).trim();
+
+    if (user.twoFactor.method === 'sms') {
+      valid = checkSmsCode(user, normalized);
+      if (valid) user.twoFactor.smsCode = undefined;
+    } else {
+      const step = verifyTotp(decryptSecret(user.twoFactor.secret), normalized, user.twoFactor.lastUsedStep);
+      if (step !== null) {
+        user.twoFactor.lastUsedStep = step;
+        valid = true;
+      }
+    }
+  }
+
+  await recordAttempt(user, valid, attempt);
+  if (valid) await user.save();
+  return { valid, locked: isLocked(user) };
+};
+
+const disable = (user) => {
+  user.twoFactor = {
+    enabled: false,
+    failedAttempts: 0
+  };
+  return user.save();
+};
+
+const regenerateRecoveryCodes = async (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashCode);
+  await user.save();
+  return recoveryCodes;
+};
+
+// Short-lived token proving the password step of a 2FA login
+const createChallengeToken = (user) => jwt.sign(
+  { userId: user._id, purpose: 'two_factor' },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the user id from a challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  findUserWithSecrets,
+  generateTotp,
+  sendSmsCode,
+  startSetup,
+  enable,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken
+};
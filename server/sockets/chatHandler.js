@@ -1,6 +1,9 @@
 const Chat = require('../models/Chat');
-const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { deleteMedia } = require('../services/storage');
+const { verifyAccessToken } = require('../services/sessions');
+const { PERMISSIONS } = require('../services/permissions');
+const { HELD_REASON, screenContent, messageTarget, queueScreening } = require('../services/moderation');
+const { notifyChatMessage } = require('../services/notifications');
 
 // Socket authentication middleware
 const authenticateSocket = async (socket, next) => {
@@ -11,14 +14,21 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('Authentication error'));
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    // Revoked or expired sessions cannot connect
+    const auth = await verifyAccessToken(token);
     
-    if (!user) {
-      return next(new Error('User not found'));
+    if (!auth) {
+      return next(new Error('Session expired or revoked'));
     }
     
-    socket.user = user;
+    // Suspended and banned accounts cannot connect
+    if (auth.user.isSuspended()) {
+      return next(new Error('Account suspended'));
+    }
+    
+    socket.user = auth.user;
+    socket.sessionId = auth.session._id;
+    socket.data.userId = auth.user._id.toString(); // visible to fetchSockets()
     next();
   } catch (error) {
     next(new Error('Authentication error'));
@@ -26,11 +36,10 @@ const authenticateSocket = async (socket, next) => {
 };
 
 const chatHandler = (socket, io) => {
-  // Authenticate socket connection
-  socket.use(authenticateSocket);
-  
-  // Join user to their personal room
+  // Join user to their personal room, and a session room so revoking the
+  // session can disconnect this socket
   socket.join(`user:${socket.user._id}`);
+  socket.join(`session:${socket.sessionId}`);
   
   // Update user online status
   socket.user.isOnline = true;
@@ -105,6 +114,10 @@ const chatHandler = (socket, io) => {
         return socket.emit('error', { message: 'Not authorized to send messages' });
       }
       
+      if (await chat.isBlockedFor(socket.user._id)) {
+        return socket.emit('error', { message: 'You cannot message this user' });
+      }
+      
       // Create message data
       const messageData = {
         sender: socket.user._id,
@@ -119,8 +132,22 @@ const chatHandler = (socket, io) => {
       if (location) messageData.location = location;
       if (replyTo) messageData.replyTo = replyTo;
       
+      // Pre-screen the text; held messages are only delivered once a moderator clears them
+      const screening = await screenContent(content);
+      if (screening.held) {
+        messageData.moderation = { hidden: true, reason: HELD_REASON, hiddenAt: new Date() };
+      }
+      
       // Add message to chat
       await chat.addMessage(messageData);
+      await queueScreening(messageTarget(chat, chat.messages[chat.messages.length - 1]), screening);
+      
+      if (screening.held) {
+        return socket.emit('message_held', {
+          chatId,
+          messageId: chat.messages[chat.messages.length - 1]._id
+        });
+      }
       
       // Populate sender info for broadcast
       await chat.populate('messages.sender', 'username profilePicture');
@@ -133,24 +160,8 @@ const chatHandler = (socket, io) => {
         message: newMessage
       });
       
-      // Send push notifications to offline participants
-      const offlineParticipants = chat.participants.filter(p => 
-        p.user.toString() !== socket.user._id.toString()
-      );
-      
-      for (const participant of offlineParticipants) {
-        const user = await User.findById(participant.user);
-        
-        if (!user.isOnline && user.notificationPreferences.push) {
-          // Send push notification (implement with your preferred service)
-          io.to(`user:${user._id}`).emit('notification', {
-            type: 'new_message',
-            title: `New message from ${socket.user.username}`,
-            body: content || `${messageType} message`,
-            chatId
-          });
-        }
-      }
+      // Save to the other participants' inboxes; offline ones are also notified
+      await notifyChatMessage(chat, socket.user, newMessage);
       
     } catch (error) {
       socket.emit('error', { message: 'Error sending message' });
@@ -272,13 +283,30 @@ const chatHandler = (socket, io) => {
         return socket.emit('error', { message: 'Not authorized to edit this message' });
       }
       
+      if (message.moderation && message.moderation.hidden) {
+        return socket.emit('error', { message: 'This message is under review and cannot be edited' });
+      }
+      
+      // Edits are screened like new messages
+      const screening = await screenContent(newContent);
+      
       // Update message
       message.originalContent = message.content;
       message.content = newContent;
       message.isEdited = true;
       message.editedAt = new Date();
+      if (screening.held) {
+        message.moderation = { hidden: true, reason: HELD_REASON, hiddenAt: new Date() };
+      }
       
       await chat.save();
+      await queueScreening(messageTarget(chat, message), screening);
+      
+      // A held edit disappears for the other participants until it is cleared
+      if (screening.held) {
+        socket.to(`chat:${chatId}`).emit('message_deleted', { chatId, messageId });
+        return socket.emit('message_held', { chatId, messageId });
+      }
       
       // Broadcast message update
       io.to(`chat:${chatId}`).emit('message_edited', {
@@ -310,16 +338,20 @@ const chatHandler = (socket, io) => {
         return socket.emit('error', { message: 'Message not found' });
       }
       
-      // Check if user owns the message or is admin
+      // Check if user owns the message or can moderate chats
       if (message.sender.toString() !== socket.user._id.toString() && 
-          socket.user.role !== 'admin') {
+          !socket.user.can(PERMISSIONS.CHAT_MODERATE)) {
         return socket.emit('error', { message: 'Not authorized to delete this message' });
       }
       
       // Remove message
+      const media = message.getMedia();
       chat.messages.pull(messageId);
       await chat.save();
       
+      // Clean up stored image or voice note
+      await deleteMedia(media);
+      
       // Broadcast message deletion
       io.to(`chat:${chatId}`).emit('message_deleted', {
         chatId,
@@ -393,4 +425,5 @@ const chatHandler = (socket, io) => {
   });
 };
 
-module.exports = chatHandler;
\ No newline at end of file
+module.exports = chatHandler;
+module.exports.authenticateSocket = authenticateSocket;
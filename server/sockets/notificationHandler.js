@@ -1,20 +1,47 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Resource = require('../models/Resource');
 const Challenge = require('../models/Challenge');
 const NeedForecast = require('../models/NeedForecast');
+const Notification = require('../models/Notification');
+const { PERMISSIONS } = require('../services/permissions');
+const { REQUIRED_TRUST } = require('../services/trust');
+const AlertArea = require('../models/AlertArea');
+const SavedSearch = require('../models/SavedSearch');
+const { notifyUsers, emitUnreadCount, findAlertRecipientIds } = require('../services/notifications');
+const { notifyMatches, findCategorySubscriberIds } = require('../services/savedSearches');
+const { enqueueJob } = require('../services/jobQueue');
+const { validateMatrix } = require('../services/notificationPreferences');
+
+// Alert text limits. The title leaves room for the localized 'EMERGENCY:'
+// prefix within the 200 characters a notification title may have.
+const ALERT_TITLE_MAX_LENGTH = 180;
+const ALERT_MESSAGE_MAX_LENGTH = 1000;
 
 const notificationHandler = (socket, io) => {
   
-  // Join user to notification room
+  // Join user to notification room and send the unread badge count
   socket.join(`notifications:${socket.user._id}`);
+  emitUnreadCount(socket.user._id).catch(error => console.error('Unread count error:', error));
   
-  // Subscribe to location-based notifications
+  // Subscribe to alerts around a point. The area is saved (one per name,
+  // see routes/alertAreas), so alerts reach the user while offline too.
   socket.on('subscribe_location_alerts', async (data) => {
     try {
-      const { coordinates, radius = 10000 } = data;
+      const { coordinates, radius = 10000, name = 'Current location' } = data;
       
-      // Join location-based room
-      socket.join(`location:${coordinates[0]}-${coordinates[1]}`);
+      let area = await AlertArea.findOne({ user: socket.user._id, name });
+      if (!area) {
+        if (await AlertArea.countDocuments({ user: socket.user._id }) >= AlertArea.MAX_PER_USER) {
+          return socket.emit('error', { message: `You can save up to ${AlertArea.MAX_PER_USER} alert areas` });
+        }
+        area = new AlertArea({ user: socket.user._id, name });
+      }
+      area.center = { type: 'Point', coordinates };
+      area.radius = radius;
+      await area.save();
+      
+      socket.emit('subscribed_location_alerts', { area });
       
       // Send existing alerts for this location
       const criticalForecasts = await NeedForecast.getCriticalNeedsAlerts(coordinates, radius);
@@ -32,19 +59,40 @@ const notificationHandler = (socket, io) => {
       }
       
     } catch (error) {
+      if (error.name === 'ValidationError') {
+        return socket.emit('error', { message: error.message });
+      }
       socket.emit('error', { message: 'Error subscribing to location alerts' });
     }
   });
   
-  // Subscribe to resource category alerts
-  socket.on('subscribe_resource_alerts', (data) => {
-    const { categories } = data;
-    
-    categories.forEach(category => {
-      socket.join(`resource_alerts:${category}`);
-    });
-    
-    socket.emit('subscribed_resource_alerts', { categories });
+  // Subscribe to resource category alerts. Kept for older clients: each
+  // category becomes a saved search (see routes/savedSearches), which also
+  // notifies while the user is offline.
+  socket.on('subscribe_resource_alerts', async (data) => {
+    try {
+      const { categories = [] } = data;
+      const searches = [];
+      
+      for (const category of categories) {
+        const name = `All ${category}`;
+        let search = await SavedSearch.findOne({ user: socket.user._id, name });
+        if (!search) {
+          if (await SavedSearch.countDocuments({ user: socket.user._id }) >= SavedSearch.MAX_PER_USER) {
+            return socket.emit('error', { message: `You can save up to ${SavedSearch.MAX_PER_USER} searches` });
+          }
+          search = await SavedSearch.create({ user: socket.user._id, name, category });
+        }
+        searches.push(search);
+      }
+      
+      socket.emit('subscribed_resource_alerts', { categories, searches });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return socket.emit('error', { message: error.message });
+      }
+      socket.emit('error', { message: 'Error subscribing to resource alerts' });
+    }
   });
   
   // Subscribe to challenge alerts
@@ -61,13 +109,25 @@ const notificationHandler = (socket, io) => {
   // Send emergency alert
   socket.on('send_emergency_alert', async (data) => {
     try {
-      const { title, message, location, urgency = 'high', category } = data;
+      const { title, message, location, radius, urgency = 'high', category } = data;
       
-      // Only admins and verified users can send emergency alerts
-      if (socket.user.role !== 'admin' && !socket.user.isVerified) {
+      // Users allowed to send alerts in this area, or trusted community members
+      const canSend = socket.user.can(PERMISSIONS.ALERTS_EMERGENCY_SEND, { coordinates: location && location.coordinates }) ||
+        socket.user.hasTrustLevel(REQUIRED_TRUST.emergencyAlert);
+      if (!canSend) {
         return socket.emit('error', { message: 'Not authorized to send emergency alerts' });
       }
       
+      if (title !== undefined && (typeof title !== 'string' || title.length > ALERT_TITLE_MAX_LENGTH)) {
+        return socket.emit('error', { message: `Alert title must be at most ${ALERT_TITLE_MAX_LENGTH} characters` });
+      }
+      if (typeof message !== 'string' || !message.trim() || message.length > ALERT_MESSAGE_MAX_LENGTH) {
+        return socket.emit('error', { message: `Alert message is required and must be at most ${ALERT_MESSAGE_MAX_LENGTH} characters` });
+      }
+      if (!(location && location.coordinates)) {
+        return socket.emit('error', { message: 'Emergency alerts need a location' });
+      }
+      
       const alert = {
         id: `alert:${Date.now()}`,
         type: 'emergency',
@@ -79,26 +139,30 @@ const notificationHandler = (socket, io) => {
         sender: {
           id: socket.user._id,
           username: socket.user.username,
-          role: socket.user.role
+          roles: socket.user.roles
         },
         timestamp: new Date()
       };
       
-      // Broadcast to location-based rooms
-      if (location && location.coordinates) {
-        const locationRoom = `location:${location.coordinates[0]}-${location.coordinates[1]}`;
-        io.to(locationRoom).emit('emergency_alert', alert);
-      }
-      
-      // Broadcast to category-based rooms
-      if (category) {
-        io.to(`resource_alerts:${category}`).emit('emergency_alert', alert);
-      }
-      
-      // Broadcast to all users if critical
-      if (urgency === 'critical') {
-        io.emit('critical_emergency_alert', alert);
-      }
+      // Users whose alert areas overlap the alert and users living inside it
+      // (many of whom are on feature phones), plus users whose saved searches
+      // in the category cover the area. Delivery is queued so the handler
+      // returns at once.
+      enqueueJob('emergency_alert', async () => {
+        const recipients = await findAlertRecipientIds(location.coordinates, radius, { category });
+        
+        await notifyUsers(recipients.filter(id => id !== socket.user._id.toString()), {
+          type: 'emergency_alert',
+          textKey: 'emergency_alert',
+          params: { title: title || 'Emergency alert', message },
+          data: { location, urgency, category, senderId: socket.user._id },
+          priority: urgency === 'critical' ? 'critical' : 'high'
+        }, {
+          event: urgency === 'critical' ? 'critical_emergency_alert' : 'emergency_alert',
+          payload: alert
+        });
+      });
+      socket.emit('emergency_alert_queued', { id: alert.id });
       
     } catch (error) {
       socket.emit('error', { message: 'Error sending emergency alert' });
@@ -136,16 +200,22 @@ const notificationHandler = (socket, io) => {
         timestamp: new Date()
       };
       
-      // Notify users interested in this category
-      io.to(`resource_alerts:${resource.category}`).emit('resource_notification', notification);
+      const inbox = {
+        type: 'resource_notification',
+        params: { category: resource.category, title: resource.title },
+        data: { resourceId: resource._id, category: resource.category },
+        link: `/resources/${resource._id}`
+      };
       
       // Notify users who showed interest
-      for (const interestedUser of resource.interestedUsers) {
-        io.to(`notifications:${interestedUser.user}`).emit('resource_notification', {
-          ...notification,
-          message: `${resource.title} you were interested in is now available`
-        });
-      }
+      const interested = resource.interestedUsers.map(interest => interest.user.toString());
+      await notifyUsers(interested, { ...inbox, textKey: 'resource_interest_available' }, {
+        payload: notification,
+        event: 'resource_notification'
+      });
+      
+      // Notify users whose saved searches match (throttled, once per search)
+      await notifyMatches(resource);
       
     } catch (error) {
       socket.emit('error', { message: 'Error sending resource notification' });
@@ -190,9 +260,13 @@ const notificationHandler = (socket, io) => {
       };
       
       // Send invitation to each user
-      invitedUsers.forEach(userId => {
-        io.to(`notifications:${userId}`).emit('challenge_invitation', invitation);
-      });
+      await notifyUsers(invitedUsers, {
+        type: 'challenge_invitation',
+        textKey: 'challenge_invitation',
+        params: { inviter: socket.user.username, challenge: challenge.title },
+        data: { challengeId: challenge._id, invitedBy: socket.user._id },
+        link: `/challenges/${challenge._id}`
+      }, { payload: invitation });
       
     } catch (error) {
       socket.emit('error', { message: 'Error sending challenge invitation' });
@@ -276,11 +350,34 @@ const notificationHandler = (socket, io) => {
     }
   });
   
-  // Send local hero recognition
+  // Send local hero recognition. Nominations are endorsements; hero status
+  // itself is granted by services/reputation.
   socket.on('nominate_local_hero', async (data) => {
     try {
       const { nominatedUserId, reason } = data;
       
+      if (!nominatedUserId || nominatedUserId.toString() === socket.user._id.toString()) {
+        return socket.emit('error', { message: 'Invalid nomination' });
+      }
+      
+      // One nomination per member
+      const update = await User.updateOne(
+        { _id: nominatedUserId, 'heroReviews.user': { $ne: socket.user._id } },
+        {
+          $push: {
+            heroReviews: {
+              user: socket.user._id,
+              comment: reason,
+              date: new Date()
+            }
+          }
+        }
+      );
+      
+      if (update.modifiedCount === 0) {
+        return socket.emit('error', { message: 'You have already nominated this member' });
+      }
+      
       const nomination = {
         id: `hero_nomination:${Date.now()}`,
         type: 'hero_nomination',
@@ -295,19 +392,12 @@ const notificationHandler = (socket, io) => {
       };
       
       // Send to nominated user
-      io.to(`notifications:${nominatedUserId}`).emit('hero_nomination', nomination);
-      
-      // Update user's hero status
-      await User.findByIdAndUpdate(nominatedUserId, {
-        $push: {
-          heroReviews: {
-            user: socket.user._id,
-            rating: 5,
-            comment: reason,
-            date: new Date()
-          }
-        }
-      });
+      await notifyUsers([nominatedUserId], {
+        type: 'hero_nomination',
+        textKey: 'hero_nomination',
+        data: { reason, nominatedBy: socket.user._id },
+        link: '/profile'
+      }, { payload: nomination });
       
     } catch (error) {
       socket.emit('error', { message: 'Error nominating local hero' });
@@ -334,12 +424,15 @@ const notificationHandler = (socket, io) => {
         timestamp: new Date()
       };
       
-      // Send to category subscribers
-      io.to(`resource_alerts:${category}`).emit('donation_drive_alert', driveAlert);
+      // Send to users with saved searches in the category
+      const subscribers = category ? await findCategorySubscriberIds(category) : [];
+      if (subscribers.length > 0) {
+        io.to(subscribers.map(id => `notifications:${id}`)).emit('donation_drive_alert', driveAlert);
+      }
       
       // Send to all donors if urgent
       if (urgency === 'high' || urgency === 'critical') {
-        const donors = await User.find({ role: 'donor' });
+        const donors = await User.find({ roles: 'donor' });
         donors.forEach(donor => {
           io.to(`notifications:${donor._id}`).emit('urgent_donation_drive', driveAlert);
         });
@@ -353,10 +446,10 @@ const notificationHandler = (socket, io) => {
   // AI-powered need prediction alert
   socket.on('ai_need_prediction', async (data) => {
     try {
-      const { prediction, confidence, location } = data;
+      const { prediction, confidence, location, radius } = data;
       
-      // Only admin or AI system can send predictions
-      if (socket.user.role !== 'admin') {
+      // Only forecasters can send predictions
+      if (!socket.user.can(PERMISSIONS.FORECASTS_MANAGE)) {
         return socket.emit('error', { message: 'Not authorized' });
       }
       
@@ -371,45 +464,72 @@ const notificationHandler = (socket, io) => {
         timestamp: new Date()
       };
       
-      // Send to location-based users
-      if (location && location.coordinates) {
-        const locationRoom = `location:${location.coordinates[0]}-${location.coordinates[1]}`;
-        io.to(locationRoom).emit('ai_prediction_alert', predictionAlert);
-      }
+      // Users whose alert areas overlap the prediction, through their chosen
+      // channels; critical needs also reach everyone living nearby
+      const critical = prediction.demand === 'critical';
+      const recipients = await findAlertRecipientIds(location && location.coordinates, radius, { residents: critical });
+      
+      await notifyUsers(recipients.filter(id => id !== socket.user._id.toString()), {
+        type: 'need_prediction',
+        textKey: critical ? 'need_prediction' : 'need_prediction_increase',
+        params: { category: prediction.category },
+        data: { prediction, confidence, location },
+        priority: critical ? 'high' : 'normal'
+      }, {
+        event: 'ai_prediction_alert',
+        payload: predictionAlert
+      });
       
-      // Send to category subscribers
-      io.to(`resource_alerts:${prediction.category}`).emit('ai_prediction_alert', predictionAlert);
+      // Users with saved searches in the category who were not reached above
+      const subscribers = (await findCategorySubscriberIds(prediction.category))
+        .filter(id => !recipients.includes(id));
+      if (subscribers.length > 0) {
+        io.to(subscribers.map(id => `notifications:${id}`)).emit('ai_prediction_alert', predictionAlert);
+      }
       
     } catch (error) {
       socket.emit('error', { message: 'Error sending AI prediction' });
     }
   });
   
-  // Handle notification acknowledgment
-  socket.on('acknowledge_notification', (data) => {
-    const { notificationId } = data;
-    
-    // Log acknowledgment (in production, save to database)
-    console.log(`User ${socket.user.username} acknowledged notification ${notificationId}`);
-    
-    socket.emit('notification_acknowledged', { notificationId });
+  // Handle notification acknowledgment (marks it read)
+  socket.on('acknowledge_notification', async (data) => {
+    try {
+      const { notificationId } = data;
+      
+      if (mongoose.isValidObjectId(notificationId)) {
+        await Notification.markAllRead(socket.user._id, [notificationId]);
+        await emitUnreadCount(socket.user._id);
+      }
+      
+      socket.emit('notification_acknowledged', { notificationId });
+      
+    } catch (error) {
+      socket.emit('error', { message: 'Error acknowledging notification' });
+    }
   });
   
   // Get notification history
-  socket.on('get_notification_history', async (data) => {
+  socket.on('get_notification_history', async (data = {}) => {
     try {
-      const { page = 1, limit = 20 } = data;
-      
-      // In production, this would fetch from database
-      // For now, returning mock data
-      const notifications = {
-        notifications: [],
+      const page = parseInt(data.page) || 1;
+      const limit = Math.min(parseInt(data.limit) || 20, 100);
+      
+      const query = { user: socket.user._id };
+      const [notifications, total] = await Promise.all([
+        Notification.find(query)
+          .sort({ latestAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Notification.countDocuments(query)
+      ]);
+      
+      socket.emit('notification_history', {
+        notifications,
         currentPage: page,
-        totalPages: 1,
-        totalNotifications: 0
-      };
-      
-      socket.emit('notification_history', notifications);
+        totalPages: Math.ceil(total / limit),
+        totalNotifications: total
+      });
       
     } catch (error) {
       socket.emit('error', { message: 'Error fetching notification history' });
@@ -419,14 +539,25 @@ const notificationHandler = (socket, io) => {
   // Update notification preferences
   socket.on('update_notification_preferences', async (data) => {
     try {
-      const { preferences } = data;
+      const { preferences, events, quietHours, timezone } = data;
+      
+      const invalid = events && validateMatrix(events);
+      if (invalid) {
+        return socket.emit('error', { message: invalid });
+      }
       
       // Update user preferences
-      await User.findByIdAndUpdate(socket.user._id, {
-        notificationPreferences: preferences
-      });
+      const user = await User.findById(socket.user._id);
+      user.updateNotificationSettings({ channels: preferences, events, quietHours, timezone });
       
-      socket.emit('notification_preferences_updated', { preferences });
+      await user.save();
+      
+      socket.emit('notification_preferences_updated', {
+        preferences: user.notificationPreferences,
+        matrix: user.getNotificationMatrix(),
+        quietHours: user.quietHours,
+        timezone: user.timezone
+      });
       
     } catch (error) {
       socket.emit('error', { message: 'Error updating notification preferences' });